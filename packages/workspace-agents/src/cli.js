@@ -1,12 +1,30 @@
+const path = require('path');
 const { program } = require('commander');
 const init = require('./commands/init');
+const doctor = require('./commands/doctor');
+const applyPlan = require('./commands/apply');
+const uninstall = require('./commands/uninstall');
+const restore = require('./commands/restore');
+const batch = require('./commands/batch');
 const welcome = require('./lib/welcome-screen');
 const pkg = require('../package.json');
 
 program
   .name('workspace-agents')
   .description('Initialize AI agent workflow framework in any project')
-  .version(pkg.version);
+  .version(pkg.version)
+  .option('--cwd <dir>', 'Run as if started in <dir> (paths are relative to it)');
+
+// Call a command handler with its arguments and its options merged with the
+// global ones (--cwd), instead of commander's (args..., options, command)
+const withGlobals = (handler) => (...args) => {
+  const command = args.pop();
+  args.pop();
+  return handler(...args, command.optsWithGlobals());
+};
+
+// Collect a repeatable option's values into an array
+const collect = (value, previous = []) => [...previous, value];
 
 // Helper to add common options to a command
 const addInitOptions = (cmd) => {
@@ -14,17 +32,36 @@ const addInitOptions = (cmd) => {
     .option('--force', 'Overwrite existing files')
     .option('-y, --yes', 'Skip confirmation prompts')
     .option('--skip-symlinks', 'Skip Claude Skills symlink creation')
-    .action(init);
+    .option('--skill-conflicts <strategy>', 'Locally modified skill files: skip, new (default, writes .new file) or merge')
+    .option('--workspaces', 'Add a repo map and per-package AGENTS.md to an existing monorepo install')
+    .option('--no-workspaces', 'Skip the repo map and per-package AGENTS.md in monorepos')
+    .option('--strict', 'Fail when a template references a variable without a value')
+    .option('--preset <name|path>', 'Preset to render from: bundled, in node_modules or a directory (repeatable)', collect)
+    .option('--templates <dir>', 'Template override directory layered over the bundled templates')
+    .option('--dry-run', 'Show planned changes and exit without applying')
+    .option('--json', 'Print planned changes as JSON and exit without applying')
+    .option('--plan-out <file>', 'Write planned changes to a file and exit without applying')
+    .option('-i, --interactive', 'Choose which planned changes to apply')
+    .option('--show-content', 'Show the content of files that will be created')
+    .action(withGlobals(init));
+};
+
+// Welcome screen before init/update, except when output must stay machine-readable
+const showWelcome = async (thisCommand) => {
+  const options = thisCommand.optsWithGlobals();
+  if (!options.json) {
+    await welcome.show(path.resolve(options.cwd || '.', thisCommand.args[0] || '.'));
+  }
 };
 
 // Default action when no command provided - show welcome and prompt
 program
-  .action(async () => {
-    await welcome.show();
+  .action(async (options) => {
+    await welcome.show(path.resolve(options.cwd || '.'));
     const prompts = require('./lib/prompts');
     const confirmed = await prompts.confirm('Continue with init in this directory?');
     if (confirmed) {
-      await init({ yes: false });
+      await init(undefined, { yes: false, cwd: options.cwd });
     } else {
       console.log('Cancelled.');
     }
@@ -34,20 +71,71 @@ program
 addInitOptions(
   program
     .command('init')
+    .argument('[path]', 'Project directory (default: current directory)')
     .description('Initialize framework (scaffolds new or upgrades existing)')
-    .hook('preAction', async () => {
-      await welcome.show();
-    })
+    .hook('preAction', showWelcome)
 );
 
 // update command - alias for init (semantic clarity)
 addInitOptions(
   program
     .command('update')
+    .argument('[path]', 'Project directory (default: current directory)')
     .description('Update existing framework to latest version')
-    .hook('preAction', async () => {
-      await welcome.show();
-    })
+    .hook('preAction', showWelcome)
 );
 
+// apply command - executes a saved plan after checking it is still current
+program
+  .command('apply <plan>')
+  .description('Apply a plan saved with --plan-out')
+  .option('-y, --yes', 'Skip confirmation prompts')
+  .option('--show-content', 'Show the content of files that will be created')
+  .action(withGlobals(applyPlan));
+
+// uninstall command - removes what the framework generated, keeping edited files
+program
+  .command('uninstall')
+  .alias('eject')
+  .description('Remove files, symlinks and skills created by workspace-agents')
+  .option('--all', 'Also remove edited generated files and everything under agents/ except backups')
+  .option('-y, --yes', 'Skip confirmation prompts')
+  .option('--dry-run', 'Show planned removals and exit without applying')
+  .action(withGlobals(uninstall));
+
+// restore command - puts back files saved before they were overwritten or removed
+program
+  .command('restore [timestamp]')
+  .description('Restore files from a backup in agents/.backups/ (default: choose one)')
+  .option('-y, --yes', 'Skip confirmation prompts (restores the newest backup if none given)')
+  .option('--dry-run', 'Show the files that would be restored and exit')
+  .action(withGlobals(restore));
+
+// batch command - init/update many repositories and report the outcome of each
+program
+  .command('batch')
+  .argument('[paths...]', 'Repository directories')
+  .description('Initialize or update many repositories and print a summary report')
+  .option('--from <file>', 'Read repository paths from a file (one per line, # comments)')
+  .option('--concurrency <n>', 'Repositories handled at once, each in its own process', '1')
+  .option('--force', 'Overwrite existing files')
+  .option('-y, --yes', 'Apply without asking for confirmation')
+  .option('--skip-symlinks', 'Skip Claude Skills symlink creation')
+  .option('--skill-conflicts <strategy>', 'Locally modified skill files: skip, new (default, writes .new file) or merge')
+  .option('--workspaces', 'Add a repo map and per-package AGENTS.md to existing monorepo installs')
+  .option('--no-workspaces', 'Skip the repo map and per-package AGENTS.md in monorepos')
+  .option('--strict', 'Fail when a template references a variable without a value')
+  .option('--preset <name|path>', 'Preset used for every repository (repeatable)', collect)
+  .option('--templates <dir>', 'Template override directory used for every repository')
+  .option('--dry-run', 'Plan every repository and report without applying')
+  .option('--report <file>', 'Write the final report to a file')
+  .option('--report-format <format>', 'Report file format: json or markdown (default: from the file extension)')
+  .action(withGlobals(batch));
+
+// doctor command - read-only health report (no welcome screen, CI friendly)
+program
+  .command('doctor')
+  .description('Check framework health without changing anything')
+  .action(withGlobals(doctor));
+
 program.parse();
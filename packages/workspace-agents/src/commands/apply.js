@@ -0,0 +1,79 @@
+const path = require('path');
+const chalk = require('chalk');
+const formatter = require('../lib/output-formatter');
+const planFile = require('../lib/plan-file');
+const prompts = require('../lib/prompts');
+const scaffold = require('../lib/scaffold');
+const upgrade = require('../lib/upgrade');
+const { resolveProjectRoot } = require('../lib/project-root');
+
+/**
+ * Apply command - executes a plan saved with `init --plan-out` exactly as written
+ * Refuses to run if any file the plan depends on changed since planning.
+ * @param {string} planPath - Path to the plan file
+ * @param {object} options - Command options
+ * @param {string} options.cwd - Project directory; the plan path is relative to it
+ * @param {boolean} options.yes - Skip confirmation prompts
+ * @param {boolean} options.showContent - Show the content of files that will be created
+ */
+async function apply(planPath, options = {}) {
+  let projectRoot;
+  try {
+    projectRoot = resolveProjectRoot(undefined, options.cwd);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  let plan;
+  try {
+    plan = planFile.read(path.resolve(projectRoot, planPath));
+  } catch (err) {
+    console.error(chalk.red(`Error reading plan: ${err.message}`));
+    process.exit(1);
+  }
+
+  console.log(chalk.bold(`Plan: ${planPath}`));
+  console.log(chalk.gray(`Action: ${plan.action} (${plan.reason})`));
+
+  const problems = planFile.verify(plan, projectRoot);
+  if (problems.length) {
+    console.error(chalk.red('\nPlan is out of date and was not applied:'));
+    problems.forEach(p => console.error(chalk.red(`  ${p.path ? `${p.path}: ` : ''}${p.reason}`)));
+    console.error(chalk.gray('Create a new plan with: workspace-agents init --plan-out <file>'));
+    process.exit(1);
+  }
+
+  formatter.printChanges(plan.changes, { ...options, projectRoot });
+
+  if (!planFile.hasChanges(plan.changes)) {
+    console.log(chalk.green('\nNothing to do - plan contains no changes.'));
+    return;
+  }
+
+  // Confirm (unless -y/--yes)
+  if (!options.yes) {
+    console.log();
+    const confirmed = await prompts.confirm('Apply this plan?');
+    if (!confirmed) {
+      console.log(chalk.yellow('Cancelled.'));
+      return;
+    }
+  }
+
+  let result;
+  try {
+    if (plan.changes.type === 'upgrade') {
+      result = await upgrade.apply(plan.changes, projectRoot);
+    } else {
+      result = await scaffold.apply(plan.changes, projectRoot);
+    }
+  } catch (err) {
+    formatter.printApplyError(err);
+    process.exit(1);
+  }
+
+  formatter.printSuccess(plan.changes, result);
+}
+
+module.exports = apply;
@@ -0,0 +1,114 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const formatter = require('../lib/output-formatter');
+const prompts = require('../lib/prompts');
+const batchRunner = require('../lib/batch');
+const presets = require('../lib/presets');
+
+/**
+ * Report formats that can be written with --report
+ */
+const REPORT_FORMATS = ['json', 'markdown'];
+
+/**
+ * Batch command - plans and applies init/update across many repositories
+ * Keeps going past failing repositories and exits non-zero if any failed.
+ * @param {string[]} repos - Repository directories
+ * @param {object} options - Command options
+ * @param {string} options.cwd - Directory relative paths are resolved against
+ * @param {string} options.from - File listing more repository paths, one per line
+ * @param {string} options.concurrency - Repositories handled at once, each in its own process
+ * @param {boolean} options.force - Overwrite existing files
+ * @param {boolean} options.yes - Skip the confirmation prompt
+ * @param {boolean} options.skipSymlinks - Skip symlink creation
+ * @param {string} options.skillConflicts - Locally modified skill files: skip, new or merge
+ * @param {boolean} options.workspaces - Monorepo workspace files: true to add, false to skip
+ * @param {boolean} options.strict - Fail repositories whose templates reference variables without a value
+ * @param {string[]} options.preset - Preset names or paths used for every repository
+ * @param {string} options.templates - Template override directory used for every repository
+ * @param {boolean} options.dryRun - Plan every repository and report without applying
+ * @param {string} options.report - Write the final report to this file
+ * @param {string} options.reportFormat - json or markdown (default: from the file extension)
+ */
+async function batch(repos = [], options = {}) {
+  const base = options.cwd || '.';
+  const concurrency = Number(options.concurrency || 1);
+  const reportFormat = options.reportFormat || (/\.json$/i.test(options.report || '') ? 'json' : 'markdown');
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error(chalk.red(`Error: --concurrency must be a positive integer, got ${options.concurrency}`));
+    process.exit(1);
+  }
+  if (!REPORT_FORMATS.includes(reportFormat)) {
+    console.error(chalk.red(`Error: Unknown report format: ${reportFormat} (expected ${REPORT_FORMATS.join(', ')})`));
+    process.exit(1);
+  }
+
+  const all = [...repos];
+  if (options.from) {
+    try {
+      all.push(...batchRunner.readPathsFile(path.resolve(base, options.from)));
+    } catch (err) {
+      console.error(chalk.red(`Error reading ${options.from}: ${err.message}`));
+      process.exit(1);
+    }
+  }
+  if (!all.length) {
+    console.error(chalk.red('Error: No repositories given (pass paths or --from <file>)'));
+    process.exit(1);
+  }
+
+  // Preset paths are the same for every repository, so a missing one stops the batch
+  let presetSpecs;
+  try {
+    presetSpecs = options.preset && presets.resolveSpecs(options.preset, base);
+    for (const spec of presetSpecs || []) {
+      if (path.isAbsolute(spec)) {
+        presets.resolvePreset(base, spec);
+      }
+    }
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  console.log(chalk.bold(`Planning ${all.length} repositories...\n`));
+  const templates = options.templates && path.resolve(base, options.templates);
+  let results = await batchRunner.planAll(all, { ...options, presets: presetSpecs, templates, concurrency });
+
+  const pending = results.filter(r => r.status === 'planned').length;
+  if (pending && !options.dryRun) {
+    console.log(formatter.formatBatchReport(results));
+
+    let confirmed = options.yes;
+    if (!confirmed) {
+      console.log();
+      confirmed = await prompts.confirm(`Apply changes to ${pending} repositories?`);
+    }
+    if (confirmed) {
+      console.log(chalk.bold(`\nApplying changes to ${pending} repositories...\n`));
+      results = await batchRunner.applyAll(results, { concurrency });
+    } else {
+      console.log(chalk.yellow('Cancelled. Nothing was applied.\n'));
+    }
+  }
+
+  console.log(formatter.formatBatchReport(results));
+
+  const count = status => results.filter(r => r.status === status).length;
+  const summary = `Summary: ${count('applied')} applied, ${count('planned')} planned, ` +
+    `${count('up-to-date')} up to date, ${count('failed')} failed`;
+  console.log(`\n${count('failed') ? chalk.red.bold(summary) : chalk.bold(summary)}`);
+
+  if (options.report) {
+    fs.outputFileSync(path.resolve(base, options.report), formatter.formatBatchReport(results, reportFormat) + '\n');
+    console.log(chalk.gray(`Report written to ${options.report}`));
+  }
+
+  if (batchRunner.hasFailures(results)) {
+    process.exit(1);
+  }
+}
+
+module.exports = batch;
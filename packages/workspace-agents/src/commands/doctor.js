@@ -0,0 +1,41 @@
+const chalk = require('chalk');
+const detector = require('../lib/project-detector');
+const doctorChecks = require('../lib/doctor');
+const formatter = require('../lib/output-formatter');
+const { resolveProjectRoot } = require('../lib/project-root');
+
+/**
+ * Doctor command - reports framework health without planning changes
+ * Exits non-zero when any check fails so it can gate CI.
+ * @param {object} options - Command options
+ * @param {string} options.cwd - Project directory
+ */
+async function doctor(options = {}) {
+  let projectRoot;
+  try {
+    projectRoot = resolveProjectRoot(undefined, options.cwd);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  const projectName = detector.detectProjectName(projectRoot);
+
+  console.log(chalk.bold(`Project: ${projectName}`));
+
+  let checks;
+  try {
+    checks = doctorChecks.runChecks(projectRoot);
+  } catch (err) {
+    console.error(chalk.red(`Error running checks: ${err.message}`));
+    process.exit(1);
+  }
+
+  formatter.printChecks(checks);
+
+  if (doctorChecks.hasFailures(checks)) {
+    process.exit(1);
+  }
+}
+
+module.exports = doctor;
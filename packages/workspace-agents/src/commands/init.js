@@ -1,33 +1,82 @@
+const path = require('path');
 const chalk = require('chalk');
 const detector = require('../lib/project-detector');
 const formatter = require('../lib/output-formatter');
 const prompts = require('../lib/prompts');
 const scaffold = require('../lib/scaffold');
 const upgrade = require('../lib/upgrade');
+const planFile = require('../lib/plan-file');
+const changeSelection = require('../lib/change-selection');
+const config = require('../lib/config');
+const templateLayers = require('../lib/template-layers');
+const presets = require('../lib/presets');
+const { WorkspaceAgentsError } = require('../lib/errors');
+const { resolveProjectRoot } = require('../lib/project-root');
 
 /**
  * Init command - scaffolds new or upgrades existing framework
+ * Options not given on the command line default to the project configuration's `defaults`.
+ * @param {string} [target] - Project directory (defaults to the working directory)
  * @param {object} options - Command options
+ * @param {string} options.cwd - Directory relative paths are resolved against
  * @param {boolean} options.force - Overwrite existing files
  * @param {boolean} options.yes - Skip confirmation prompts
  * @param {boolean} options.skipSymlinks - Skip symlink creation
+ * @param {string} options.skillConflicts - Locally modified skill files: skip, new or merge
+ * @param {boolean} options.workspaces - Monorepo workspace files: true to add, false to skip
+ * @param {boolean} options.strict - Fail when a template references a variable without a value
+ * @param {string[]} options.preset - Preset names or paths (relative to options.cwd), see presets.js
+ * @param {string} options.templates - Template override directory (relative to options.cwd)
+ * @param {boolean} options.dryRun - Show the plan and exit without applying
+ * @param {boolean} options.json - Print the plan as JSON and exit without applying
+ * @param {string} options.planOut - Write the plan to this file and exit without applying
+ * @param {boolean} options.interactive - Choose which planned changes to apply
+ * @param {boolean} options.showContent - Show the content of files that will be created
  */
-async function init(options = {}) {
-  const projectRoot = process.cwd();
+async function init(target, options = {}) {
+  let projectRoot;
+  try {
+    projectRoot = resolveProjectRoot(target, options.cwd);
+    const settings = config.load(projectRoot);
+    options = config.applyDefaults(options, settings);
+    if (options.preset) {
+      options.presets = presets.resolveSpecs(options.preset, options.cwd || '.');
+    }
+    if (options.templates) {
+      options.templates = path.resolve(options.cwd || '.', options.templates);
+    }
+    templateLayers.loadManifest(projectRoot, options, settings);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
   const projectName = detector.detectProjectName(projectRoot);
 
-  console.log(chalk.bold(`Project: ${projectName}`));
+  if (!options.json) {
+    console.log(chalk.bold(`Project: ${projectName}`));
+  }
 
   // Determine action based on existing structure
-  const { action, reason } = detector.determineAction(projectRoot);
+  const { action, reason, installedVersion, availableVersion } = detector.determineAction(projectRoot, options);
+
+  if (!options.json && action !== 'scaffold') {
+    console.log(chalk.gray(`Installed: ${installedVersion ? `v${installedVersion}` : 'unknown version'} (available v${availableVersion})`));
+  }
 
   if (action === 'none') {
+    if (options.json) {
+      console.log(formatter.formatPlanJson({ action, reason, projectRoot, changes: { type: 'none' } }));
+      return;
+    }
     console.log(chalk.green(`\n✓ ${reason}`));
     console.log(chalk.gray('Nothing to do.'));
     return;
   }
 
-  console.log(chalk.gray(`Action: ${action} (${reason})\n`));
+  if (!options.json) {
+    console.log(chalk.gray(`Action: ${action} (${reason})\n`));
+  }
 
   // Compute changes (doesn't apply them yet)
   let changes;
@@ -39,30 +88,60 @@ async function init(options = {}) {
     }
   } catch (err) {
     console.error(chalk.red(`Error planning changes: ${err.message}`));
-    console.error(chalk.red(err.stack));
+    // Typed errors describe the problem fully; anything else is a bug worth a stack trace
+    if (!(err instanceof WorkspaceAgentsError)) {
+      console.error(chalk.red(err.stack));
+    }
     process.exit(1);
   }
 
+  // Machine-readable plan: print and stop (never applies)
+  if (options.json) {
+    console.log(formatter.formatPlanJson({ action, reason, projectRoot, changes }));
+    return;
+  }
+
   // Show what will happen
-  formatter.printChanges(changes);
+  formatter.printChanges(changes, { ...options, projectRoot });
 
   // If no changes, exit
-  if (changes.type === 'none' ||
-      (!changes.directories?.length &&
-       !changes.files?.length &&
-       !changes.symlinks?.length &&
-       !changes.moves?.length &&
-       !changes.modifications?.length &&
-       !changes.creates?.length &&
-       !changes.newFiles?.length &&
-       !changes.skillsToCopy?.length &&
-       !changes.skillsToUpdate?.length &&
-       !changes.symlinkFixes?.length &&
-       !changes.legacy?.length)) {
+  if (!planFile.hasChanges(changes)) {
     console.log(chalk.green('\nNothing to do - framework is up to date.'));
     return;
   }
 
+  // Let the user pick a subset of the plan
+  if (options.interactive) {
+    const items = changeSelection.listItems(changes);
+    const selection = await prompts.multiSelect('Select changes to apply:', items.map(i => i.label));
+    changes = changeSelection.selectChanges(changes, items.filter((item, i) => selection[i]).map(i => i.id));
+
+    if (!planFile.hasChanges(changes)) {
+      console.log(chalk.yellow('\nNo changes selected.'));
+      return;
+    }
+    console.log();
+    console.log(formatter.formatSummary(changes));
+  }
+
+  // Save the plan for review and a later `workspace-agents apply`
+  if (options.planOut) {
+    const planPath = path.resolve(options.cwd || '.', options.planOut);
+    planFile.write(planPath, planFile.createPlan({ action, reason, projectRoot, changes }));
+    console.log(chalk.green(`\nPlan written to ${options.planOut}`));
+    // apply works on its --cwd, so point it at the project when that is not here
+    const applyCommand = projectRoot === process.cwd()
+      ? `apply ${options.planOut}`
+      : `--cwd ${projectRoot} apply ${planPath}`;
+    console.log(chalk.gray(`Apply it with: workspace-agents ${applyCommand}`));
+    return;
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.gray('\nDry run - no changes applied.'));
+    return;
+  }
+
   // Confirm (unless -y/--yes)
   if (!options.yes) {
     console.log();
@@ -74,18 +153,19 @@ async function init(options = {}) {
   }
 
   // Apply the changes
+  let result;
   try {
     if (action === 'upgrade') {
-      await upgrade.apply(changes, projectRoot);
+      result = await upgrade.apply(changes, projectRoot);
     } else {
-      await scaffold.apply(changes, projectRoot);
+      result = await scaffold.apply(changes, projectRoot);
     }
   } catch (err) {
-    console.error(chalk.red(`Error applying changes: ${err.message}`));
+    formatter.printApplyError(err);
     process.exit(1);
   }
 
-  formatter.printSuccess(changes);
+  formatter.printSuccess(changes, result);
 }
 
 module.exports = init;
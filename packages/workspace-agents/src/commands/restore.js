@@ -0,0 +1,81 @@
+const chalk = require('chalk');
+const detector = require('../lib/project-detector');
+const formatter = require('../lib/output-formatter');
+const prompts = require('../lib/prompts');
+const backup = require('../lib/backup');
+const restorePlan = require('../lib/restore');
+const { resolveProjectRoot } = require('../lib/project-root');
+
+/**
+ * Restore command - puts a backup snapshot from agents/.backups/ back
+ * @param {string} [timestamp] - Snapshot to restore (prompted for, or the newest with --yes)
+ * @param {object} options - Command options
+ * @param {string} options.cwd - Project directory
+ * @param {boolean} options.yes - Skip confirmation prompts
+ * @param {boolean} options.dryRun - Show the plan and exit without applying
+ */
+async function restore(timestamp, options = {}) {
+  let projectRoot;
+  try {
+    projectRoot = resolveProjectRoot(undefined, options.cwd);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  const projectName = detector.detectProjectName(projectRoot);
+
+  console.log(chalk.bold(`Project: ${projectName}`));
+
+  const snapshots = backup.list(projectRoot);
+  if (!snapshots.length) {
+    console.log(chalk.green(`\nNo backups found in ${backup.BACKUP_DIR}/. Nothing to restore.`));
+    return;
+  }
+
+  let id = timestamp;
+  if (!id && !options.yes && !options.dryRun) {
+    console.log();
+    const index = await prompts.select(
+      'Which backup should be restored?',
+      snapshots.map(s => `${s.id} (${s.files.length} files)`)
+    );
+    id = snapshots[index].id;
+  }
+
+  let changes;
+  try {
+    changes = restorePlan.plan(projectRoot, id);
+  } catch (err) {
+    console.error(chalk.red(`Error planning changes: ${err.message}`));
+    process.exit(1);
+  }
+
+  formatter.printChanges(changes);
+
+  if (options.dryRun) {
+    console.log(chalk.gray('\nDry run - no changes applied.'));
+    return;
+  }
+
+  if (!options.yes) {
+    console.log();
+    const confirmed = await prompts.confirm('Restore these files?');
+    if (!confirmed) {
+      console.log(chalk.yellow('Cancelled.'));
+      return;
+    }
+  }
+
+  let replaced;
+  try {
+    replaced = await restorePlan.apply(changes, projectRoot);
+  } catch (err) {
+    formatter.printApplyError(err);
+    process.exit(1);
+  }
+
+  formatter.printSuccess(changes, { backup: replaced });
+}
+
+module.exports = restore;
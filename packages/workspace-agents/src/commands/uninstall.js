@@ -0,0 +1,80 @@
+const chalk = require('chalk');
+const detector = require('../lib/project-detector');
+const formatter = require('../lib/output-formatter');
+const prompts = require('../lib/prompts');
+const uninstallPlan = require('../lib/uninstall');
+const planFile = require('../lib/plan-file');
+const { WorkspaceAgentsError } = require('../lib/errors');
+const { resolveProjectRoot } = require('../lib/project-root');
+
+/**
+ * Uninstall command - removes what the framework generated
+ * @param {object} options - Command options
+ * @param {string} options.cwd - Project directory
+ * @param {boolean} options.all - Also remove edited generated files and everything under agents/ except backups
+ * @param {boolean} options.yes - Skip confirmation prompts
+ * @param {boolean} options.dryRun - Show the plan and exit without applying
+ */
+async function uninstall(options = {}) {
+  let projectRoot;
+  try {
+    projectRoot = resolveProjectRoot(undefined, options.cwd);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  const projectName = detector.detectProjectName(projectRoot);
+
+  console.log(chalk.bold(`Project: ${projectName}`));
+
+  if (!detector.detectExistingFramework(projectRoot)) {
+    console.log(chalk.green('\nNo framework installed. Nothing to do.'));
+    return;
+  }
+
+  let changes;
+  try {
+    changes = await uninstallPlan.plan(projectRoot, options);
+  } catch (err) {
+    console.error(chalk.red(`Error planning changes: ${err.message}`));
+    // Typed errors describe the problem fully; anything else is a bug worth a stack trace
+    if (!(err instanceof WorkspaceAgentsError)) {
+      console.error(chalk.red(err.stack));
+    }
+    process.exit(1);
+  }
+
+  formatter.printChanges(changes);
+
+  if (!planFile.hasChanges(changes)) {
+    console.log(chalk.green('\nNothing to remove.'));
+    return;
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.gray('\nDry run - no changes applied.'));
+    return;
+  }
+
+  if (!options.yes) {
+    console.log();
+    const confirmed = await prompts.confirm('Remove these files?');
+    if (!confirmed) {
+      console.log(chalk.yellow('Cancelled.'));
+      return;
+    }
+  }
+
+  let backup;
+  try {
+    backup = await uninstallPlan.apply(changes, projectRoot);
+  } catch (err) {
+    formatter.printApplyError(err);
+    process.exit(1);
+  }
+
+  formatter.printSuccess(changes, { backup });
+}
+
+module.exports = uninstall;
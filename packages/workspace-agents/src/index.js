@@ -0,0 +1,178 @@
+/**
+ * Programmatic API (the package's `main` entry; the CLI lives in cli.js).
+ *
+ * Every function is async, takes an explicit project root, throws the typed
+ * errors from lib/errors.js and never prints or exits the process.
+ */
+const path = require('path');
+const fs = require('fs-extra');
+const detector = require('./lib/project-detector');
+const scaffold = require('./lib/scaffold');
+const upgrade = require('./lib/upgrade');
+const planFile = require('./lib/plan-file');
+const doctorChecks = require('./lib/doctor');
+const templateEngine = require('./lib/template-engine');
+const config = require('./lib/config');
+const templateLayers = require('./lib/template-layers');
+const errors = require('./lib/errors');
+const pkg = require('../package.json');
+
+/**
+ * Resolve and check a project root argument
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} - Absolute path
+ */
+function resolveRoot(projectRoot) {
+  if (typeof projectRoot !== 'string' || !projectRoot) {
+    throw new errors.InvalidOptionError('projectRoot must be a directory path', {
+      option: 'projectRoot',
+      value: projectRoot
+    });
+  }
+  const root = path.resolve(projectRoot);
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new errors.InvalidOptionError(`Project root is not a directory: ${root}`, {
+      option: 'projectRoot',
+      value: projectRoot
+    });
+  }
+  return root;
+}
+
+/**
+ * Inspect a project without planning changes
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<object>} - { projectRoot, projectName, installed, action, reason,
+ *   installedVersion, availableVersion, structure } where structure is
+ *   projectDetector.analyzeStructure() output
+ */
+async function analyze(projectRoot) {
+  const root = resolveRoot(projectRoot);
+  const structure = detector.analyzeStructure(root);
+  const { action, reason, installedVersion, availableVersion } = detector.determineAction(root, {}, structure);
+
+  return {
+    projectRoot: root,
+    projectName: detector.detectProjectName(root),
+    installed: detector.detectExistingFramework(root),
+    action,
+    reason,
+    installedVersion,
+    availableVersion,
+    structure
+  };
+}
+
+/**
+ * Plan a scaffold or upgrade, like `init --json`. Options not given default
+ * to the project configuration's `defaults`.
+ * @param {string} projectRoot - Project root directory
+ * @param {object} options - Options
+ * @param {boolean} options.force - Overwrite existing files
+ * @param {boolean} options.skipSymlinks - Skip symlink creation
+ * @param {string} options.skillConflicts - Locally modified skill files: skip, new (default) or merge
+ * @param {boolean} options.workspaces - Monorepo repo map and per-package AGENTS.md: true to add
+ *   them to an existing install, false to skip them (default: on for new installs)
+ * @param {boolean} options.strict - Throw UndefinedVariableError when a template outputs a
+ *   variable without a value (otherwise listed in changes.undefinedVariables)
+ * @param {string|string[]} options.templates - Template override directories, relative to
+ *   the project root (default: configured, else recorded at install)
+ * @param {string|string[]} options.presets - Preset names or paths relative to the project
+ *   root, layered under the template override directories (default: configured, else
+ *   recorded at install)
+ * @returns {Promise<object>} - Plan document (see README "JSON Plan Output")
+ */
+async function plan(projectRoot, options = {}) {
+  const root = resolveRoot(projectRoot);
+  options = config.applyDefaults(options, config.load(root));
+  const { action, reason } = detector.determineAction(root, options);
+
+  let changes = { type: 'none' };
+  if (action === 'upgrade') {
+    changes = await upgrade.plan(root, options);
+  } else if (action === 'scaffold') {
+    changes = await scaffold.plan(root, options);
+  }
+
+  return planFile.createPlan({ action, reason, projectRoot: root, changes });
+}
+
+/**
+ * Apply a plan from plan() (or a plan file saved with `init --plan-out`).
+ * Refuses plans whose files changed since planning. Runs as a transaction:
+ * on failure, completed steps are rolled back before ApplyError is thrown.
+ * @param {string} projectRoot - Project root directory
+ * @param {object|string} planDocument - Plan document, or path to a plan file
+ * @returns {Promise<{applied: boolean, changes: object, backup: string|null, warnings: string[]}>} -
+ *   backup is the id of the snapshot of replaced files in agents/.backups/; warnings list
+ *   symlinks the platform refused to create
+ */
+async function apply(projectRoot, planDocument) {
+  const root = resolveRoot(projectRoot);
+  const document = typeof planDocument === 'string'
+    ? planFile.read(planDocument)
+    : planFile.validate(planDocument);
+
+  const problems = planFile.verify(document, root);
+  if (problems.length) {
+    throw new errors.StalePlanError(problems);
+  }
+
+  const { changes } = document;
+  if (!planFile.hasChanges(changes)) {
+    return { applied: false, changes, backup: null, warnings: [] };
+  }
+
+  let result;
+  try {
+    result = changes.type === 'upgrade'
+      ? await upgrade.apply(changes, root)
+      : await scaffold.apply(changes, root);
+  } catch (err) {
+    throw new errors.ApplyError(err);
+  }
+  return { applied: true, changes, ...result };
+}
+
+/**
+ * Run the `doctor` health checks
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<{ok: boolean, checks: Array<{name: string, status: 'pass'|'warn'|'fail',
+ *   message: string, details: string[]}>}>} - ok is false when any check failed
+ */
+async function doctor(projectRoot) {
+  const root = resolveRoot(projectRoot);
+  const checks = doctorChecks.runChecks(root);
+  return { ok: !doctorChecks.hasFailures(checks), checks };
+}
+
+/**
+ * Render a template for a project, from its template override directories or the bundled ones
+ * @param {string} projectRoot - Project root directory (provides PROJECT_NAME, detected and configured variables)
+ * @param {string} name - Template filename (e.g. 'AGENTS.md.template')
+ * @param {object} variables - Extra or overriding template variables
+ * @param {object} options - Options
+ * @param {boolean} options.strict - Throw UndefinedVariableError instead of leaving
+ *   variables without a value as written
+ * @param {string|string[]} options.templates - Template override directories, as for plan()
+ * @param {string|string[]} options.presets - Preset names or paths, as for plan()
+ * @returns {Promise<string>}
+ */
+async function renderTemplate(projectRoot, name, variables = {}, options = {}) {
+  const root = resolveRoot(projectRoot);
+  const settings = config.load(root);
+  const defaults = detector.detectVariables(root);
+  const dirs = templateLayers.absolute(root, templateLayers.resolve(root, options, settings).dirs);
+  return templateEngine.loadAndRender(name, { ...defaults, ...settings.variables, ...variables },
+    { strict: options.strict, dirs });
+}
+
+module.exports = {
+  version: pkg.version,
+  analyze,
+  plan,
+  apply,
+  doctor,
+  renderTemplate,
+  ...errors
+};
@@ -0,0 +1,122 @@
+const path = require('path');
+const fs = require('fs-extra');
+const installState = require('./install-state');
+
+/**
+ * Directory holding one snapshot per apply, relative to the project root
+ */
+const BACKUP_DIR = 'agents/.backups';
+
+/**
+ * Tool-internal paths that are never backed up: they are rewritten on
+ * every run and restoring them would only undo the tool's own bookkeeping
+ */
+const EXCLUDED = [installState.STATE_FILE, path.posix.dirname(installState.BASE_DIR), BACKUP_DIR];
+
+/**
+ * Check whether a path's previous content belongs in a backup
+ * @param {string} relPath - Path relative to project root
+ * @param {object} options
+ * @param {boolean} options.state - Also back up the tool's state files (never the backups themselves)
+ * @returns {boolean}
+ */
+function isBackedUp(relPath, options = {}) {
+  const normalized = relPath.split(path.sep).join('/');
+  const excluded = options.state ? [BACKUP_DIR] : EXCLUDED;
+  return !excluded.some(dir => normalized === dir || normalized.startsWith(`${dir}/`));
+}
+
+/**
+ * Build a sortable, filesystem-safe snapshot id
+ * @param {Date} date - Snapshot time
+ * @returns {string} - e.g. "2026-01-31T09-15-02-123Z"
+ */
+function createTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * List the files, symlinks and empty directories in a snapshot (relative paths, forward slashes)
+ * @param {string} dir - Absolute snapshot directory
+ * @returns {string[]}
+ */
+function listEntries(dir) {
+  const results = [];
+  const walk = (current, prefix) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        const dir = path.join(current, entry.name);
+        if (fs.readdirSync(dir).length) {
+          walk(dir, rel);
+        } else {
+          results.push(rel);
+        }
+      } else if (entry.isFile() || entry.isSymbolicLink()) {
+        results.push(rel);
+      }
+    }
+  };
+  walk(dir, '');
+  return results.sort();
+}
+
+/**
+ * Save the original content of overwritten or removed paths as a new snapshot
+ * @param {string} projectRoot - Project root directory
+ * @param {Array<{path: string, source?: string, target?: string}>} entries - Project-relative
+ *   path and either the absolute location of its original content or, for a symlink, its target
+ * @returns {string|null} - Snapshot id, or null when there was nothing to save
+ */
+function save(projectRoot, entries) {
+  if (!entries.length) {
+    return null;
+  }
+
+  const root = path.join(projectRoot, BACKUP_DIR);
+  let id = createTimestamp();
+  for (let n = 1; fs.existsSync(path.join(root, id)); n++) {
+    id = `${createTimestamp()}-${n}`;
+  }
+
+  // Keep snapshots out of version control without touching the project's .gitignore
+  if (!fs.existsSync(path.join(root, '.gitignore'))) {
+    fs.outputFileSync(path.join(root, '.gitignore'), '*\n');
+  }
+
+  for (const entry of entries) {
+    const dest = path.join(root, id, entry.path);
+    if (entry.target !== undefined) {
+      fs.ensureDirSync(path.dirname(dest));
+      fs.symlinkSync(entry.target, dest);
+    } else {
+      fs.copySync(entry.source, dest);
+    }
+  }
+  return id;
+}
+
+/**
+ * List saved snapshots, newest first
+ * @param {string} projectRoot - Project root directory
+ * @returns {Array<{id: string, files: string[]}>}
+ */
+function list(projectRoot) {
+  const root = path.join(projectRoot, BACKUP_DIR);
+  if (!fs.existsSync(root)) {
+    return [];
+  }
+
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => ({ id: entry.name, files: listEntries(path.join(root, entry.name)) }))
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+module.exports = {
+  BACKUP_DIR,
+  isBackedUp,
+  createTimestamp,
+  save,
+  list
+};
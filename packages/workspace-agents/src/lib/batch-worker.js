@@ -0,0 +1,10 @@
+/**
+ * Child process entry for `batch --concurrency`: runs one task from
+ * batch.TASKS with the arguments it is sent, replies with the result and exits
+ */
+const { TASKS } = require('./batch');
+
+process.once('message', async ({ task, args }) => {
+  const result = await TASKS[task](...args);
+  process.send(result, () => process.disconnect());
+});
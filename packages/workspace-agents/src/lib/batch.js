@@ -0,0 +1,165 @@
+const path = require('path');
+const { fork } = require('child_process');
+const fs = require('fs-extra');
+const api = require('../index');
+const planFile = require('./plan-file');
+const changeSelection = require('./change-selection');
+const { resolveProjectRoot } = require('./project-root');
+
+/**
+ * Read repository paths from a file: one per line, blank lines and
+ * comments ignored, relative paths resolved against the file's directory.
+ * A "#" starts a comment at the start of a line or after whitespace, so
+ * paths such as repos/c#-tools are kept whole.
+ * @param {string} filePath - Paths file
+ * @returns {string[]}
+ */
+function readPathsFile(filePath) {
+  const dir = path.dirname(path.resolve(filePath));
+  return fs.readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .map(line => line.replace(/(^|\s)#.*/, '').trim())
+    .filter(Boolean)
+    .map(line => path.resolve(dir, line));
+}
+
+/**
+ * Script that runs one batch task in a child process (see runInChild)
+ */
+const WORKER = path.join(__dirname, 'batch-worker.js');
+
+/**
+ * Plan one repository. Failures are recorded in the result instead of thrown.
+ * @param {string} repo - Repository path as given
+ * @param {object} options - Options for api.plan() plus cwd
+ * @returns {Promise<object>} - Batch result (see planAll)
+ */
+async function planRepo(repo, options) {
+  const result = { repo, action: null, status: 'failed', changes: 0, backup: null, error: null };
+  try {
+    result.projectRoot = resolveProjectRoot(repo, options.cwd);
+    result.plan = await api.plan(result.projectRoot, options);
+    result.action = result.plan.action;
+    result.changes = changeSelection.listItems(result.plan.changes).length;
+    result.status = planFile.hasChanges(result.plan.changes) ? 'planned' : 'up-to-date';
+  } catch (err) {
+    result.error = err.message;
+  }
+  return result;
+}
+
+/**
+ * Apply one planned repository. Failures are recorded in the result instead of thrown.
+ * @param {object} result - Batch result with status "planned"
+ * @returns {Promise<object>} - Result with status "applied" or "failed"
+ */
+async function applyRepo(result) {
+  try {
+    const { backup, warnings } = await api.apply(result.projectRoot, result.plan);
+    return { ...result, status: 'applied', backup, warnings };
+  } catch (err) {
+    return { ...result, status: 'failed', error: err.message };
+  }
+}
+
+/**
+ * Tasks a child process can run, by name
+ */
+const TASKS = { plan: planRepo, apply: applyRepo };
+
+/**
+ * Run planRepo() or applyRepo() in a child process, so repositories are
+ * handled side by side even though planning and applying are synchronous
+ * file system work
+ * @param {'plan'|'apply'} task - Task name
+ * @param {Array} args - Arguments for the task (JSON-serializable)
+ * @param {object} failed - Result to report if the child exits without answering
+ * @returns {Promise<object>} - Batch result
+ */
+function runInChild(task, args, failed) {
+  return new Promise((resolve) => {
+    const child = fork(WORKER, [], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+    let answer = null;
+    child.on('message', (message) => {
+      answer = message;
+    });
+    child.on('error', (err) => {
+      answer = answer || { ...failed, status: 'failed', error: err.message };
+    });
+    child.on('exit', (code, signal) => {
+      resolve(answer || { ...failed, status: 'failed', error: `Worker exited with ${signal || `code ${code}`}` });
+    });
+    child.send({ task, args });
+  });
+}
+
+/**
+ * Run an async function over items with at most `limit` running at once
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {function(*): Promise<*>} fn - Called for each item
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Plan every repository. With a concurrency above 1, each repository is
+ * planned in its own child process.
+ * @param {string[]} repos - Repository paths (relative to options.cwd)
+ * @param {object} options - Options
+ * @param {string} options.cwd - Directory relative paths are resolved against
+ * @param {number} options.concurrency - Repositories handled at once (default 1)
+ * @param {boolean} options.force - Overwrite existing files
+ * @param {boolean} options.skipSymlinks - Skip symlink creation
+ * @param {string} options.skillConflicts - Locally modified skill files: skip, new or merge
+ * @param {boolean} options.workspaces - Monorepo workspace files: true to add, false to skip
+ * @returns {Promise<object[]>} - One result per repository, in order:
+ *   { repo, projectRoot, action, status: 'planned'|'up-to-date'|'failed', changes, backup, error, plan }
+ */
+async function planAll(repos, options = {}) {
+  const concurrency = options.concurrency || 1;
+  return mapLimit(repos, concurrency, repo => (concurrency > 1
+    ? runInChild('plan', [repo, options], { repo, action: null, changes: 0, backup: null })
+    : planRepo(repo, options)));
+}
+
+/**
+ * Apply the plans of every result with status "planned". Each repository is
+ * its own transaction; a failure is recorded and the batch carries on.
+ * @param {object[]} results - From planAll()
+ * @param {object} options
+ * @param {number} options.concurrency - Repositories handled at once, each in
+ *   its own child process when above 1 (default 1)
+ * @returns {Promise<object[]>} - Results with status "applied" or "failed"
+ */
+async function applyAll(results, options = {}) {
+  const concurrency = options.concurrency || 1;
+  return mapLimit(results, concurrency, (result) => {
+    if (result.status !== 'planned') {
+      return result;
+    }
+    return concurrency > 1 ? runInChild('apply', [result], result) : applyRepo(result);
+  });
+}
+
+/**
+ * Check whether any repository failed
+ * @param {object[]} results - From planAll() or applyAll()
+ * @returns {boolean}
+ */
+function hasFailures(results) {
+  return results.some(r => r.status === 'failed');
+}
+
+module.exports = { TASKS, readPathsFile, mapLimit, planAll, applyAll, hasFailures };
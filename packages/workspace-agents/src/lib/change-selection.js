@@ -0,0 +1,81 @@
+const formatter = require('./output-formatter');
+
+/**
+ * Selectable lists in a changes object, in the order they are applied,
+ * with a formatter for each item
+ */
+const SELECTABLE = {
+  scaffold: [
+    { key: 'directories', format: d => formatter.formatDirCreate(d) },
+    { key: 'files', format: f => formatter.formatFileCreate(f.path), when: f => f.action === 'create' },
+    { key: 'symlinks', format: s => formatter.formatSymlink(s.link, s.target) },
+    { key: 'gitignore', format: line => formatter.formatGitignoreAppend([line]) },
+    { key: 'skillsToCopy', format: s => formatter.formatSkillCopy(s) }
+  ],
+  upgrade: [
+    { key: 'moves', format: m => formatter.formatFileMove(m.from, m.to) },
+    { key: 'modifications', format: m => formatter.formatFileModify(m.path) },
+    { key: 'creates', format: c => formatter.formatFileCreate(c.path), when: c => !c.isDir },
+    { key: 'newFiles', format: f => formatter.formatFileCreate(f.path) },
+    { key: 'untrackedFiles', format: f => formatter.formatUntrackedFile(f) },
+    { key: 'templateUpdates', format: u => formatter.formatTemplateUpdate(u) },
+    { key: 'symlinks', format: s => formatter.formatSymlink(s.link, s.target) },
+    { key: 'symlinkFixes', format: f => formatter.formatSymlinkFix(f.link, f.target, f.reason) },
+    { key: 'gitignore', format: line => formatter.formatGitignoreAppend([line]) },
+    { key: 'skillsToCopy', format: s => formatter.formatSkillCopy(s) },
+    { key: 'skillsToUpdate', format: u => formatter.formatSkillUpdate(u) },
+    { key: 'legacy', format: l => formatter.formatLegacy(l.from, l.to) }
+  ]
+};
+
+/**
+ * List every individually selectable change
+ * @param {object} changes - Changes from scaffold.plan() or upgrade.plan()
+ * @returns {Array<{id: string, key: string, index: number, label: string}>}
+ *   id is "<key>:<index>" into the changes object
+ */
+function listItems(changes) {
+  const items = [];
+  for (const { key, format, when } of SELECTABLE[changes.type] || []) {
+    (changes[key] || []).forEach((item, index) => {
+      if (!when || when(item)) {
+        items.push({ id: `${key}:${index}`, key, index, label: format(item) });
+      }
+    });
+  }
+  return items;
+}
+
+/**
+ * Keep only the selected changes
+ *
+ * Items that are not selectable (skipped files, directory entries for
+ * creates) are kept as they are: they either do nothing or are only
+ * needed by selected items.
+ * @param {object} changes - Changes from scaffold.plan() or upgrade.plan()
+ * @param {string[]} selectedIds - Ids from listItems()
+ * @returns {object} - New changes object
+ */
+function selectChanges(changes, selectedIds) {
+  const selected = new Set(selectedIds);
+  const result = { ...changes };
+
+  for (const { key, when } of SELECTABLE[changes.type] || []) {
+    if (!changes[key]) continue;
+    result[key] = changes[key].filter((item, index) =>
+      (when && !when(item)) || selected.has(`${key}:${index}`)
+    );
+  }
+
+  // Only create directories still needed by a selected file
+  if (result.creates) {
+    const needed = result.creates.filter(c => !c.isDir).map(c => c.path);
+    result.creates = result.creates.filter(c =>
+      !c.isDir || needed.some(p => p.startsWith(c.path))
+    );
+  }
+
+  return result;
+}
+
+module.exports = { listItems, selectChanges };
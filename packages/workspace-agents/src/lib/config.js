@@ -0,0 +1,296 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { InvalidConfigError } = require('./errors');
+
+/**
+ * Configuration files, in the order they are looked for; the
+ * `workspace-agents` key in package.json is used when neither exists
+ */
+const CONFIG_FILES = ['.workspace-agentsrc.json', 'workspace-agents.config.js'];
+const PACKAGE_KEY = 'workspace-agents';
+
+/**
+ * Manifest paths belonging to each vendor's breadcrumbs
+ */
+const VENDORS = {
+  claude: ['CLAUDE.md', '.claude'],
+  cursor: ['.cursor'],
+  copilot: ['.github'],
+  gemini: ['GEMINI.md']
+};
+
+/**
+ * CLI options a config file may set defaults for, with their type
+ */
+const DEFAULT_OPTIONS = {
+  yes: 'boolean',
+  skipSymlinks: 'boolean',
+  skillConflicts: 'string',
+  workspaces: 'boolean',
+  strict: 'boolean'
+};
+
+/**
+ * Changes keys and the project paths each item touches, for filterChanges()
+ */
+const CHANGE_PATHS = {
+  directories: d => [d],
+  files: f => [f.path],
+  symlinks: s => [s.link],
+  gitignore: () => ['.gitignore'],
+  skillsToCopy: s => [`agents/skills/${s}`],
+  moves: m => [m.from, m.to],
+  modifications: m => [m.path],
+  creates: c => [c.path],
+  newFiles: f => [f.path],
+  templateUpdates: u => [u.path],
+  untrackedFiles: f => [f.path],
+  symlinkFixes: f => [f.link],
+  skillsToUpdate: u => [`agents/skills/${u.name}`],
+  legacy: l => [l.from, l.to]
+};
+
+/**
+ * Read the raw configuration object and where it came from
+ * @param {string} root - Project root directory
+ * @returns {{file: string, raw: *}|null} - null when the project has no configuration
+ */
+function readRaw(root) {
+  for (const file of CONFIG_FILES) {
+    const configPath = path.join(root, file);
+    if (!fs.existsSync(configPath)) {
+      continue;
+    }
+    try {
+      if (file.endsWith('.json')) {
+        return { file, raw: fs.readJsonSync(configPath) };
+      }
+      // Re-read on every call so edits are picked up by long-running callers
+      delete require.cache[require.resolve(configPath)];
+      return { file, raw: require(configPath) };
+    } catch (err) {
+      throw new InvalidConfigError(`Could not load ${file}: ${err.message}`, { file, key: null });
+    }
+  }
+
+  try {
+    const pkg = fs.readJsonSync(path.join(root, 'package.json'));
+    if (pkg[PACKAGE_KEY] !== undefined) {
+      return { file: 'package.json', raw: pkg[PACKAGE_KEY] };
+    }
+  } catch (e) {
+    // No readable package.json: no configuration
+  }
+  return null;
+}
+
+/**
+ * Check a raw configuration object and fill in defaults
+ * @param {*} raw - Parsed configuration
+ * @param {string} file - Where it came from (for error messages)
+ * @returns {object} - Normalized configuration (see load())
+ */
+function normalize(raw, file) {
+  const fail = (key, message) => {
+    throw new InvalidConfigError(`${file}: ${message}`, { file, key });
+  };
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const stringList = (key, allowed) => {
+    const value = raw[key];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      fail(key, `"${key}" must be an array of strings`);
+    }
+    const unknown = allowed ? value.filter(item => !allowed.includes(item)) : [];
+    if (unknown.length) {
+      fail(key, `unknown ${key} ${unknown.join(', ')} (expected ${allowed.join(', ')})`);
+    }
+    return value;
+  };
+
+  if (!isObject(raw)) {
+    fail(null, 'configuration must be an object');
+  }
+
+  const config = {
+    file,
+    vendors: Object.keys(VENDORS),
+    skills: null,
+    templates: null,
+    presets: null,
+    variables: {},
+    gitignore: [],
+    ignore: [],
+    defaults: {}
+  };
+  const keys = Object.keys(config).filter(key => key !== 'file');
+
+  for (const key of Object.keys(raw)) {
+    if (!keys.includes(key)) {
+      fail(key, `unknown key "${key}" (expected ${keys.join(', ')})`);
+    }
+  }
+
+  if (raw.vendors !== undefined) {
+    config.vendors = stringList('vendors', Object.keys(VENDORS));
+  }
+  // Skill names are checked against the layered manifest in mergeManifest()
+  if (raw.skills !== undefined) {
+    config.skills = stringList('skills');
+  }
+  if (raw.templates !== undefined) {
+    config.templates = typeof raw.templates === 'string' ? [raw.templates] : stringList('templates');
+  }
+  if (raw.presets !== undefined) {
+    config.presets = typeof raw.presets === 'string' ? [raw.presets] : stringList('presets');
+  }
+  if (raw.gitignore !== undefined) {
+    config.gitignore = stringList('gitignore');
+  }
+  if (raw.ignore !== undefined) {
+    config.ignore = stringList('ignore');
+  }
+
+  if (raw.variables !== undefined) {
+    if (!isObject(raw.variables)) {
+      fail('variables', '"variables" must be an object');
+    }
+    for (const [name, value] of Object.entries(raw.variables)) {
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        fail('variables', `variable ${name} must be a string, number or boolean`);
+      }
+      config.variables[name] = String(value);
+    }
+  }
+
+  if (raw.defaults !== undefined) {
+    if (!isObject(raw.defaults)) {
+      fail('defaults', '"defaults" must be an object');
+    }
+    for (const [name, value] of Object.entries(raw.defaults)) {
+      if (!DEFAULT_OPTIONS[name]) {
+        fail('defaults', `unknown default "${name}" (expected ${Object.keys(DEFAULT_OPTIONS).join(', ')})`);
+      }
+      if (typeof value !== DEFAULT_OPTIONS[name]) {
+        fail('defaults', `default ${name} must be a ${DEFAULT_OPTIONS[name]}`);
+      }
+    }
+    config.defaults = { ...raw.defaults };
+  }
+
+  return config;
+}
+
+/**
+ * Load the project configuration
+ * @param {string} root - Project root directory
+ * @returns {{file: string|null, vendors: string[], skills: string[]|null, templates: string[]|null,
+ *   presets: string[]|null, variables: object, gitignore: string[], ignore: string[], defaults: object}}
+ *   file is null and every setting at its default when the project has no configuration; skills
+ *   null means the bundled default, templates and presets null mean not configured (see
+ *   template-layers.js and presets.js)
+ * @throws {InvalidConfigError}
+ */
+function load(root) {
+  const found = readRaw(root);
+  return found ? normalize(found.raw, found.file) : normalize({}, null);
+}
+
+/**
+ * Check a path against the `ignore` patterns. A pattern matches the path itself
+ * and everything below it; `*` matches within a path segment and `**` across them.
+ * @param {object} config - From load()
+ * @param {string} relPath - Project-relative path
+ * @returns {boolean}
+ */
+function isIgnored(config, relPath) {
+  const normalized = relPath.split(path.sep).join('/').replace(/\/+$/, '');
+  return config.ignore.some((pattern) => {
+    const source = pattern.replace(/^\.\//, '').replace(/\/+$/, '')
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*\/|\*\*|\*/g, m => ({ '**/': '(?:.*/)?', '**': '.*', '*': '[^/]*' })[m]);
+    return new RegExp(`^${source}(?:/.*)?$`).test(normalized);
+  });
+}
+
+/**
+ * Apply the configuration to the template manifest: drop breadcrumbs of
+ * vendors not listed, install only the configured skills among those the
+ * manifest provides (bundled, preset and override skills) and add gitignore lines.
+ * With `defaults.skipSymlinks` no symlinks are expected, so checks do not report them missing.
+ * @param {object} manifest - Layered manifest (see template-layers.js)
+ * @param {object} config - From load()
+ * @returns {object} - Manifest of the same shape
+ * @throws {InvalidConfigError} - When a configured skill is not in the manifest
+ */
+function mergeManifest(manifest, config) {
+  const excluded = Object.keys(VENDORS)
+    .filter(vendor => !config.vendors.includes(vendor))
+    .flatMap(vendor => VENDORS[vendor]);
+  const included = relPath => !excluded.some(prefix => relPath === prefix || relPath.startsWith(`${prefix}/`));
+  const available = manifest.skillsToCopy || [];
+  const unknown = (config.skills || []).filter(name => !available.includes(name));
+  if (unknown.length) {
+    throw new InvalidConfigError(`${config.file}: unknown skills ${unknown.join(', ')} (expected ${available.join(', ')})`,
+      { file: config.file, key: 'skills' });
+  }
+  const skills = config.skills ? available.filter(name => config.skills.includes(name)) : available;
+  const symlinks = config.defaults.skipSymlinks ? [] : (manifest.symlinks || []);
+
+  return {
+    ...manifest,
+    directories: manifest.directories.filter(included),
+    files: manifest.files.filter(f => included(f.dest)),
+    symlinks: symlinks.filter(s => included(s.link) && skills.includes(path.posix.basename(s.target))),
+    gitignoreAppend: [...new Set([...(manifest.gitignoreAppend || []), ...config.gitignore])],
+    skillsToCopy: skills
+  };
+}
+
+/**
+ * Drop planned changes touching ignored paths. Scaffolded files are kept as
+ * skips so the plan shows why they are left alone.
+ * @param {object} changes - Changes from scaffold.plan() or upgrade.plan()
+ * @param {object} config - From load()
+ * @returns {object} - New changes object
+ */
+function filterChanges(changes, config) {
+  if (!config.ignore.length) {
+    return changes;
+  }
+
+  const ignored = (key, item) => CHANGE_PATHS[key](item).some(p => isIgnored(config, p));
+  const result = { ...changes };
+  for (const key of Object.keys(CHANGE_PATHS)) {
+    if (!Array.isArray(changes[key])) continue;
+    if (key === 'files' && changes.type === 'scaffold') {
+      result.files = changes.files.map(f => (f.action === 'create' && ignored(key, f)
+        ? { action: 'skip', path: f.path, reason: 'ignored in config' }
+        : f));
+    } else {
+      result[key] = changes[key].filter(item => !ignored(key, item));
+    }
+  }
+  return result;
+}
+
+/**
+ * Fill in options the user did not give from the configured defaults
+ * @param {object} options - Command or API options
+ * @param {object} config - From load()
+ * @returns {object} - New options object
+ */
+function applyDefaults(options, config) {
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  return { ...config.defaults, ...given };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  PACKAGE_KEY,
+  VENDORS,
+  load,
+  isIgnored,
+  mergeManifest,
+  filterChanges,
+  applyDefaults
+};
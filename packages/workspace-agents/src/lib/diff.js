@@ -0,0 +1,154 @@
+/**
+ * Split text into lines. A trailing newline does not produce an extra empty line.
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (text === '') {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Find the longest common subsequence between two line arrays
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<[number, number]>} - Matched index pairs [indexInA, indexInB], in order
+ */
+function lcs(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Compute a line-based edit script between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @returns {Array<{type: 'equal'|'delete'|'insert', line: string}>}
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const ops = [];
+  let i = 0;
+  let j = 0;
+
+  for (const [ai, bj] of [...lcs(a, b), [a.length, b.length]]) {
+    while (i < ai) ops.push({ type: 'delete', line: a[i++] });
+    while (j < bj) ops.push({ type: 'insert', line: b[j++] });
+    if (ai < a.length) {
+      ops.push({ type: 'equal', line: a[ai] });
+      i++;
+      j++;
+    }
+  }
+  return ops;
+}
+
+/**
+ * Group an edit script into hunks with surrounding context
+ * @param {Array<{type: string, line: string}>} ops - From diffLines()
+ * @param {number} context - Unchanged lines to keep around each change
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, ops: object[]}>}
+ *   Start lines are 1-based
+ */
+function groupHunks(ops, context) {
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let lastChange = -Infinity;
+
+  ops.forEach((op, index) => {
+    if (op.type !== 'equal') {
+      const start = Math.max(index - context, current ? current.end : 0);
+      if (!current || start > current.end) {
+        // Start a new hunk, backing up over the leading (unchanged) context
+        const lead = index - start;
+        current = { oldStart: oldLine - lead, newStart: newLine - lead, begin: start, end: start };
+        hunks.push(current);
+      }
+      lastChange = index;
+    }
+    if (current && index <= lastChange + context) {
+      current.end = index + 1;
+    }
+    if (op.type !== 'insert') oldLine++;
+    if (op.type !== 'delete') newLine++;
+  });
+
+  return hunks.map(({ oldStart, newStart, begin, end }) => {
+    const hunkOps = ops.slice(begin, end);
+    return {
+      oldStart,
+      oldLines: hunkOps.filter(op => op.type !== 'insert').length,
+      newStart,
+      newLines: hunkOps.filter(op => op.type !== 'delete').length,
+      ops: hunkOps
+    };
+  });
+}
+
+/**
+ * Produce a unified diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @param {object} options
+ * @param {string} options.oldLabel - Name shown on the --- line
+ * @param {string} options.newLabel - Name shown on the +++ line
+ * @param {number} options.context - Unchanged lines around each change (default 3)
+ * @returns {string} - Empty string if the texts are identical
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+  const hunks = groupHunks(diffLines(oldText, newText), context);
+  if (!hunks.length) {
+    return '';
+  }
+
+  // An empty range starts at the line before it, as in GNU diff
+  const range = (start, count) => `${count ? start : start - 1},${count}`;
+  const prefix = { equal: ' ', delete: '-', insert: '+' };
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const hunk of hunks) {
+    lines.push(`@@ -${range(hunk.oldStart, hunk.oldLines)} +${range(hunk.newStart, hunk.newLines)} @@`);
+    for (const op of hunk.ops) {
+      lines.push(prefix[op.type] + op.line);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = { splitLines, lcs, diffLines, unifiedDiff };
@@ -0,0 +1,228 @@
+const path = require('path');
+const fs = require('fs-extra');
+const detector = require('./project-detector');
+const symlinkOps = require('./symlink-ops');
+const config = require('./config');
+const templateLayers = require('./template-layers');
+const { isNewer } = require('./version-checker');
+const pkg = require('../../package.json');
+
+/**
+ * Build a check result
+ * @param {string} id - Stable check identifier
+ * @param {string} name - Human-readable check name
+ * @param {'pass'|'warn'|'fail'} status - Check outcome
+ * @param {string} message - Short explanation
+ * @param {string[]} details - Individual problems found
+ * @returns {{id: string, name: string, status: string, message: string, details: string[]}}
+ */
+function result(id, name, status, message, details = []) {
+  return { id, name, status, message, details };
+}
+
+/**
+ * Check that the project configuration file, if any, the presets and the
+ * template override directories are valid
+ * @param {string} root - Project root directory
+ * @returns {object}
+ */
+function checkConfig(root) {
+  try {
+    const settings = config.load(root);
+    const layers = templateLayers.loadManifest(root, {}, settings);
+    const parts = [settings.file ? `Using ${settings.file}` : 'No configuration file (using defaults)'];
+    if (layers.presets.length) {
+      parts.push(`presets ${layers.presets.map(p => (p.version === null ? p.name : `${p.name} v${p.version}`)).join(', ')}`);
+    }
+    if (layers.templates.length) {
+      parts.push(`templates from ${layers.templates.join(', ')}`);
+    }
+    return result('config', 'Configuration', 'pass', parts.join('; '));
+  } catch (err) {
+    return result('config', 'Configuration', 'fail', err.message);
+  }
+}
+
+/**
+ * Check that the framework is installed at all
+ * @param {string} root - Project root directory
+ * @returns {object}
+ */
+function checkInstalled(root) {
+  if (detector.detectExistingFramework(root)) {
+    return result('installed', 'Framework installed', 'pass', 'agents/ or AGENTS.md found');
+  }
+  return result('installed', 'Framework installed', 'fail',
+    'No framework found (run workspace-agents init)');
+}
+
+/**
+ * Check for pre-skills layout (agents/tools, plans-local)
+ * @param {object} analysis - Result of detector.analyzeStructure()
+ * @returns {object}
+ */
+function checkOldStructure(analysis) {
+  const found = [];
+  if (analysis.details.hasTools) found.push('agents/tools');
+  if (analysis.details.hasOldPlansLocal) found.push('plans-local');
+
+  if (found.length) {
+    return result('old-structure', 'Directory layout', 'fail',
+      'Old framework structure detected (run workspace-agents update)', found);
+  }
+  return result('old-structure', 'Directory layout', 'pass', 'Current structure');
+}
+
+/**
+ * Check that every bundled skill is present in agents/skills
+ * @param {object} analysis - Result of detector.analyzeStructure()
+ * @returns {object}
+ */
+function checkSkills(analysis) {
+  if (!analysis.details.hasSkills) {
+    return result('skills', 'Bundled skills', 'fail', 'agents/skills/ is missing');
+  }
+  if (analysis.details.missingSkills.length) {
+    return result('skills', 'Bundled skills', 'fail',
+      `${analysis.details.missingSkills.length} bundled skill(s) missing`,
+      analysis.details.missingSkills.map(s => `agents/skills/${s}`));
+  }
+  return result('skills', 'Bundled skills', 'pass', 'All bundled skills present');
+}
+
+/**
+ * Check Claude Skills symlinks
+ * @param {string} root - Project root directory
+ * @param {object} manifest - Template manifest
+ * @returns {object}
+ */
+function checkSymlinks(root, manifest) {
+  if (!manifest.symlinks?.length) {
+    return result('symlinks', 'Skill symlinks', 'pass', 'No symlinks expected');
+  }
+  if (!symlinkOps.isSymlinkSupported()) {
+    return result('symlinks', 'Skill symlinks', 'warn', 'Symlinks not supported on this system');
+  }
+
+  const problems = symlinkOps.validateSymlinks(manifest.symlinks, root)
+    .filter(r => r.status !== 'valid')
+    .map(r => {
+      if (r.status === 'wrong_target') {
+        return `${r.link} (wrong target: ${r.actual}, expected ${r.expected})`;
+      }
+      return `${r.link} (${r.status})`;
+    });
+
+  if (problems.length) {
+    return result('symlinks', 'Skill symlinks', 'fail',
+      `${problems.length} broken or missing symlink(s)`, problems);
+  }
+  return result('symlinks', 'Skill symlinks', 'pass', 'All symlinks valid');
+}
+
+/**
+ * Check that every file from the manifest (and every workspace file of a
+ * monorepo install) exists and follows the current templates
+ * @param {string} root - Project root directory
+ * @param {object} manifest - Template manifest merged with the project configuration
+ * @param {object} analysis - Result of detector.analyzeStructure()
+ * @param {object} settings - Project configuration (ignored paths are not checked)
+ * @returns {object}
+ */
+function checkTemplateFiles(root, manifest, analysis, settings) {
+  const missing = manifest.files
+    .filter(f => !f.skipIfExists)
+    .map(f => f.dest)
+    .filter(dest => !fs.existsSync(path.join(root, dest)) && !config.isIgnored(settings, dest));
+
+  if (missing.length) {
+    return result('files', 'Template files', 'fail',
+      `${missing.length} template file(s) missing`, missing);
+  }
+
+  // Workspace files are only warned about: a new package without AGENTS.md still works
+  const manifestPaths = manifest.files.map(f => f.dest);
+  const missingWorkspaceFiles = analysis.details.missingFiles.filter(dest => !manifestPaths.includes(dest));
+  if (missingWorkspaceFiles.length) {
+    return result('files', 'Template files', 'warn',
+      `${missingWorkspaceFiles.length} workspace file(s) missing`,
+      missingWorkspaceFiles.map(dest => `${dest} (run update to create)`));
+  }
+
+  const updates = analysis.details.templateUpdates;
+  if (updates.length) {
+    return result('files', 'Template files', 'warn',
+      `${updates.length} template update(s) available`,
+      updates.map(u => `${u.path} (${u.action === 'merge' ? 'customized, update available' : 'update available'})`));
+  }
+
+  const untracked = analysis.details.untrackedFiles;
+  if (untracked.length) {
+    return result('files', 'Template files', 'warn',
+      `${untracked.length} generated file(s) not tracked, template updates cannot be detected`,
+      untracked.map(f => `${f.path} (run update to track)`));
+  }
+  return result('files', 'Template files', 'pass', 'All template files present');
+}
+
+/**
+ * Check installed framework version against this package
+ * @param {string} root - Project root directory
+ * @returns {object}
+ */
+function checkVersion(root) {
+  const installed = detector.getFrameworkVersion(root);
+
+  if (!installed) {
+    return result('version', 'Framework version', 'warn',
+      `Installed version unknown (available v${pkg.version})`);
+  }
+  if (isNewer(pkg.version, installed)) {
+    return result('version', 'Framework version', 'warn',
+      `Installed v${installed}, available v${pkg.version}`);
+  }
+  return result('version', 'Framework version', 'pass', `v${installed}`);
+}
+
+/**
+ * Run all health checks without changing anything
+ * @param {string} root - Project root directory
+ * @returns {Array<{id: string, name: string, status: 'pass'|'warn'|'fail', message: string, details: string[]}>}
+ */
+function runChecks(root) {
+  const installed = checkInstalled(root);
+  if (installed.status === 'fail') {
+    return [installed];
+  }
+
+  // The remaining checks depend on the configuration
+  const configured = checkConfig(root);
+  if (configured.status === 'fail') {
+    return [installed, configured];
+  }
+
+  const settings = config.load(root);
+  const { manifest } = templateLayers.loadManifest(root, {}, settings);
+  const analysis = detector.analyzeStructure(root);
+
+  return [
+    installed,
+    configured,
+    checkOldStructure(analysis),
+    checkSkills(analysis),
+    checkSymlinks(root, { ...manifest, symlinks: manifest.symlinks.filter(s => !config.isIgnored(settings, s.link)) }),
+    checkTemplateFiles(root, manifest, analysis, settings),
+    checkVersion(root)
+  ];
+}
+
+/**
+ * Check whether any result failed
+ * @param {Array<{status: string}>} results - Results from runChecks()
+ * @returns {boolean}
+ */
+function hasFailures(results) {
+  return results.some(r => r.status === 'fail');
+}
+
+module.exports = { runChecks, hasFailures };
@@ -0,0 +1,165 @@
+/**
+ * Base class for errors thrown by workspace-agents.
+ * `code` is stable and meant for programmatic handling; messages may change.
+ */
+class WorkspaceAgentsError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {string} code - Stable error code
+   * @param {object} details - Extra properties copied onto the error
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * An option has an unsupported value
+ */
+class InvalidOptionError extends WorkspaceAgentsError {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {object} details - { option, value, expected }
+   */
+  constructor(message, details) {
+    super(message, 'INVALID_OPTION', details);
+  }
+}
+
+/**
+ * The project configuration file is unreadable or has an unsupported value
+ */
+class InvalidConfigError extends WorkspaceAgentsError {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {object} details - { file, key }
+   */
+  constructor(message, details) {
+    super(message, 'INVALID_CONFIG', details);
+  }
+}
+
+/**
+ * A bundled template or the template manifest is missing
+ */
+class TemplateNotFoundError extends WorkspaceAgentsError {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {object} details - { template }
+   */
+  constructor(message, details) {
+    super(message, 'TEMPLATE_NOT_FOUND', details);
+  }
+}
+
+/**
+ * A preset could not be found locally
+ */
+class PresetNotFoundError extends WorkspaceAgentsError {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {object} details - { preset, searched }
+   */
+  constructor(message, details) {
+    super(message, 'PRESET_NOT_FOUND', details);
+  }
+}
+
+/**
+ * A template has unbalanced or malformed block tags
+ */
+class TemplateSyntaxError extends WorkspaceAgentsError {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {object} details - { template, line }
+   */
+  constructor(message, details) {
+    super(message, 'TEMPLATE_SYNTAX', details);
+  }
+}
+
+/**
+ * Strict rendering found variables without a value
+ */
+class UndefinedVariableError extends WorkspaceAgentsError {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {object} details - { files: { path, template, variables }[] }; path is null
+   *   when a template was rendered on its own
+   */
+  constructor(message, details) {
+    super(message, 'UNDEFINED_VARIABLE', details);
+  }
+}
+
+/**
+ * A plan document is unreadable or malformed
+ */
+class InvalidPlanError extends WorkspaceAgentsError {
+  /**
+   * @param {string} message - Human-readable description
+   */
+  constructor(message) {
+    super(message, 'INVALID_PLAN');
+  }
+}
+
+/**
+ * Files a plan depends on changed since it was created
+ */
+class StalePlanError extends WorkspaceAgentsError {
+  /**
+   * @param {Array<{path: string|null, reason: string}>} problems - From planFile.verify()
+   */
+  constructor(problems) {
+    super(`Plan is out of date: ${problems.map(p => (p.path ? `${p.path} ${p.reason}` : p.reason)).join('; ')}`,
+      'STALE_PLAN', { problems });
+  }
+}
+
+/**
+ * Applying changes failed. Completed steps were rolled back unless
+ * `rollbackErrors` lists steps that could not be undone.
+ */
+class ApplyError extends WorkspaceAgentsError {
+  /**
+   * @param {Error} cause - Error thrown by the failing step
+   */
+  constructor(cause) {
+    super(cause.message, 'APPLY_FAILED', {
+      cause,
+      rolledBack: Boolean(cause.rolledBack),
+      rollbackErrors: cause.rollbackErrors || []
+    });
+  }
+}
+
+/**
+ * A requested backup snapshot does not exist
+ */
+class BackupNotFoundError extends WorkspaceAgentsError {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {object} details - { backup, available }
+   */
+  constructor(message, details) {
+    super(message, 'BACKUP_NOT_FOUND', details);
+  }
+}
+
+module.exports = {
+  WorkspaceAgentsError,
+  InvalidOptionError,
+  InvalidConfigError,
+  TemplateNotFoundError,
+  PresetNotFoundError,
+  TemplateSyntaxError,
+  UndefinedVariableError,
+  InvalidPlanError,
+  StalePlanError,
+  ApplyError,
+  BackupNotFoundError
+};
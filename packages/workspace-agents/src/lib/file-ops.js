@@ -115,6 +115,34 @@ function appendGitignore(root, lines) {
   return added;
 }
 
+/**
+ * Remove the block appendGitignore() added
+ * Only the "# Workspace Agents" header and the given lines directly below it are removed.
+ * @param {string} content - .gitignore content
+ * @param {string[]} lines - Lines the tool added
+ * @returns {{content: string, removed: string[]}} - Remaining content and the lines removed
+ */
+function removeGitignoreBlock(content, lines) {
+  const kept = [];
+  const removed = [];
+  let inBlock = false;
+
+  for (const line of content.split('\n')) {
+    if (line === '# Workspace Agents') {
+      inBlock = true;
+      continue;
+    }
+    if (inBlock && lines.includes(line)) {
+      removed.push(line);
+      continue;
+    }
+    inBlock = false;
+    kept.push(line);
+  }
+
+  return { content: kept.join('\n'), removed };
+}
+
 /**
  * Copy directory recursively
  * @param {string} src - Source directory
@@ -141,6 +169,7 @@ module.exports = {
   readFile,
   appendFile,
   appendGitignore,
+  removeGitignoreBlock,
   copyDir,
   remove
 };
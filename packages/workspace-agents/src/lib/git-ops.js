@@ -89,6 +89,42 @@ function getCurrentBranch(dir) {
   }
 }
 
+/**
+ * Get the default branch: the branch origin's HEAD points at, else the current branch
+ * @param {string} dir - Directory path
+ * @returns {string|null}
+ */
+function getDefaultBranch(dir) {
+  try {
+    return execSync('git symbolic-ref --short refs/remotes/origin/HEAD', {
+      cwd: dir,
+      encoding: 'utf-8',
+      stdio: 'pipe'
+    }).trim().replace(/^origin\//, '');
+  } catch (e) {
+    return getCurrentBranch(dir) || null;
+  }
+}
+
+/**
+ * Get the URL of the origin remote (or the first remote), without credentials
+ * @param {string} dir - Directory path
+ * @returns {string|null}
+ */
+function getRemoteUrl(dir) {
+  try {
+    const remotes = execSync('git remote', { cwd: dir, encoding: 'utf-8', stdio: 'pipe' }).split('\n').filter(Boolean);
+    const remote = remotes.includes('origin') ? 'origin' : remotes[0];
+    if (!remote) {
+      return null;
+    }
+    const url = execSync(`git remote get-url "${remote}"`, { cwd: dir, encoding: 'utf-8', stdio: 'pipe' }).trim();
+    return url.replace(/^(https?:\/\/)[^@/]+@/, '$1') || null;
+  } catch (e) {
+    return null;
+  }
+}
+
 /**
  * Check if file is tracked by git
  * @param {string} filePath - File path (relative to cwd)
@@ -112,5 +148,7 @@ module.exports = {
   isGitClean,
   gitMv,
   getCurrentBranch,
+  getDefaultBranch,
+  getRemoteUrl,
   isTracked
 };
@@ -0,0 +1,302 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const pkg = require('../../package.json');
+
+/**
+ * Location of the state file, relative to the project root
+ */
+const STATE_FILE = 'agents/.workspace-agents.json';
+
+/**
+ * Directory holding the originally rendered template for each generated file.
+ * Used as the common ancestor when merging template updates into edited files.
+ */
+const BASE_DIR = 'agents/.workspace-agents/base';
+
+/**
+ * Bump when the state file layout changes incompatibly
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Compute a content checksum
+ * @param {string|Buffer} content - File content
+ * @returns {string} - "sha256:<hex>"
+ */
+function checksum(content) {
+  return 'sha256:' + crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Compute the checksum of a file on disk
+ * @param {string} filePath - Absolute file path
+ * @returns {string|null} - null if the file does not exist
+ */
+function hashFile(filePath) {
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return null;
+  }
+  return checksum(fs.readFileSync(filePath));
+}
+
+/**
+ * List files in a directory recursively (relative paths, forward slashes).
+ * node_modules is skipped, matching what ships in the package.
+ * @param {string} dir - Absolute directory path
+ * @returns {string[]}
+ */
+function listFiles(dir) {
+  const results = [];
+  const walk = (current, prefix) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (entry.name === 'node_modules') continue;
+        walk(path.join(current, entry.name), rel);
+      } else if (entry.isFile()) {
+        results.push(rel);
+      }
+    }
+  };
+  walk(dir, '');
+  return results.sort();
+}
+
+/**
+ * Create an empty state object
+ * @returns {object}
+ */
+function createState() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    frameworkVersion: pkg.version,
+    files: {},
+    symlinks: {},
+    skills: {},
+    gitignore: [],
+    migrations: { applied: [] }
+  };
+}
+
+/**
+ * Load the state file from a project
+ * @param {string} root - Project root directory
+ * @returns {object|null} - null if no state file exists or it cannot be parsed
+ */
+function load(root) {
+  const statePath = path.join(root, STATE_FILE);
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+  try {
+    return { ...createState(), ...fs.readJsonSync(statePath) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Load the state file, or start a new one
+ * @param {string} root - Project root directory
+ * @returns {object}
+ */
+function loadOrCreate(root) {
+  return load(root) || createState();
+}
+
+/**
+ * Record a file generated from a template. The checksum is that of the
+ * rendered template, so a file holding merged local edits stays "modified".
+ * @param {object} state - State object
+ * @param {string} relPath - File path relative to project root
+ * @param {object} info
+ * @param {string} info.template - Template the file was rendered from
+ * @param {string} info.content - Rendered template content
+ * @param {object} info.variables - Variables used for rendering
+ */
+function recordFile(state, relPath, { template, content, variables }) {
+  state.files[relPath] = {
+    template,
+    frameworkVersion: pkg.version,
+    checksum: checksum(content),
+    variables
+  };
+}
+
+/**
+ * Record a symlink created by the tool
+ * @param {object} state - State object
+ * @param {string} link - Link path relative to project root
+ * @param {string} target - Link target
+ */
+function recordSymlink(state, link, target) {
+  state.symlinks[link] = { target };
+}
+
+/**
+ * Record a bundled skill copied into the project, with per-file checksums
+ * @param {object} state - State object
+ * @param {string} name - Skill name
+ * @param {string} srcDir - Absolute path of the bundled skill that was copied
+ */
+function recordSkill(state, name, srcDir) {
+  const files = {};
+  for (const rel of listFiles(srcDir)) {
+    files[rel] = hashFile(path.join(srcDir, rel));
+  }
+  state.skills[name] = {
+    source: 'bundled',
+    frameworkVersion: pkg.version,
+    files
+  };
+}
+
+/**
+ * Record lines the tool appended to .gitignore
+ * @param {object} state - State object
+ * @param {string[]} lines - Lines added
+ */
+function recordGitignore(state, lines) {
+  for (const line of lines) {
+    if (!state.gitignore.includes(line)) {
+      state.gitignore.push(line);
+    }
+  }
+}
+
+/**
+ * Record the template override directories files were rendered with, so later
+ * runs without --templates or a configured `templates` resolve the same ones
+ * @param {object} state - State object
+ * @param {string[]} dirs - Project-relative directories (none removes the record)
+ */
+function recordTemplates(state, dirs = []) {
+  if (dirs.length) {
+    state.templates = dirs;
+  } else {
+    delete state.templates;
+  }
+}
+
+/**
+ * Record the presets files were rendered with, so later runs resolve them again
+ * @param {object} state - State object
+ * @param {Array<{spec: string, name: string, version: string|null}>} presets - Resolved presets
+ *   (none removes the record)
+ */
+function recordPresets(state, presets = []) {
+  if (presets.length) {
+    state.presets = presets.map(({ spec, name, version }) => ({ spec, name, version }));
+  } else {
+    delete state.presets;
+  }
+}
+
+/**
+ * Path of the stored merge base for a generated file
+ * @param {string} relPath - File path relative to project root
+ * @returns {string} - Base path relative to project root
+ */
+function basePath(relPath) {
+  return `${BASE_DIR}/${relPath}`;
+}
+
+/**
+ * Load the originally rendered template content for a generated file
+ * @param {string} root - Project root directory
+ * @param {string} relPath - File path relative to project root
+ * @returns {string|null} - null if no base was stored
+ */
+function loadBase(root, relPath) {
+  const filePath = path.join(root, basePath(relPath));
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+}
+
+/**
+ * Write a generated file through a transaction, store its merge base and record it
+ * @param {object} tx - Transaction from transaction.run()
+ * @param {object} state - State object
+ * @param {string} relPath - File path relative to project root
+ * @param {object} info
+ * @param {string} info.template - Template the file was rendered from
+ * @param {string} info.content - Content to write
+ * @param {object} info.variables - Variables used for rendering
+ * @param {string} [info.base] - Rendered template, when content is a merge result (defaults to content)
+ */
+function writeGenerated(tx, state, relPath, { template, content, variables, base = content }) {
+  tx.writeFile(relPath, content);
+  tx.writeFile(basePath(relPath), base);
+  recordFile(state, relPath, { template, content: base, variables });
+}
+
+/**
+ * Determine whether a generated file still matches what the tool wrote
+ * @param {object|null} state - State object
+ * @param {string} root - Project root directory
+ * @param {string} relPath - File path relative to project root
+ * @returns {'pristine'|'modified'|'missing'|'untracked'}
+ */
+function getFileStatus(state, root, relPath) {
+  const entry = state?.files?.[relPath];
+  if (!entry) {
+    return 'untracked';
+  }
+  const current = hashFile(path.join(root, relPath));
+  if (!current) {
+    return 'missing';
+  }
+  return current === entry.checksum ? 'pristine' : 'modified';
+}
+
+/**
+ * Sort object keys so the state file diffs cleanly
+ * @param {object} obj
+ * @returns {object}
+ */
+function sortKeys(obj) {
+  return Object.keys(obj).sort().reduce((sorted, key) => {
+    sorted[key] = obj[key];
+    return sorted;
+  }, {});
+}
+
+/**
+ * Serialize state for writing, stamping the current framework version
+ * @param {object} state - State object
+ * @returns {string}
+ */
+function serialize(state) {
+  const output = {
+    ...state,
+    schemaVersion: SCHEMA_VERSION,
+    frameworkVersion: pkg.version,
+    files: sortKeys(state.files),
+    symlinks: sortKeys(state.symlinks),
+    skills: sortKeys(state.skills)
+  };
+  return JSON.stringify(output, null, 2) + '\n';
+}
+
+module.exports = {
+  STATE_FILE,
+  BASE_DIR,
+  SCHEMA_VERSION,
+  checksum,
+  hashFile,
+  listFiles,
+  createState,
+  load,
+  loadOrCreate,
+  recordFile,
+  recordSymlink,
+  recordSkill,
+  recordGitignore,
+  recordTemplates,
+  recordPresets,
+  basePath,
+  loadBase,
+  writeGenerated,
+  getFileStatus,
+  serialize
+};
@@ -0,0 +1,128 @@
+/**
+ * Parts of a markdown document a rewrite rule can apply to
+ * - links: link and image targets, reference link definitions
+ * - code:  inline code spans and fenced code blocks
+ * - prose: everything else
+ */
+const SCOPES = ['links', 'code', 'prose'];
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+// Inline code span, inline link target, or reference definition target
+const INLINE = /(?<!`)(`+)(?!`)([\s\S]*?[^`])\1(?!`)|(\]\()([^)\s]*)|^( {0,3}\[[^\]\n]+\]:[ \t]*)(\S+)/gm;
+
+/**
+ * Split markdown into consecutive scoped segments
+ * Joining the segments' text gives back the original content.
+ * @param {string} content - Markdown content
+ * @returns {Array<{scope: string, text: string}>}
+ */
+function splitScopes(content) {
+  const segments = [];
+  const push = (scope, text) => {
+    if (!text) return;
+    const last = segments[segments.length - 1];
+    if (last && last.scope === scope) {
+      last.text += text;
+    } else {
+      segments.push({ scope, text });
+    }
+  };
+
+  let block = '';
+  const flushBlock = () => {
+    let pos = 0;
+    for (const match of block.matchAll(INLINE)) {
+      push('prose', block.slice(pos, match.index));
+      if (match[1]) {
+        push('code', match[0]);
+      } else if (match[3]) {
+        push('prose', match[3]);
+        push('links', match[4]);
+      } else {
+        push('prose', match[5]);
+        push('links', match[6]);
+      }
+      pos = match.index + match[0].length;
+    }
+    push('prose', block.slice(pos));
+    block = '';
+  };
+
+  let fence = null;
+  for (const line of content.split(/(?<=\n)/)) {
+    if (fence) {
+      push('code', line);
+      const close = line.match(FENCE);
+      if (close && close[1][0] === fence[0] && close[1].length >= fence.length && !line.slice(close[0].length).trim()) {
+        fence = null;
+      }
+      continue;
+    }
+
+    // A backtick fence's info string cannot contain backticks (that is inline code)
+    const open = line.match(FENCE);
+    const info = open ? line.slice(open[0].length) : '';
+    if (open && !(open[1][0] === '`' && info.includes('`'))) {
+      flushBlock();
+      fence = open[1];
+      push('code', line);
+    } else {
+      block += line;
+    }
+  }
+  flushBlock();
+
+  return segments;
+}
+
+/**
+ * Build the pattern for a rule. Only whole path-like tokens that start with
+ * `from` match: `src/tools/` or `devtools/` do not match a `tools/` rule,
+ * while relative prefixes like `./` and `../` are kept.
+ * @param {string} from - Old path
+ * @returns {RegExp}
+ */
+function rulePattern(from) {
+  const escaped = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const end = from.endsWith('/') ? '' : '(?![\\w-]|\\.\\w)';
+  return new RegExp(`(?<![\\w./-])((?:\\.{1,2}/)*)${escaped}${end}`, 'g');
+}
+
+/**
+ * Rewrite old paths in markdown, only within each rule's scopes
+ * @param {string} content - Markdown content
+ * @param {Array<{from: string, to: string, scopes: string[]}>} rules - Applied in order
+ * @returns {{content: string, updates: Array<{from: string, to: string, count: number}>}} - Rewritten
+ *   content and the rules that changed it
+ */
+function rewrite(content, rules) {
+  for (const rule of rules) {
+    const unknown = rule.scopes.filter(s => !SCOPES.includes(s));
+    if (unknown.length) {
+      throw new Error(`Unknown rewrite scope: ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+    }
+  }
+
+  const counts = rules.map(() => 0);
+  const segments = splitScopes(content).map(({ scope, text }) => {
+    rules.forEach((rule, i) => {
+      if (rule.scopes.includes(scope)) {
+        text = text.replace(rulePattern(rule.from), (match, prefix) => {
+          counts[i]++;
+          return prefix + rule.to;
+        });
+      }
+    });
+    return text;
+  });
+
+  return {
+    content: segments.join(''),
+    updates: rules
+      .map((rule, i) => ({ from: rule.from, to: rule.to, count: counts[i] }))
+      .filter(u => u.count > 0)
+  };
+}
+
+module.exports = { SCOPES, splitScopes, rewrite };
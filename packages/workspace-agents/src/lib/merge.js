@@ -0,0 +1,82 @@
+const { splitLines, lcs } = require('./diff');
+
+/**
+ * Compare two line arrays for equality
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Three-way merge of line-based text (diff3).
+ *
+ * Regions changed on only one side are taken from that side. Regions changed
+ * identically on both sides are taken once. Regions changed differently on
+ * both sides are emitted with standard conflict markers.
+ * @param {string} base - Common ancestor (originally generated content)
+ * @param {string} ours - Local content (user's customized copy)
+ * @param {string} theirs - Incoming content (newly rendered template)
+ * @param {object} options
+ * @param {string} options.oursLabel - Label for the local side of a conflict
+ * @param {string} options.theirsLabel - Label for the incoming side of a conflict
+ * @returns {{content: string, conflicts: number}}
+ */
+function merge3(base, ours, theirs, options = {}) {
+  const { oursLabel = 'local', theirsLabel = 'template' } = options;
+  const o = splitLines(base);
+  const a = splitLines(ours);
+  const b = splitLines(theirs);
+
+  // Map base line index -> matched line index on each side
+  const matchA = new Map(lcs(o, a));
+  const matchB = new Map(lcs(o, b));
+
+  const output = [];
+  let conflicts = 0;
+  let i = 0;
+  let ai = 0;
+  let bi = 0;
+
+  while (i <= o.length) {
+    // Find the next base line kept unchanged on both sides
+    let k = i;
+    while (k < o.length && !(matchA.has(k) && matchB.has(k))) {
+      k++;
+    }
+    const aEnd = k < o.length ? matchA.get(k) : a.length;
+    const bEnd = k < o.length ? matchB.get(k) : b.length;
+
+    const baseChunk = o.slice(i, k);
+    const oursChunk = a.slice(ai, aEnd);
+    const theirsChunk = b.slice(bi, bEnd);
+
+    if (sameLines(oursChunk, baseChunk)) {
+      output.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      output.push(...oursChunk);
+    } else {
+      conflicts++;
+      output.push(`<<<<<<< ${oursLabel}`, ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+    }
+
+    if (k === o.length) {
+      break;
+    }
+
+    // Emit the stable line and continue after it
+    output.push(o[k]);
+    i = k + 1;
+    ai = aEnd + 1;
+    bi = bEnd + 1;
+  }
+
+  const endsWithNewline = [ours, theirs].some(text => text.endsWith('\n'));
+  const content = output.join('\n') + (output.length && endsWithNewline ? '\n' : '');
+
+  return { content, conflicts };
+}
+
+module.exports = { merge3 };
@@ -0,0 +1,143 @@
+const detector = require('./project-detector');
+const installState = require('./install-state');
+const { isNewer } = require('./version-checker');
+const registry = require('../migrations');
+const { InvalidPlanError } = require('./errors');
+const pkg = require('../../package.json');
+
+/**
+ * Change lists a migration may plan
+ */
+const MIGRATION_LISTS = ['moves', 'modifications', 'legacy'];
+
+/**
+ * Find the framework version the project was at before the current upgrade.
+ * An interrupted upgrade, or one that left migrations deselected, keeps the
+ * version it started from, so the rest of its chain is planned again.
+ * @param {string} projectRoot - Project root directory
+ * @param {object|null} state - Install state (null if none was recorded)
+ * @returns {string|null} - null when unknown (every migration is considered)
+ */
+function getInstalledVersion(projectRoot, state) {
+  if (state?.migrating) {
+    return state.migrating.from;
+  }
+  return state?.frameworkVersion || detector.getFrameworkVersion(projectRoot);
+}
+
+/**
+ * Select the migrations still to run, in order
+ * @param {string|null} installedVersion - From getInstalledVersion()
+ * @param {object|null} state - Install state
+ * @param {object[]} migrations - Registered migrations (defaults to src/migrations)
+ * @returns {object[]}
+ */
+function getChain(installedVersion, state, migrations = registry) {
+  const applied = state?.migrations?.applied || [];
+  return migrations.filter(m =>
+    !applied.includes(m.id) &&
+    !isNewer(m.to, pkg.version) &&
+    (!installedVersion || isNewer(m.to, installedVersion))
+  );
+}
+
+/**
+ * Plan every pending migration into an upgrade changes object.
+ * Planned items are tagged with the id of the migration they belong to,
+ * and changes.migrations lists the migrations that have work to do, with
+ * the number of items each one planned.
+ * @param {string} projectRoot - Project root directory
+ * @param {object|null} state - Install state
+ * @param {object} changes - Upgrade changes object to add to
+ * @param {object[]} migrations - Registered migrations (defaults to src/migrations)
+ */
+function plan(projectRoot, state, changes, migrations = registry) {
+  const installedVersion = getInstalledVersion(projectRoot, state);
+  changes.migrations = [];
+
+  for (const migration of getChain(installedVersion, state, migrations)) {
+    const planned = migration.plan(projectRoot, { installedVersion, state });
+    let count = 0;
+
+    for (const key of MIGRATION_LISTS) {
+      for (const item of planned[key] || []) {
+        changes[key].push({ ...item, migration: migration.id });
+        count++;
+      }
+    }
+
+    if (count) {
+      changes.migrations.push({
+        id: migration.id,
+        from: migration.from,
+        to: migration.to,
+        description: migration.description,
+        items: count
+      });
+    }
+  }
+}
+
+/**
+ * Apply planned migrations in order, recording each one in the state file
+ * as soon as it completes so an interrupted upgrade resumes after it.
+ * A migration with deselected items runs what was selected but is not
+ * recorded, and the upgrade keeps the version it started from, so the
+ * migration is planned again by the next upgrade.
+ * @param {object} tx - Transaction from transaction.run()
+ * @param {string} projectRoot - Project root directory
+ * @param {object} state - Install state
+ * @param {object} changes - Upgrade changes from plan()
+ * @param {object} context - Passed to each migration's apply()
+ * @param {object[]} migrations - Registered migrations (defaults to src/migrations)
+ */
+function apply(tx, projectRoot, state, changes, context, migrations = registry) {
+  if (!changes.migrations?.length) {
+    return;
+  }
+
+  state.migrations = { applied: [...(state.migrations?.applied || [])] };
+  if (!state.migrating) {
+    state.migrating = { from: context.installedVersion };
+  }
+
+  let pending = false;
+  for (const { id, items } of changes.migrations) {
+    const migration = migrations.find(m => m.id === id);
+    if (!migration) {
+      throw new InvalidPlanError(`Unknown migration in plan: ${id}`);
+    }
+
+    const own = {};
+    let count = 0;
+    for (const key of MIGRATION_LISTS) {
+      own[key] = (changes[key] || []).filter(item => item.migration === id);
+      count += own[key].length;
+    }
+    // Plans saved without item counts only know whether anything was selected
+    const complete = count > 0 && count === (items ?? count);
+
+    if (count) {
+      migration.apply(tx, projectRoot, own, { ...context, state });
+    }
+
+    if (complete) {
+      state.migrations.applied.push(id);
+    } else {
+      pending = true;
+    }
+    tx.writeFile(installState.STATE_FILE, installState.serialize(state));
+  }
+
+  if (!pending) {
+    delete state.migrating;
+  }
+}
+
+module.exports = {
+  MIGRATION_LISTS,
+  getInstalledVersion,
+  getChain,
+  plan,
+  apply
+};
@@ -1,4 +1,10 @@
 const chalk = require('chalk');
+const planFile = require('./plan-file');
+const templateEngine = require('./template-engine');
+const templateLayers = require('./template-layers');
+const presets = require('./presets');
+const { unifiedDiff } = require('./diff');
+const pkg = require('../../package.json');
 
 /**
  * Format a file creation message
@@ -9,25 +15,46 @@ function formatFileCreate(filePath) {
   return `${chalk.green('CREATE')}      ${filePath}`;
 }
 
+/**
+ * Colorize and indent a unified diff
+ * @param {string} diff - Unified diff text
+ * @returns {string}
+ */
+function formatDiff(diff) {
+  return diff.split('\n').map(line => {
+    if (line.startsWith('---') || line.startsWith('+++')) return chalk.bold(`  ${line}`);
+    if (line.startsWith('@@')) return chalk.cyan(`  ${line}`);
+    if (line.startsWith('-')) return chalk.red(`  ${line}`);
+    if (line.startsWith('+')) return chalk.green(`  ${line}`);
+    return `  ${line}`;
+  }).join('\n');
+}
+
 /**
  * Format a file modification message with optional diff
  * @param {string} filePath - Path to file
- * @param {string} diff - Optional diff content
+ * @param {string} diff - Optional unified diff
  * @returns {string}
  */
 function formatFileModify(filePath, diff = null) {
   let output = `${chalk.yellow('MODIFY')}      ${filePath}`;
   if (diff) {
-    const lines = diff.split('\n').map(line => {
-      if (line.startsWith('-')) return chalk.red(`  ${line}`);
-      if (line.startsWith('+')) return chalk.green(`  ${line}`);
-      return `  ${line}`;
-    });
-    output += '\n' + lines.join('\n');
+    output += '\n' + formatDiff(diff);
   }
   return output;
 }
 
+/**
+ * Format the content a planned file will be created with, as a diff against nothing
+ * @param {{path: string, template: string, variables: object}} file - Planned file
+ * @param {string[]} dirs - Absolute template override directories
+ * @returns {string}
+ */
+function formatFileContent(file, dirs = []) {
+  const content = templateEngine.loadAndRender(file.template, file.variables, { dirs });
+  return formatDiff(unifiedDiff('', content, { oldLabel: '/dev/null', newLabel: `b/${file.path}` }));
+}
+
 /**
  * Format a file move message
  * @param {string} from - Source path
@@ -38,6 +65,44 @@ function formatFileMove(from, to) {
   return `${chalk.blue('MOVE')}        ${from} ${chalk.gray('→')} ${to}`;
 }
 
+/**
+ * Format a versioned migration header
+ * @param {{id: string, from: string, to: string, description: string}} migration - Planned migration
+ * @returns {string}
+ */
+function formatMigration(migration) {
+  return `${chalk.magenta('MIGRATE')}     v${migration.from} ${chalk.gray('→')} v${migration.to}  ${migration.description}`;
+}
+
+/**
+ * Format the framework version recorded by an upgrade
+ * @param {{from: string, to: string}} versionUpdate - Installed and new version
+ * @returns {string}
+ */
+function formatVersionUpdate(versionUpdate) {
+  return `${chalk.magenta('VERSION')}     v${versionUpdate.from} ${chalk.gray('→')} v${versionUpdate.to}`;
+}
+
+/**
+ * Format a preset a scaffold renders from
+ * @param {{name: string, version: string|null, source: string, path: string}} preset - From presets.resolvePreset()
+ * @returns {string}
+ */
+function formatPreset(preset) {
+  const version = preset.version === null ? '' : ` v${preset.version}`;
+  const source = preset.source === 'bundled' ? 'bundled' : `${preset.source}: ${preset.path}`;
+  return `${chalk.magenta('PRESET')}      ${preset.name}${version} ${chalk.gray(`(${source})`)}`;
+}
+
+/**
+ * Format a preset added, removed or updated since install
+ * @param {object} update - From presets.findPresetUpdates()
+ * @returns {string}
+ */
+function formatPresetUpdate(update) {
+  return `${chalk.magenta('PRESET')}      ${presets.formatUpdate(update)}`;
+}
+
 /**
  * Format a directory creation message
  * @param {string} dirPath - Directory path
@@ -76,6 +141,36 @@ function formatGitignoreAppend(lines) {
   return `${chalk.gray('APPEND')}      .gitignore (${lines.join(', ')})`;
 }
 
+/**
+ * Format a removal message
+ * @param {string} filePath - Path being removed
+ * @param {string} reason - Optional note
+ * @returns {string}
+ */
+function formatRemove(filePath, reason = null) {
+  return `${chalk.red('REMOVE')}      ${filePath}${reason ? chalk.gray(` (${reason})`) : ''}`;
+}
+
+/**
+ * Format a message for a path that is deliberately left in place
+ * @param {string} filePath - Path being kept
+ * @param {string} reason - Why it is kept
+ * @returns {string}
+ */
+function formatKeep(filePath, reason) {
+  return `${chalk.gray('KEEP')}        ${filePath} (${reason})`;
+}
+
+/**
+ * Format a file copied back from a backup
+ * @param {string} filePath - Path being restored
+ * @param {boolean} overwrite - Whether a current file is replaced
+ * @returns {string}
+ */
+function formatRestore(filePath, overwrite) {
+  return `${chalk.yellow('RESTORE')}     ${filePath}${overwrite ? chalk.gray(' (replaces current file)') : ''}`;
+}
+
 /**
  * Format a skill copy message
  * @param {string} skillName - Name of skill being copied
@@ -86,12 +181,42 @@ function formatSkillCopy(skillName) {
 }
 
 /**
- * Format a skill update message
- * @param {string} skillName - Name of skill being updated
+ * Format a skill update message with one line per affected file
+ * @param {{name: string, files: Array<{path: string, action: string, reason?: string}>}} update - Planned skill update
  * @returns {string}
  */
-function formatSkillUpdate(skillName) {
-  return `${chalk.yellow('UPDATE SKILL')} agents/skills/${skillName}`;
+function formatSkillUpdate(update) {
+  const lines = [`${chalk.yellow('UPDATE SKILL')} agents/skills/${update.name}`];
+  for (const file of update.files || []) {
+    lines.push(`  ${formatSkillFile(file)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format a single file within a skill update
+ * @param {{path: string, action: string, reason?: string}} file - Planned file action
+ * @returns {string}
+ */
+function formatSkillFile(file) {
+  const labels = {
+    add: chalk.green('add     '),
+    update: chalk.yellow('update  '),
+    remove: chalk.red('remove  '),
+    new: chalk.cyan('new     '),
+    merge: chalk.yellow('merge   '),
+    conflict: chalk.red('conflict'),
+    skip: chalk.gray('skip    '),
+    keep: chalk.gray('keep    ')
+  };
+  let output = `${labels[file.action] || file.action} ${file.path}`;
+  if (file.action === 'new') {
+    output += chalk.gray(` → ${file.path}.new`);
+  }
+  if (file.reason) {
+    output += chalk.gray(` (${file.reason})`);
+  }
+  return output;
 }
 
 /**
@@ -105,6 +230,32 @@ function formatSymlinkFix(link, target, reason) {
   return `${chalk.yellow('FIX LINK')}    ${link} ${chalk.gray('→')} ${target} ${chalk.gray(`(${reason})`)}`;
 }
 
+/**
+ * Format a template update message for a generated file
+ * @param {{path: string, action: 'update'|'merge', conflicts: number}} update - Planned template update
+ * @returns {string}
+ */
+function formatTemplateUpdate(update) {
+  if (update.action === 'update') {
+    return `${chalk.yellow('UPDATE')}      ${update.path}`;
+  }
+  if (update.conflicts) {
+    const noun = update.conflicts === 1 ? 'conflict' : 'conflicts';
+    return `${chalk.red('CONFLICT')}    ${update.path} ${chalk.gray(`(${update.conflicts} ${noun}, resolve markers after applying)`)}`;
+  }
+  return `${chalk.yellow('MERGE')}       ${update.path} ${chalk.gray('(customized, update available - keeps your edits)')}`;
+}
+
+/**
+ * Format a generated file of an older install that starts being tracked
+ * @param {{path: string, action: 'track'|'customized'}} file - From templateSync.findUntrackedFiles()
+ * @returns {string}
+ */
+function formatUntrackedFile(file) {
+  const note = file.action === 'customized' ? 'customized, later template updates keep your edits' : 'unchanged since generated';
+  return `${chalk.cyan('TRACK')}       ${file.path} ${chalk.gray(`(${note})`)}`;
+}
+
 /**
  * Format a skip message
  * @param {string} filePath - Path that was skipped
@@ -115,16 +266,52 @@ function formatSkip(filePath, reason) {
   return `${chalk.gray('SKIP')}        ${filePath} (${reason})`;
 }
 
+/**
+ * Format a warning about variables a file would be generated without
+ * @param {{path: string, variables: string[]}} item - From changes.undefinedVariables
+ * @returns {string}
+ */
+function formatUndefinedVariables(item) {
+  const tags = item.variables.map(name => `{{${name}}}`).join(', ');
+  return `${chalk.yellow('WARN')}        ${item.path}: ${templateEngine.formatMissing(item.variables)} ${chalk.gray(`(left as ${tags}; --strict to fail)`)}`;
+}
+
+/**
+ * Format a warning about configured variables no template uses
+ * @param {string[]} names - From changes.unusedVariables
+ * @returns {string}
+ */
+function formatUnusedVariables(names) {
+  const noun = names.length === 1 ? 'variable' : 'variables';
+  return `${chalk.yellow('WARN')}        Configured ${noun} ${names.join(', ')} ${chalk.gray('(not used by any template)')}`;
+}
+
 /**
  * Print all planned changes
  * @param {object} changes - Changes object from scaffold.plan() or upgrade.plan()
+ * @param {object} options
+ * @param {boolean} options.showContent - Also print the content of files created from templates
+ * @param {string} options.projectRoot - Project root the plan's template directories are relative to
  */
-function printChanges(changes) {
+function printChanges(changes, options = {}) {
   const { type } = changes;
+  const dirs = templateLayers.absolute(options.projectRoot || '.', templateLayers.planDirs(changes));
+
+  const printCreate = (f) => {
+    console.log(formatFileCreate(f.path));
+    if (options.showContent && f.template) {
+      console.log(formatFileContent(f, dirs));
+    }
+  };
 
   if (type === 'scaffold') {
     console.log(chalk.bold(`\nScaffolding Workspace Agents...\n`));
 
+    if (changes.presets?.length) {
+      changes.presets.forEach(p => console.log(formatPreset(p)));
+      console.log();
+    }
+
     if (changes.directories?.length) {
       changes.directories.forEach(dir => console.log(formatDirCreate(dir)));
       console.log();
@@ -133,7 +320,7 @@ function printChanges(changes) {
     if (changes.files?.length) {
       changes.files.forEach(f => {
         if (f.action === 'create') {
-          console.log(formatFileCreate(f.path));
+          printCreate(f);
         } else if (f.action === 'skip') {
           console.log(formatSkip(f.path, f.reason || 'already exists'));
         }
@@ -153,6 +340,21 @@ function printChanges(changes) {
   } else if (type === 'upgrade') {
     console.log(chalk.bold(`\nUpgrading Workspace Agents...\n`));
 
+    if (changes.versionUpdate) {
+      console.log(formatVersionUpdate(changes.versionUpdate));
+      console.log();
+    }
+
+    if (changes.presetUpdates?.length) {
+      changes.presetUpdates.forEach(u => console.log(formatPresetUpdate(u)));
+      console.log();
+    }
+
+    if (changes.migrations?.length) {
+      changes.migrations.forEach(m => console.log(formatMigration(m)));
+      console.log();
+    }
+
     if (changes.moves?.length) {
       changes.moves.forEach(m => console.log(formatFileMove(m.from, m.to)));
       console.log();
@@ -164,7 +366,7 @@ function printChanges(changes) {
     }
 
     if (changes.creates?.length) {
-      changes.creates.forEach(f => console.log(formatFileCreate(f.path)));
+      changes.creates.forEach(printCreate);
       console.log();
     }
 
@@ -179,7 +381,17 @@ function printChanges(changes) {
     }
 
     if (changes.newFiles?.length) {
-      changes.newFiles.forEach(f => console.log(formatFileCreate(f.path)));
+      changes.newFiles.forEach(printCreate);
+      console.log();
+    }
+
+    if (changes.untrackedFiles?.length) {
+      changes.untrackedFiles.forEach(f => console.log(formatUntrackedFile(f)));
+      console.log();
+    }
+
+    if (changes.templateUpdates?.length) {
+      changes.templateUpdates.forEach(u => console.log(formatTemplateUpdate(u)));
       console.log();
     }
 
@@ -193,15 +405,64 @@ function printChanges(changes) {
       console.log();
     }
 
+    if (changes.gitignore?.length) {
+      console.log(formatGitignoreAppend(changes.gitignore));
+      console.log();
+    }
+
     if (changes.legacy?.length) {
       changes.legacy.forEach(l => console.log(formatLegacy(l.from, l.to)));
       console.log();
     }
+  } else if (type === 'uninstall') {
+    console.log(chalk.bold(`\nRemoving Workspace Agents...\n`));
+
+    if (changes.symlinks?.length) {
+      changes.symlinks.forEach(s => console.log(formatRemove(s.link, `symlink → ${s.target}`)));
+      console.log();
+    }
+
+    if (changes.skills?.length) {
+      changes.skills.forEach(s => console.log(s.action === 'remove'
+        ? formatRemove(`agents/skills/${s.name}/`, 'bundled skill')
+        : formatKeep(`agents/skills/${s.name}/`, s.reason)));
+      console.log();
+    }
+
+    if (changes.files?.length) {
+      changes.files.forEach(f => console.log(f.action === 'remove'
+        ? formatRemove(f.path, f.reason)
+        : formatKeep(f.path, f.reason)));
+      console.log();
+    }
+
+    if (changes.gitignore?.length) {
+      console.log(formatRemove('.gitignore', `# Workspace Agents block: ${changes.gitignore.join(', ')}`));
+      console.log();
+    }
+
+    if (changes.directories?.length) {
+      changes.directories.forEach(d => console.log(formatRemove(`${d}/`, 'empty directory')));
+      console.log();
+    }
+  } else if (type === 'restore') {
+    console.log(chalk.bold(`\nRestoring backup ${changes.backup}...\n`));
+
+    changes.files.forEach(f => console.log(formatRestore(f.path, f.action === 'overwrite')));
+    console.log();
   } else if (type === 'none') {
     console.log(chalk.green('\nFramework is already up to date. Nothing to do.\n'));
     return;
   }
 
+  if (changes.undefinedVariables?.length || changes.unusedVariables?.length) {
+    (changes.undefinedVariables || []).forEach(item => console.log(formatUndefinedVariables(item)));
+    if (changes.unusedVariables?.length) {
+      console.log(formatUnusedVariables(changes.unusedVariables));
+    }
+    console.log();
+  }
+
   // Summary
   console.log(formatSummary(changes));
 }
@@ -214,6 +475,24 @@ function printChanges(changes) {
 function formatSummary(changes) {
   const parts = [];
 
+  if (changes.type === 'uninstall') {
+    const removedFiles = changes.files.filter(f => f.action === 'remove').length;
+    const removedSkills = changes.skills.filter(s => s.action === 'remove').length;
+    const kept = changes.files.length - removedFiles + changes.skills.length - removedSkills;
+    if (removedFiles) parts.push(`${removedFiles} files`);
+    if (removedSkills) parts.push(`${removedSkills} skills`);
+    if (changes.symlinks.length) parts.push(`${changes.symlinks.length} symlinks`);
+    if (changes.directories.length) parts.push(`${changes.directories.length} directories`);
+    if (changes.gitignore.length) parts.push('.gitignore block');
+    const keep = kept ? `, keep ${kept}` : '';
+    return chalk.bold(`Summary: remove ${parts.join(', ') || 'nothing'}${keep}`);
+  }
+
+  if (changes.type === 'restore') {
+    const overwrites = changes.files.filter(f => f.action === 'overwrite').length;
+    return chalk.bold(`Summary: restore ${changes.files.length} files (${overwrites} replacing current files)`);
+  }
+
   if (changes.directories?.length) {
     parts.push(`${changes.directories.length} directories`);
   }
@@ -238,12 +517,27 @@ function formatSummary(changes) {
   if (changes.newFiles?.length) {
     parts.push(`${changes.newFiles.length} new files`);
   }
+  if (changes.untrackedFiles?.length) {
+    parts.push(`${changes.untrackedFiles.length} files to track`);
+  }
+  if (changes.templateUpdates?.length) {
+    parts.push(`${changes.templateUpdates.length} template updates`);
+  }
   if (changes.symlinks?.length) {
     parts.push(`${changes.symlinks.length} symlinks`);
   }
   if (changes.symlinkFixes?.length) {
     parts.push(`${changes.symlinkFixes.length} symlink fixes`);
   }
+  if (changes.gitignore?.length) {
+    parts.push(`${changes.gitignore.length} .gitignore entries`);
+  }
+  if (changes.versionUpdate) {
+    parts.push(`version v${changes.versionUpdate.to}`);
+  }
+  if (changes.presetUpdates?.length) {
+    parts.push(`${changes.presetUpdates.length} preset updates`);
+  }
   if (changes.legacy?.length) {
     parts.push(`${changes.legacy.length} legacy`);
   }
@@ -258,8 +552,11 @@ function formatSummary(changes) {
 /**
  * Print success message after applying changes
  * @param {object} changes - Changes that were applied
+ * @param {object} options
+ * @param {string|null} options.backup - Id of the backup taken of replaced files
+ * @param {string[]} options.warnings - Steps that were skipped, e.g. symlinks the platform refused
  */
-function printSuccess(changes) {
+function printSuccess(changes, options = {}) {
   if (changes.type === 'scaffold') {
     console.log(chalk.green.bold('\n✓ Workspace Agents scaffolded successfully!\n'));
     console.log(chalk.white('Next step:'));
@@ -269,22 +566,195 @@ function printSuccess(changes) {
   } else if (changes.type === 'upgrade') {
     console.log(chalk.green.bold('\n✓ Workspace Agents upgraded successfully!\n'));
     console.log(chalk.white('Changes applied. Review git diff for details.'));
+
+    const conflicted = (changes.templateUpdates || []).filter(u => u.conflicts).map(u => u.path);
+    for (const update of changes.skillsToUpdate || []) {
+      update.files
+        .filter(f => f.action === 'conflict')
+        .forEach(f => conflicted.push(`agents/skills/${update.name}/${f.path}`));
+    }
+    if (conflicted.length) {
+      console.log(chalk.yellow('\nResolve merge conflict markers in:'));
+      conflicted.forEach(p => console.log(chalk.yellow(`  ${p}`)));
+    }
+
+    const newFiles = [];
+    for (const update of changes.skillsToUpdate || []) {
+      update.files
+        .filter(f => f.action === 'new')
+        .forEach(f => newFiles.push(`agents/skills/${update.name}/${f.path}.new`));
+    }
+    if (newFiles.length) {
+      console.log(chalk.yellow('\nLocally modified skill files were kept. Compare with the new versions:'));
+      newFiles.forEach(p => console.log(chalk.yellow(`  ${p}`)));
+    }
+  } else if (changes.type === 'uninstall') {
+    console.log(chalk.green.bold('\n✓ Workspace Agents removed.\n'));
+
+    const kept = [
+      ...changes.skills.filter(s => s.action === 'keep').map(s => `agents/skills/${s.name}/`),
+      ...changes.files.filter(f => f.action === 'keep').map(f => f.path)
+    ];
+    if (kept.length) {
+      console.log(chalk.yellow('Kept (edited or not generated by workspace-agents):'));
+      kept.forEach(p => console.log(chalk.yellow(`  ${p}`)));
+      console.log(chalk.gray('\nRun again with --all to remove them too.'));
+    }
+  } else if (changes.type === 'restore') {
+    console.log(chalk.green.bold(`\n✓ Restored backup ${changes.backup}.`));
+  }
+
+  if (options.backup) {
+    const what = changes.type === 'uninstall' ? 'Removed' : 'Replaced';
+    console.log(chalk.gray(`\n${what} files were backed up to agents/.backups/${options.backup}/`));
+    console.log(chalk.gray('Undo with ') + chalk.cyan(`npx workspace-agents restore ${options.backup}`));
+    if (changes.type === 'uninstall') {
+      console.log(chalk.gray('Delete agents/.backups/ once you no longer need the backups.'));
+    }
+  }
+
+  for (const warning of options.warnings || []) {
+    console.log(chalk.yellow(`\nWarning: ${warning}`));
+  }
+}
+
+/**
+ * Format a plan as stable, machine-readable JSON (see README "JSON Plan Output").
+ * The output is a complete plan document that `workspace-agents apply` accepts.
+ * @param {object} plan
+ * @param {'scaffold'|'upgrade'|'none'} plan.action - Action chosen by determineAction()
+ * @param {string} plan.reason - Why that action was chosen
+ * @param {string} plan.projectRoot - Project root directory
+ * @param {object} plan.changes - Changes object from scaffold.plan() or upgrade.plan()
+ * @returns {string}
+ */
+function formatPlanJson(plan) {
+  return JSON.stringify(planFile.createPlan(plan), null, 2);
+}
+
+/**
+ * Columns of the batch report: header and how to read each result
+ */
+const BATCH_COLUMNS = [
+  { header: 'Repository', value: r => r.repo },
+  { header: 'Action', value: r => r.action || '-' },
+  { header: 'Status', value: r => r.status },
+  { header: 'Changes', value: r => String(r.changes) },
+  { header: 'Backup', value: r => r.backup || '-' },
+  { header: 'Error', value: r => r.error || '-' }
+];
+
+/**
+ * Format batch results as a report
+ * @param {object[]} results - From batch.planAll() or batch.applyAll()
+ * @param {'table'|'json'|'markdown'} format - Terminal table, JSON document or markdown table
+ * @returns {string}
+ */
+function formatBatchReport(results, format = 'table') {
+  if (format === 'json') {
+    const repositories = results.map(({ repo, projectRoot, action, status, changes, backup, warnings, error }) =>
+      ({ repo, projectRoot: projectRoot || null, action, status, changes, backup, warnings, error }));
+    return JSON.stringify({ frameworkVersion: pkg.version, repositories }, null, 2);
+  }
+
+  const rows = results.map(r => BATCH_COLUMNS.map(c => c.value(r)));
+
+  if (format === 'markdown') {
+    const escape = (cell) => cell.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    return [
+      `| ${BATCH_COLUMNS.map(c => c.header).join(' | ')} |`,
+      `| ${BATCH_COLUMNS.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(escape).join(' | ')} |`)
+    ].join('\n');
+  }
+
+  const widths = BATCH_COLUMNS.map((c, i) => Math.max(c.header.length, ...rows.map(row => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  const colors = { applied: chalk.green, planned: chalk.cyan, 'up-to-date': chalk.gray, failed: chalk.red };
+  return [
+    chalk.bold(line(BATCH_COLUMNS.map(c => c.header))),
+    ...rows.map((row, i) => (colors[results[i].status] || (x => x))(line(row)))
+  ].join('\n');
+}
+
+/**
+ * Print an error thrown while applying changes, including rollback outcome
+ * @param {Error} err - Error from scaffold.apply() or upgrade.apply()
+ */
+function printApplyError(err) {
+  console.error(chalk.red(`Error applying changes: ${err.message}`));
+  if (err.rollbackErrors?.length) {
+    console.error(chalk.red('Rollback incomplete. Could not restore:'));
+    err.rollbackErrors.forEach(f => console.error(chalk.red(`  ${f.path} (${f.error.message})`)));
+  } else if (err.rolledBack) {
+    console.error(chalk.yellow('All completed steps were rolled back. No files were changed.'));
   }
 }
 
+/**
+ * Format a single health check result
+ * @param {{name: string, status: 'pass'|'warn'|'fail', message: string, details: string[]}} check - Check result
+ * @returns {string}
+ */
+function formatCheck(check) {
+  const labels = {
+    pass: chalk.green('PASS'),
+    warn: chalk.yellow('WARN'),
+    fail: chalk.red('FAIL')
+  };
+  let output = `${labels[check.status]}        ${check.name}: ${check.message}`;
+  if (check.details?.length) {
+    output += '\n' + check.details.map(d => chalk.gray(`            - ${d}`)).join('\n');
+  }
+  return output;
+}
+
+/**
+ * Print health check results with a summary line
+ * @param {Array<object>} checks - Results from doctor.runChecks()
+ */
+function printChecks(checks) {
+  console.log(chalk.bold('\nChecking Workspace Agents...\n'));
+  checks.forEach(c => console.log(formatCheck(c)));
+  console.log();
+
+  const count = status => checks.filter(c => c.status === status).length;
+  const summary = `Summary: ${count('pass')} passed, ${count('warn')} warnings, ${count('fail')} failed`;
+  console.log(count('fail') ? chalk.red.bold(summary) : chalk.bold(summary));
+}
+
 module.exports = {
   formatFileCreate,
   formatFileModify,
+  formatFileContent,
+  formatDiff,
   formatFileMove,
+  formatMigration,
+  formatVersionUpdate,
+  formatPreset,
+  formatPresetUpdate,
   formatDirCreate,
   formatSymlink,
   formatSymlinkFix,
   formatSkillCopy,
   formatSkillUpdate,
+  formatSkillFile,
   formatLegacy,
   formatGitignoreAppend,
+  formatTemplateUpdate,
+  formatUntrackedFile,
   formatSkip,
+  formatUndefinedVariables,
+  formatUnusedVariables,
+  formatRemove,
+  formatKeep,
+  formatRestore,
   formatSummary,
+  formatCheck,
+  formatPlanJson,
+  formatBatchReport,
   printChanges,
-  printSuccess
+  printSuccess,
+  printApplyError,
+  printChecks
 };
@@ -0,0 +1,217 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const installState = require('./install-state');
+const config = require('./config');
+const templateLayers = require('./template-layers');
+const pkg = require('../../package.json');
+const { InvalidPlanError } = require('./errors');
+
+/**
+ * Version of the JSON plan format (printed by --json, written by --plan-out).
+ * Bump when fields are removed or change meaning; adding fields is non-breaking.
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Check whether a changes object contains anything to apply
+ * @param {object} changes - Changes from scaffold.plan() or upgrade.plan()
+ * @returns {boolean}
+ */
+function hasChanges(changes) {
+  if (!changes || changes.type === 'none') {
+    return false;
+  }
+  const lists = [
+    'directories', 'symlinks', 'moves', 'modifications', 'creates', 'newFiles',
+    'gitignore', 'skillsToCopy', 'skillsToUpdate', 'symlinkFixes', 'templateUpdates', 'legacy',
+    'presetUpdates', 'untrackedFiles'
+  ];
+  return lists.some(key => changes[key]?.length) ||
+    Boolean(changes.files?.some(f => f.action === 'create' || f.action === 'remove')) ||
+    Boolean(changes.skills?.some(s => s.action === 'remove')) ||
+    Boolean(changes.versionUpdate);
+}
+
+/**
+ * List every project path whose current state a plan was computed from
+ * @param {object} changes - Changes from scaffold.plan() or upgrade.plan()
+ * @returns {string[]} - Sorted, unique project-relative paths
+ */
+function collectDependencies(changes) {
+  const paths = [];
+  const skillDir = (name) => `agents/skills/${name}`;
+
+  if (changes.type === 'scaffold') {
+    paths.push(...(changes.directories || []));
+    paths.push(...(changes.files || []).map(f => f.path));
+    paths.push(...(changes.symlinks || []).map(s => s.link));
+    if (changes.gitignore?.length) paths.push('.gitignore');
+    paths.push(...(changes.skillsToCopy || []).map(skillDir));
+  } else if (changes.type === 'upgrade') {
+    for (const move of [...(changes.moves || []), ...(changes.legacy || [])]) {
+      paths.push(move.from, move.to);
+    }
+    paths.push(...(changes.modifications || []).map(m => m.path));
+    paths.push(...(changes.creates || []).map(c => c.path.replace(/\/$/, '')));
+    paths.push(...(changes.newFiles || []).map(f => f.path));
+    for (const update of [...(changes.templateUpdates || []), ...(changes.untrackedFiles || [])]) {
+      paths.push(update.path, installState.basePath(update.path));
+    }
+    paths.push(...(changes.symlinks || []).map(s => s.link));
+    paths.push(...(changes.symlinkFixes || []).map(s => s.link));
+    if (changes.gitignore?.length) paths.push('.gitignore');
+    paths.push(...(changes.skillsToCopy || []).map(skillDir));
+    for (const update of changes.skillsToUpdate || []) {
+      paths.push(skillDir(update.name), installState.basePath(skillDir(update.name)));
+    }
+  }
+
+  if (changes.type === 'upgrade' || changes.type === 'scaffold') {
+    paths.push(installState.STATE_FILE, ...config.CONFIG_FILES, ...templateLayers.planDirs(changes));
+  }
+
+  return [...new Set(paths)].sort();
+}
+
+/**
+ * Fingerprint a path so later changes can be detected
+ * @param {string} root - Project root directory
+ * @param {string} relPath - Path relative to project root
+ * @returns {string|null} - null if absent, "symlink:<target>", "dir:<hash>" or a file checksum
+ */
+function fingerprint(root, relPath) {
+  const absPath = path.join(root, relPath);
+  let stat;
+  try {
+    stat = fs.lstatSync(absPath);
+  } catch (e) {
+    return null;
+  }
+
+  if (stat.isSymbolicLink()) {
+    return `symlink:${fs.readlinkSync(absPath)}`;
+  }
+  if (stat.isDirectory()) {
+    const hash = crypto.createHash('sha256');
+    for (const rel of installState.listFiles(absPath)) {
+      hash.update(`${rel}\0${installState.hashFile(path.join(absPath, rel))}\n`);
+    }
+    return `dir:${hash.digest('hex')}`;
+  }
+  return installState.hashFile(absPath);
+}
+
+/**
+ * Build a plan document
+ * @param {object} plan
+ * @param {'scaffold'|'upgrade'|'none'} plan.action - Action chosen by determineAction()
+ * @param {string} plan.reason - Why that action was chosen
+ * @param {string} plan.projectRoot - Project root directory
+ * @param {object} plan.changes - Changes object from scaffold.plan() or upgrade.plan()
+ * @returns {object}
+ */
+function createPlan({ action, reason, projectRoot, changes }) {
+  const preconditions = {};
+  for (const relPath of collectDependencies(changes)) {
+    preconditions[relPath] = fingerprint(projectRoot, relPath);
+  }
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    frameworkVersion: pkg.version,
+    projectRoot,
+    action,
+    reason,
+    changes,
+    preconditions
+  };
+}
+
+/**
+ * Write a plan document to disk
+ * @param {string} filePath - Destination file
+ * @param {object} plan - Plan from createPlan()
+ */
+function write(filePath, plan) {
+  fs.outputFileSync(filePath, JSON.stringify(plan, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Read and validate a plan document
+ * @param {string} filePath - Plan file
+ * @returns {object}
+ */
+function read(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new InvalidPlanError(`Plan file not found: ${filePath}`);
+  }
+
+  let plan;
+  try {
+    plan = fs.readJsonSync(filePath);
+  } catch (e) {
+    throw new InvalidPlanError(`Plan file is not valid JSON: ${e.message}`);
+  }
+
+  return validate(plan);
+}
+
+/**
+ * Check that a plan document has the expected shape
+ * @param {object} plan - Plan document
+ * @returns {object} - The same plan
+ */
+function validate(plan) {
+  if (plan?.schemaVersion !== SCHEMA_VERSION) {
+    throw new InvalidPlanError(`Unsupported plan schema version ${plan?.schemaVersion} (expected ${SCHEMA_VERSION})`);
+  }
+  if (!plan.changes || !['scaffold', 'upgrade', 'none'].includes(plan.changes.type)) {
+    throw new InvalidPlanError('Plan file has no valid changes');
+  }
+  if (!plan.preconditions) {
+    throw new InvalidPlanError('Plan file has no preconditions');
+  }
+  return plan;
+}
+
+/**
+ * Check that a plan can still be applied exactly as computed
+ * @param {object} plan - Plan from read()
+ * @param {string} projectRoot - Project root directory
+ * @returns {Array<{path: string|null, reason: string}>} - Problems found (empty if the plan is current)
+ */
+function verify(plan, projectRoot) {
+  const problems = [];
+
+  if (plan.frameworkVersion !== pkg.version) {
+    problems.push({
+      path: null,
+      reason: `plan was created with workspace-agents v${plan.frameworkVersion}, this is v${pkg.version}`
+    });
+  }
+
+  for (const [relPath, expected] of Object.entries(plan.preconditions)) {
+    const actual = fingerprint(projectRoot, relPath);
+    if (actual !== expected) {
+      let reason = 'changed since planning';
+      if (expected === null) reason = 'created since planning';
+      else if (actual === null) reason = 'deleted since planning';
+      problems.push({ path: relPath, reason });
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  hasChanges,
+  collectDependencies,
+  fingerprint,
+  createPlan,
+  write,
+  read,
+  validate,
+  verify
+};
@@ -0,0 +1,237 @@
+const path = require('path');
+const fs = require('fs-extra');
+const installState = require('./install-state');
+const { InvalidConfigError, PresetNotFoundError } = require('./errors');
+
+/**
+ * Presets shipped with the package
+ */
+const PRESETS_DIR = path.join(__dirname, '..', 'presets');
+
+/**
+ * File marking a directory as a preset: { name, version, description }
+ */
+const PRESET_FILE = 'preset.json';
+
+/**
+ * npm packages named `workspace-agents-preset-<name>` are found by `<name>`
+ */
+const PACKAGE_PREFIX = 'workspace-agents-preset-';
+
+/**
+ * Check whether a preset spec is a path rather than a name
+ * @param {string} spec - Preset name or path
+ * @returns {boolean}
+ */
+function isPathSpec(spec) {
+  return spec.startsWith('.') || path.isAbsolute(spec);
+}
+
+/**
+ * Make preset paths given on the command line absolute, so they do not
+ * depend on the project root; names are kept as given
+ * @param {string[]} specs - Preset names or paths
+ * @param {string} base - Directory relative paths are resolved against
+ * @returns {string[]}
+ */
+function resolveSpecs(specs, base) {
+  return specs.map(spec => (isPathSpec(spec) ? path.resolve(base, spec) : spec));
+}
+
+/**
+ * Check whether a directory is a preset
+ * @param {string} dir - Absolute path
+ * @returns {boolean}
+ */
+function isPreset(dir) {
+  return fs.existsSync(path.join(dir, PRESET_FILE));
+}
+
+/**
+ * Find an installed npm package in node_modules of the project or any parent directory
+ * @param {string} root - Project root directory
+ * @param {string} packageName - Package name, possibly scoped
+ * @returns {string[]} - Candidate directories, nearest first
+ */
+function nodeModulesCandidates(root, packageName) {
+  const candidates = [];
+  let dir = path.resolve(root);
+  for (;;) {
+    candidates.push(path.join(dir, 'node_modules', packageName));
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return candidates;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Read a preset's name and version. The version falls back to the npm
+ * package's version when preset.json has none.
+ * @param {string} dir - Absolute preset directory
+ * @returns {{name: string, version: string|null, description: string}}
+ * @throws {InvalidConfigError} - When preset.json is unreadable or malformed
+ */
+function readPreset(dir) {
+  const file = path.join(dir, PRESET_FILE);
+  let preset;
+  try {
+    preset = fs.readJsonSync(file);
+  } catch (err) {
+    throw new InvalidConfigError(`Could not load ${file}: ${err.message}`, { file, key: null });
+  }
+  if (preset === null || typeof preset !== 'object' || Array.isArray(preset)) {
+    throw new InvalidConfigError(`${file}: preset must be an object`, { file, key: null });
+  }
+
+  let version = preset.version;
+  if (version === undefined) {
+    try {
+      version = fs.readJsonSync(path.join(dir, 'package.json')).version;
+    } catch (e) {
+      // Not an npm package: unversioned
+    }
+  }
+  return {
+    name: preset.name || path.basename(dir),
+    version: version === undefined ? null : String(version),
+    description: preset.description || ''
+  };
+}
+
+/**
+ * Resolve a preset to a directory. Paths (starting with `.` or `/`) are used
+ * as given; names are looked up in the bundled presets, then as npm packages
+ * `<name>` and `workspace-agents-preset-<name>` in node_modules. Nothing is fetched.
+ * @param {string} root - Project root directory (relative paths and node_modules lookups start here)
+ * @param {string} spec - Preset name or path
+ * @returns {{spec: string, name: string, version: string|null, source: 'path'|'bundled'|'npm', path: string}}
+ *   spec is normalized (project-relative paths start with ./ or ../); path is project-relative
+ * @throws {PresetNotFoundError}
+ */
+function resolvePreset(root, spec) {
+  const candidates = [];
+  let normalized = spec;
+
+  if (isPathSpec(spec)) {
+    const absPath = path.resolve(root, spec);
+    const rel = path.relative(root, absPath).split(path.sep).join('/');
+    normalized = rel.startsWith('..') ? rel : `./${rel}`;
+    candidates.push({ dir: absPath, source: 'path' });
+  } else {
+    if (/^[\w-]+$/.test(spec)) {
+      candidates.push({ dir: path.join(PRESETS_DIR, spec), source: 'bundled' });
+    }
+    for (const packageName of [spec, spec.startsWith('@') ? null : `${PACKAGE_PREFIX}${spec}`].filter(Boolean)) {
+      candidates.push(...nodeModulesCandidates(root, packageName).map(dir => ({ dir, source: 'npm' })));
+    }
+  }
+
+  const found = candidates.find(candidate => isPreset(candidate.dir));
+  if (!found) {
+    throw new PresetNotFoundError(`Preset not found: ${spec} (no ${PRESET_FILE} in ${candidates.length} places searched)`, {
+      preset: spec,
+      searched: candidates.map(candidate => candidate.dir)
+    });
+  }
+
+  const { name, version } = readPreset(found.dir);
+  return {
+    spec: normalized,
+    name,
+    version,
+    source: found.source,
+    path: path.relative(root, found.dir).split(path.sep).join('/') || '.'
+  };
+}
+
+/**
+ * Find the presets for a run. The first source that sets them wins:
+ * `options.presets` (`--preset`), the configured `presets`, then the presets
+ * recorded in the install state (resolved again, so updated packages are picked up).
+ * @param {string} root - Project root directory
+ * @param {object} options - Options
+ * @param {string|string[]} options.presets - Preset names or paths (relative to the project root)
+ * @param {object} settings - From config.load()
+ * @returns {Array<object>} - From resolvePreset(), lowest precedence first
+ * @throws {PresetNotFoundError}
+ */
+function resolvePresets(root, options, settings) {
+  let specs;
+  if (options.presets !== undefined && options.presets !== null) {
+    specs = [].concat(options.presets);
+  } else if (settings.presets) {
+    specs = settings.presets;
+  } else {
+    specs = (installState.load(root)?.presets || []).map(p => p.spec);
+  }
+  return [...new Set(specs)].map(spec => resolvePreset(root, spec));
+}
+
+/**
+ * Compare resolved presets with the ones recorded at install
+ * @param {object|null} state - Install state
+ * @param {Array<object>} presets - From resolvePresets()
+ * @returns {Array<{name: string, action: 'add'|'update'|'remove', from: string|null, to: string|null}>}
+ *   from/to are the installed and resolved versions (null when unversioned or absent)
+ */
+function findPresetUpdates(state, presets) {
+  const recorded = state?.presets || [];
+  const updates = [];
+  for (const preset of presets) {
+    const installed = recorded.find(p => p.name === preset.name);
+    if (!installed) {
+      updates.push({ name: preset.name, action: 'add', from: null, to: preset.version });
+    } else if (installed.version !== preset.version) {
+      updates.push({ name: preset.name, action: 'update', from: installed.version, to: preset.version });
+    }
+  }
+  for (const installed of recorded) {
+    if (!presets.some(p => p.name === installed.name)) {
+      updates.push({ name: installed.name, action: 'remove', from: installed.version, to: null });
+    }
+  }
+  return updates;
+}
+
+/**
+ * Describe a preset update for output
+ * @param {object} update - From findPresetUpdates()
+ * @returns {string} - e.g. "node-service v1.0.0 → v1.1.0"
+ */
+function formatUpdate(update) {
+  const version = v => (v === null ? 'unversioned' : `v${v}`);
+  if (update.action === 'add') {
+    return `${update.name} ${version(update.to)} (new)`;
+  }
+  if (update.action === 'remove') {
+    return `${update.name} ${version(update.from)} (removed)`;
+  }
+  return `${update.name} ${version(update.from)} → ${version(update.to)}`;
+}
+
+/**
+ * List the bundled presets
+ * @returns {Array<{name: string, version: string|null, description: string}>}
+ */
+function listBundled() {
+  if (!fs.existsSync(PRESETS_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(PRESETS_DIR)
+    .filter(name => isPreset(path.join(PRESETS_DIR, name)))
+    .map(name => readPreset(path.join(PRESETS_DIR, name)));
+}
+
+module.exports = {
+  PRESETS_DIR,
+  PRESET_FILE,
+  PACKAGE_PREFIX,
+  resolveSpecs,
+  resolvePreset,
+  resolvePresets,
+  findPresetUpdates,
+  formatUpdate,
+  listBundled
+};
@@ -1,7 +1,17 @@
 const path = require('path');
 const fs = require('fs-extra');
-const templateEngine = require('./template-engine');
 const symlinkOps = require('./symlink-ops');
+const installState = require('./install-state');
+const skillSync = require('./skill-sync');
+const templateSync = require('./template-sync');
+const workspaces = require('./workspaces');
+const config = require('./config');
+const templateLayers = require('./template-layers');
+const presets = require('./presets');
+const templateEngine = require('./template-engine');
+const repoInfo = require('./repo-info');
+const { isNewer, readMarker } = require('./version-checker');
+const pkg = require('../../package.json');
 
 /**
  * Extract project name from package.json or directory name
@@ -21,6 +31,19 @@ function detectProjectName(root) {
   return path.basename(root);
 }
 
+/**
+ * Template variables for a project: the defaults (project name, date, framework
+ * version) plus what repo-info.js finds in its manifests, lockfiles and git
+ * @param {string} root - Project root directory
+ * @returns {object}
+ */
+function detectVariables(root) {
+  return {
+    ...templateEngine.getDefaultVariables(detectProjectName(root)),
+    ...repoInfo.toVariables(repoInfo.detectRepoInfo(root))
+  };
+}
+
 /**
  * Check if project has existing Workspace Agents framework
  * @param {string} root - Project root directory
@@ -37,32 +60,60 @@ function detectExistingFramework(root) {
 }
 
 /**
- * Get framework version from existing installation
+ * Generated files checked for a version, in order
+ */
+const VERSION_FILES = ['AGENTS.md', 'agents/README.md'];
+
+/**
+ * Get framework version from existing installation.
+ * The install state is authoritative; otherwise the version marker (or the
+ * older "Generated by" footer) in the main generated files is used.
  * @param {string} root - Project root directory
  * @returns {string|null}
  */
 function getFrameworkVersion(root) {
-  // Look for version marker in AGENTS.md or agents/README.md
-  const agentsMd = path.join(root, 'AGENTS.md');
-  if (fs.existsSync(agentsMd)) {
+  const state = installState.load(root);
+  if (state) {
+    return state.frameworkVersion;
+  }
+
+  for (const file of VERSION_FILES) {
     try {
-      const content = fs.readFileSync(agentsMd, 'utf-8');
-      // Look for version comment: <!-- workspace-agents v1.0.0 -->
-      const match = content.match(/<!-- workspace-agents v([\d.]+) -->/);
-      if (match) return match[1];
+      const marker = readMarker(fs.readFileSync(path.join(root, file), 'utf-8'));
+      if (marker) return marker.version;
     } catch (e) {
-      // Ignore read errors
+      // Missing or unreadable, try the next file
     }
   }
   return null;
 }
 
+/**
+ * List configured .gitignore lines missing from the project's .gitignore
+ * @param {string} root - Project root directory
+ * @param {object} settings - Project configuration from config.load()
+ * @returns {string[]}
+ */
+function findMissingGitignore(root, settings) {
+  const gitignorePath = path.join(root, '.gitignore');
+  const existing = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf-8') : '';
+  return settings.gitignore.filter(line => !existing.includes(line));
+}
+
 /**
  * Analyze existing framework structure for upgrade needs
+ * The template layers and project configuration decide which files, skills and symlinks are expected.
  * @param {string} root - Project root directory
- * @returns {{needsUpgrade: boolean, hasOldStructure: boolean, skillsOutOfSync: boolean, brokenSymlinks: boolean, missingFiles: boolean, details: object}}
+ * @param {object} options - Options
+ * @param {boolean} options.workspaces - true to offer monorepo workspace files to installs
+ *   without them, false to ignore them (default: only keep existing ones complete)
+ * @param {string|string[]} options.templates - Template override directories
+ * @param {string|string[]} options.presets - Preset names or paths
+ * @returns {{needsUpgrade: boolean, hasOldStructure: boolean, skillsOutOfSync: boolean, brokenSymlinks: boolean, missingFiles: boolean, templateDrift: boolean, untracked: boolean, gitignoreOutdated: boolean, presetsOutdated: boolean, details: object}}
+ * @throws {InvalidConfigError|InvalidOptionError|PresetNotFoundError} - When the project
+ *   configuration, a template override directory or a preset is invalid
  */
-function analyzeStructure(root) {
+function analyzeStructure(root, options = {}) {
   const details = {
     hasAgents: fs.existsSync(path.join(root, 'agents')),
     hasAgentsMd: fs.existsSync(path.join(root, 'AGENTS.md')),
@@ -74,8 +125,17 @@ function analyzeStructure(root) {
     hasLegacy: fs.existsSync(path.join(root, 'agents', 'legacy')),
     missingSkills: [],
     brokenSymlinksList: [],
-    missingFiles: []
+    missingFiles: [],
+    missingGitignore: [],
+    templateUpdates: [],
+    untrackedFiles: [],
+    presetUpdates: []
   };
+  const settings = config.load(root);
+  const layers = templateLayers.loadManifest(root, options, settings);
+  const { manifest } = layers;
+  const layerDirs = templateLayers.absolute(root, layers.dirs);
+  const ignored = relPath => config.isIgnored(settings, relPath);
 
   // Old structure indicators
   const hasOldStructure = details.hasTools || details.hasOldPlansLocal;
@@ -84,18 +144,16 @@ function analyzeStructure(root) {
   let skillsOutOfSync = false;
   let brokenSymlinks = false;
   let missingFiles = false;
+  let templateDrift = false;
 
   if (details.hasAgents) {
-    const manifest = templateEngine.getManifest();
-    const bundledSkillsDir = path.join(__dirname, '..', 'templates', 'skills');
-
-    // Check if any bundled skills are missing from project
-    if (details.hasSkills && manifest.skillsToCopy?.length && fs.existsSync(bundledSkillsDir)) {
+    // Check if any bundled (or preset) skills are missing from project
+    if (details.hasSkills && manifest.skillsToCopy?.length) {
       for (const skillName of manifest.skillsToCopy) {
         const projectSkillPath = path.join(root, 'agents', 'skills', skillName);
-        const bundledSkillPath = path.join(bundledSkillsDir, skillName);
+        const bundledSkillPath = skillSync.findSkillDir(skillName, layerDirs);
 
-        if (fs.existsSync(bundledSkillPath) && !fs.existsSync(projectSkillPath)) {
+        if (fs.existsSync(bundledSkillPath) && !fs.existsSync(projectSkillPath) && !ignored(`agents/skills/${skillName}`)) {
           details.missingSkills.push(skillName);
           skillsOutOfSync = true;
         }
@@ -106,7 +164,7 @@ function analyzeStructure(root) {
     if (manifest.symlinks?.length && symlinkOps.isSymlinkSupported()) {
       const symlinkResults = symlinkOps.validateSymlinks(manifest.symlinks, root);
       for (const result of symlinkResults) {
-        if (result.status === 'broken' || result.status === 'missing' || result.status === 'wrong_target') {
+        if ((result.status === 'broken' || result.status === 'missing' || result.status === 'wrong_target') && !ignored(result.link)) {
           details.brokenSymlinksList.push(result);
           brokenSymlinks = true;
         }
@@ -121,60 +179,119 @@ function analyzeStructure(root) {
       f.dest !== 'agents/README.md' // Skip main agents README, but allow subdirectory READMEs
     );
 
+    // Monorepos also get an AGENTS.md in every package, e.g. one added since install
+    const state = installState.load(root);
+    filesToCheck.push(...workspaces.listManagedFiles(root, state, options.workspaces));
+
     for (const file of filesToCheck) {
       const filePath = path.join(root, file.dest);
-      if (!fs.existsSync(filePath)) {
+      if (!fs.existsSync(filePath) && !ignored(file.dest)) {
         details.missingFiles.push(file.dest);
         missingFiles = true;
       }
     }
+
+    // Check generated files against the current templates (needs the install state;
+    // installs made before it get their generated files tracked first)
+    if (state) {
+      details.templateUpdates = templateSync.findTemplateUpdates(root, state, options);
+      templateDrift = details.templateUpdates.length > 0;
+      details.presetUpdates = presets.findPresetUpdates(state, layers.presets);
+    } else {
+      const variables = { ...detectVariables(root), ...settings.variables };
+      details.untrackedFiles = templateSync.findUntrackedFiles(root, state, variables, options);
+    }
+
+    details.missingGitignore = findMissingGitignore(root, settings);
   }
+  const gitignoreOutdated = details.missingGitignore.length > 0;
+  const untracked = details.untrackedFiles.length > 0;
+  const presetsOutdated = details.presetUpdates.length > 0;
 
   // Needs upgrade if has old structure or missing new structure pieces or skills out of sync
   const needsUpgrade = hasOldStructure ||
-    (details.hasAgents && (!details.hasSkills || !details.hasPlansLocal || !details.hasClaudeSkills)) ||
-    skillsOutOfSync || brokenSymlinks || missingFiles;
+    (details.hasAgents && (!details.hasSkills || !details.hasPlansLocal ||
+      (!details.hasClaudeSkills && manifest.directories.includes('.claude/skills')))) ||
+    skillsOutOfSync || brokenSymlinks || missingFiles || templateDrift || untracked || gitignoreOutdated || presetsOutdated;
 
-  return { needsUpgrade, hasOldStructure, skillsOutOfSync, brokenSymlinks, missingFiles, details };
+  return {
+    needsUpgrade, hasOldStructure, skillsOutOfSync, brokenSymlinks, missingFiles, templateDrift, untracked, gitignoreOutdated,
+    presetsOutdated, details
+  };
 }
 
 /**
  * Determine if project needs upgrade vs fresh scaffold
  * @param {string} root - Project root directory
- * @returns {{action: 'scaffold'|'upgrade'|'none', reason: string}}
+ * @param {object} options - Options passed to analyzeStructure()
+ * @param {object} [analysis] - analyzeStructure() output when the caller already has it
+ * @returns {{action: 'scaffold'|'upgrade'|'none', reason: string, installedVersion: string|null, availableVersion: string}}
  */
-function determineAction(root) {
+function determineAction(root, options = {}, analysis = null) {
   if (!detectExistingFramework(root)) {
-    return { action: 'scaffold', reason: 'No existing framework detected' };
+    return { action: 'scaffold', reason: 'No existing framework detected', installedVersion: null, availableVersion: pkg.version };
   }
 
-  const { needsUpgrade, hasOldStructure, skillsOutOfSync, brokenSymlinks, missingFiles, details } = analyzeStructure(root);
+  const installedVersion = getFrameworkVersion(root);
+  const outdated = Boolean(installedVersion) && isNewer(pkg.version, installedVersion);
+  const versions = `installed v${installedVersion}, available v${pkg.version}`;
+  const result = (action, reason) => ({ action, reason, installedVersion, availableVersion: pkg.version });
+  const upgrade = (reason) => result('upgrade', outdated ? `${reason} (${versions})` : reason);
+
+  const {
+    needsUpgrade, hasOldStructure, skillsOutOfSync, brokenSymlinks, missingFiles, templateDrift, untracked, gitignoreOutdated,
+    presetsOutdated, details
+  } = analysis || analyzeStructure(root, options);
 
   if (needsUpgrade) {
     if (hasOldStructure) {
-      return { action: 'upgrade', reason: 'Old framework structure detected' };
+      return upgrade('Old framework structure detected');
+    }
+    if (presetsOutdated) {
+      return upgrade(`Preset updates available: ${details.presetUpdates.map(presets.formatUpdate).join(', ')}`);
     }
     if (skillsOutOfSync) {
       const missing = details.missingSkills.join(', ');
-      return { action: 'upgrade', reason: `New skills available: ${missing}` };
+      return upgrade(`New skills available: ${missing}`);
     }
     if (missingFiles) {
       const count = details.missingFiles.length;
-      return { action: 'upgrade', reason: `${count} new template file${count > 1 ? 's' : ''} available` };
+      return upgrade(`${count} new template file${count > 1 ? 's' : ''} available`);
+    }
+    if (templateDrift) {
+      const count = details.templateUpdates.length;
+      const customized = details.templateUpdates.filter(u => u.action === 'merge').length;
+      const note = customized ? `, ${customized} customized` : '';
+      return upgrade(`${count} generated file${count > 1 ? 's' : ''} with template updates${note}`);
+    }
+    if (untracked) {
+      const count = details.untrackedFiles.length;
+      return upgrade(`${count} generated file${count > 1 ? 's' : ''} not tracked yet (installed before the install state); ` +
+        'update records them so template changes are detected');
     }
     if (brokenSymlinks) {
-      return { action: 'upgrade', reason: 'Broken or missing symlinks detected' };
+      return upgrade('Broken or missing symlinks detected');
     }
-    return { action: 'upgrade', reason: 'Framework missing latest features' };
+    if (gitignoreOutdated) {
+      const count = details.missingGitignore.length;
+      return upgrade(`${count} configured .gitignore entr${count > 1 ? 'ies' : 'y'} missing`);
+    }
+    return upgrade('Framework missing latest features');
+  }
+
+  if (outdated) {
+    return result('upgrade', `Installed v${installedVersion}, available v${pkg.version}`);
   }
 
-  return { action: 'none', reason: 'Framework already up to date' };
+  return result('none', 'Framework already up to date');
 }
 
 module.exports = {
   detectProjectName,
+  detectVariables,
   detectExistingFramework,
   getFrameworkVersion,
+  findMissingGitignore,
   analyzeStructure,
   determineAction
 };
@@ -0,0 +1,27 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { InvalidOptionError } = require('./errors');
+
+/**
+ * Resolve the directory to work on
+ * Relative paths are resolved against `cwd` (the --cwd option), which is
+ * itself relative to the process working directory.
+ * @param {string} [target] - Project directory (defaults to cwd)
+ * @param {string} [cwd] - Base directory (defaults to process.cwd())
+ * @returns {string} - Absolute project root
+ */
+function resolveProjectRoot(target, cwd) {
+  for (const [option, value] of [['path', target], ['cwd', cwd]]) {
+    if (value !== undefined && (typeof value !== 'string' || !value)) {
+      throw new InvalidOptionError(`${option} must be a directory path`, { option, value });
+    }
+  }
+
+  const root = path.resolve(cwd || '.', target || '.');
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new InvalidOptionError(`Not a directory: ${root}`, { option: target ? 'path' : 'cwd', value: target || cwd });
+  }
+  return root;
+}
+
+module.exports = { resolveProjectRoot };
@@ -82,8 +82,67 @@ function select(message, options) {
   });
 }
 
+/**
+ * Parse a toggle answer like "1 3 5-7" into zero-based indexes
+ * @param {string} answer - User input
+ * @param {number} count - Number of options
+ * @returns {number[]}
+ */
+function parseToggles(answer, count) {
+  const indexes = [];
+  for (const part of answer.split(/[\s,]+/).filter(Boolean)) {
+    const range = part.match(/^(\d+)-(\d+)$/);
+    const [start, end] = range ? [Number(range[1]), Number(range[2])] : [Number(part), Number(part)];
+    for (let n = start; n <= end; n++) {
+      if (n >= 1 && n <= count) indexes.push(n - 1);
+    }
+  }
+  return indexes;
+}
+
+/**
+ * Let the user toggle items in a list on and off
+ * @param {string} message - Heading shown above the list
+ * @param {string[]} options - Items to choose from
+ * @param {boolean} defaultValue - Whether items start selected
+ * @returns {Promise<boolean[]>} - Selection state per option
+ */
+function multiSelect(message, options, defaultValue = true) {
+  return new Promise((resolve) => {
+    const rl = createInterface();
+    const selected = options.map(() => defaultValue);
+
+    const ask = () => {
+      console.log(`\n${message}`);
+      options.forEach((opt, i) => {
+        console.log(`  ${selected[i] ? '[x]' : '[ ]'} ${String(i + 1).padStart(2)}. ${opt}`);
+      });
+
+      rl.question('Toggle numbers (e.g. 1 3 5-7), a = all, n = none, Enter = done: ', (answer) => {
+        const normalized = answer.trim().toLowerCase();
+
+        if (normalized === '') {
+          rl.close();
+          resolve(selected);
+          return;
+        }
+        if (normalized === 'a' || normalized === 'n') {
+          selected.fill(normalized === 'a');
+        } else {
+          parseToggles(normalized, options.length).forEach(i => { selected[i] = !selected[i]; });
+        }
+        ask();
+      });
+    };
+
+    ask();
+  });
+}
+
 module.exports = {
   confirm,
   input,
-  select
+  select,
+  multiSelect,
+  parseToggles
 };
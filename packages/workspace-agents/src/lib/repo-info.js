@@ -0,0 +1,417 @@
+const path = require('path');
+const fs = require('fs-extra');
+const gitOps = require('./git-ops');
+
+/**
+ * Lockfiles and the package manager they belong to, most specific first
+ */
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lockb', 'bun'],
+  ['bun.lock', 'bun'],
+  ['package-lock.json', 'npm'],
+  ['npm-shrinkwrap.json', 'npm'],
+  ['poetry.lock', 'poetry'],
+  ['uv.lock', 'uv'],
+  ['Pipfile.lock', 'pipenv'],
+  ['Cargo.lock', 'cargo'],
+  ['go.sum', 'go']
+];
+
+/**
+ * Install command per package manager
+ */
+const INSTALL_COMMANDS = {
+  npm: 'npm install',
+  yarn: 'yarn install',
+  pnpm: 'pnpm install',
+  bun: 'bun install',
+  poetry: 'poetry install',
+  uv: 'uv sync',
+  pipenv: 'pipenv install --dev',
+  cargo: 'cargo fetch',
+  go: 'go mod download'
+};
+
+/**
+ * Command kinds, each with a label and the package.json scripts and Makefile
+ * targets that provide it, in the order AGENTS.md lists them
+ */
+const COMMANDS = {
+  install: { label: 'Install', scripts: [], targets: ['install', 'setup', 'deps'] },
+  test: { label: 'Tests', scripts: ['test'], targets: ['test', 'check'] },
+  lint: { label: 'Lint', scripts: ['lint'], targets: ['lint'] },
+  build: { label: 'Build', scripts: ['build'], targets: ['build'] },
+  dev: { label: 'Dev server', scripts: ['dev', 'start', 'serve'], targets: ['dev', 'run', 'serve', 'start'] }
+};
+
+/**
+ * The test script `npm init` writes
+ */
+const PLACEHOLDER_TEST = /no test specified/;
+
+/**
+ * License file names, and the SPDX id for the first heading each starts with
+ */
+const LICENSE_FILES = ['LICENSE', 'LICENSE.md', 'LICENSE.txt', 'LICENCE', 'COPYING'];
+const LICENSE_TEXTS = [
+  [/^\s*(The )?MIT License|Permission is hereby granted, free of charge/i, 'MIT'],
+  [/Apache License[\s\S]*Version 2\.0/i, 'Apache-2.0'],
+  [/GNU LESSER GENERAL PUBLIC LICENSE[\s\S]*Version 3/i, 'LGPL-3.0'],
+  [/GNU AFFERO GENERAL PUBLIC LICENSE[\s\S]*Version 3/i, 'AGPL-3.0'],
+  [/GNU GENERAL PUBLIC LICENSE[\s\S]*Version 3/i, 'GPL-3.0'],
+  [/GNU GENERAL PUBLIC LICENSE[\s\S]*Version 2/i, 'GPL-2.0'],
+  [/Mozilla Public License,? (Version|v\.) 2\.0/i, 'MPL-2.0'],
+  [/^\s*ISC License/i, 'ISC'],
+  [/BSD 3-Clause|Redistributions[\s\S]*Neither the name/i, 'BSD-3-Clause'],
+  [/BSD 2-Clause|Redistributions in binary form/i, 'BSD-2-Clause'],
+  [/unencumbered software released into the public domain/i, 'Unlicense']
+];
+
+/**
+ * Read a file, or null if it is missing
+ * @param {string} root - Project root directory
+ * @param {string} name - File name relative to the root
+ * @returns {string|null}
+ */
+function readFile(root, name) {
+  try {
+    return fs.readFileSync(path.join(root, name), 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read a JSON file, or null if it is missing or invalid
+ * @param {string} root - Project root directory
+ * @param {string} name - File name relative to the root
+ * @returns {object|null}
+ */
+function readJson(root, name) {
+  try {
+    return fs.readJsonSync(path.join(root, name));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read a string value from a TOML table
+ * Only `key = "value"` and `key = { text = "value" }` are understood; enough for
+ * the metadata read here without a TOML parser.
+ * @param {string} content - TOML content
+ * @param {string} table - Table name, e.g. "project" or "tool.poetry"
+ * @param {string} key - Key within the table
+ * @returns {string|null}
+ */
+function tomlValue(content, table, key) {
+  let inTable = false;
+  for (const line of content.split('\n')) {
+    const header = line.match(/^\s*\[([^\]]+)\]\s*(#.*)?$/);
+    if (header) {
+      inTable = header[1].trim() === table;
+      continue;
+    }
+    const value = inTable && line.match(new RegExp(`^\\s*${key}\\s*=\\s*(?:\\{[^}]*?\\w+\\s*=\\s*)?(["'])(.*?)\\1`));
+    if (value) {
+      return value[2];
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether TOML content has a table
+ * @param {string} content - TOML content
+ * @param {string} table - Table name
+ * @returns {boolean}
+ */
+function hasTomlTable(content, table) {
+  return content.split('\n').some(line => line.trim() === `[${table}]`);
+}
+
+/**
+ * List the targets a Makefile defines
+ * @param {string} content - Makefile content
+ * @returns {string[]}
+ */
+function makeTargets(content) {
+  return [...content.matchAll(/^([A-Za-z0-9_.-]+)\s*:(?!=)/gm)].map(match => match[1]);
+}
+
+/**
+ * Find the package manager from the lockfile, else from the manifests present
+ * @param {string} root - Project root directory
+ * @param {object|null} pkg - Parsed package.json
+ * @returns {string|null}
+ */
+function detectPackageManager(root, pkg) {
+  const lockfile = LOCKFILES.find(([file]) => fs.existsSync(path.join(root, file)));
+  if (lockfile) {
+    return lockfile[1];
+  }
+  if (pkg) {
+    const declared = typeof pkg.packageManager === 'string' && pkg.packageManager.match(/^(npm|yarn|pnpm|bun)@/);
+    return declared ? declared[1] : 'npm';
+  }
+  if (['pyproject.toml', 'requirements.txt', 'setup.py'].some(file => fs.existsSync(path.join(root, file)))) {
+    return 'pip';
+  }
+  if (fs.existsSync(path.join(root, 'Cargo.toml'))) {
+    return 'cargo';
+  }
+  if (fs.existsSync(path.join(root, 'go.mod'))) {
+    return 'go';
+  }
+  return null;
+}
+
+/**
+ * List the languages the project's manifests point at
+ * @param {string} root - Project root directory
+ * @param {object|null} pkg - Parsed package.json
+ * @returns {string[]}
+ */
+function detectLanguages(root, pkg) {
+  const exists = file => fs.existsSync(path.join(root, file));
+  const deps = pkg ? { ...pkg.dependencies, ...pkg.devDependencies } : {};
+  const languages = [];
+  if (exists('tsconfig.json') || 'typescript' in deps) {
+    languages.push('TypeScript');
+  }
+  if (pkg) {
+    languages.push('JavaScript');
+  }
+  if (['pyproject.toml', 'setup.py', 'requirements.txt', 'Pipfile'].some(exists)) {
+    languages.push('Python');
+  }
+  if (exists('Cargo.toml')) {
+    languages.push('Rust');
+  }
+  if (exists('go.mod')) {
+    languages.push('Go');
+  }
+  return languages;
+}
+
+/**
+ * Command that runs a package.json script
+ * @param {string} packageManager - npm, yarn, pnpm or bun
+ * @param {string} script - Script name
+ * @returns {string}
+ */
+function runScript(packageManager, script) {
+  if (packageManager === 'yarn' || packageManager === 'pnpm') {
+    return `${packageManager} ${script}`;
+  }
+  if (packageManager === 'bun') {
+    return `bun run ${script}`;
+  }
+  return ['test', 'start'].includes(script) ? `npm ${script}` : `npm run ${script}`;
+}
+
+/**
+ * Commands from package.json scripts
+ * @param {object|null} pkg - Parsed package.json
+ * @param {string|null} packageManager - From detectPackageManager()
+ * @returns {object} - Command kind to command
+ */
+function scriptCommands(pkg, packageManager) {
+  const scripts = pkg?.scripts || {};
+  const manager = ['npm', 'yarn', 'pnpm', 'bun'].includes(packageManager) ? packageManager : 'npm';
+  const commands = {};
+  if (pkg) {
+    commands.install = INSTALL_COMMANDS[manager];
+  }
+  for (const [kind, { scripts: names }] of Object.entries(COMMANDS)) {
+    const name = names.find(n => typeof scripts[n] === 'string' && !(n === 'test' && PLACEHOLDER_TEST.test(scripts[n])));
+    if (name) {
+      commands[kind] = runScript(manager, name);
+    }
+  }
+  return commands;
+}
+
+/**
+ * Commands from Makefile targets
+ * @param {string|null} makefile - Makefile content
+ * @returns {object} - Command kind to command
+ */
+function makeCommands(makefile) {
+  const targets = makefile ? makeTargets(makefile) : [];
+  const commands = {};
+  for (const [kind, { targets: names }] of Object.entries(COMMANDS)) {
+    const target = names.find(n => targets.includes(n));
+    if (target) {
+      commands[kind] = `make ${target}`;
+    }
+  }
+  return commands;
+}
+
+/**
+ * Commands from Python tool configuration (pytest, ruff) in pyproject.toml
+ * @param {string} root - Project root directory
+ * @param {string|null} pyproject - pyproject.toml content
+ * @param {string|null} packageManager - From detectPackageManager()
+ * @returns {object} - Command kind to command
+ */
+function pythonCommands(root, pyproject, packageManager) {
+  const exists = file => fs.existsSync(path.join(root, file));
+  if (!pyproject && !exists('requirements.txt') && !exists('setup.py')) {
+    return {};
+  }
+  const content = pyproject || '';
+  const prefix = { poetry: 'poetry run ', uv: 'uv run ', pipenv: 'pipenv run ' }[packageManager] || '';
+  const commands = {
+    install: INSTALL_COMMANDS[packageManager] ||
+      (pyproject || exists('setup.py') ? 'pip install -e .' : 'pip install -r requirements.txt')
+  };
+  if (/\bpytest\b/.test(content) || exists('pytest.ini') || exists('tests') || exists('conftest.py')) {
+    commands.test = `${prefix}pytest`;
+  }
+  if (hasTomlTable(content, 'tool.ruff') || /\bruff\b/.test(content) || exists('ruff.toml') || exists('.ruff.toml')) {
+    commands.lint = `${prefix}ruff check .`;
+  } else if (exists('.flake8') || /\bflake8\b/.test(content)) {
+    commands.lint = `${prefix}flake8`;
+  }
+  if (pyproject && hasTomlTable(content, 'build-system')) {
+    commands.build = `${prefix}python -m build`;
+  }
+  return commands;
+}
+
+/**
+ * Commands from Cargo.toml
+ * @param {string} root - Project root directory
+ * @param {string|null} cargo - Cargo.toml content
+ * @returns {object} - Command kind to command
+ */
+function rustCommands(root, cargo) {
+  if (!cargo) {
+    return {};
+  }
+  return {
+    install: INSTALL_COMMANDS.cargo,
+    test: 'cargo test',
+    lint: 'cargo clippy',
+    build: 'cargo build',
+    ...(fs.existsSync(path.join(root, 'src', 'main.rs')) && { dev: 'cargo run' })
+  };
+}
+
+/**
+ * Commands from go.mod
+ * @param {string|null} goMod - go.mod content
+ * @returns {object} - Command kind to command
+ */
+function goCommands(goMod) {
+  if (!goMod) {
+    return {};
+  }
+  return {
+    install: INSTALL_COMMANDS.go,
+    test: 'go test ./...',
+    lint: 'go vet ./...',
+    build: 'go build ./...'
+  };
+}
+
+/**
+ * Find the license: the manifests' license field, else the license file's text
+ * @param {string} root - Project root directory
+ * @param {object} manifests - { pkg, pyproject, cargo }
+ * @returns {string|null} - SPDX id (or the manifest's value as written)
+ */
+function detectLicense(root, { pkg, pyproject, cargo }) {
+  const declared = (typeof pkg?.license === 'string' && pkg.license) ||
+    (pyproject && (tomlValue(pyproject, 'project', 'license') || tomlValue(pyproject, 'tool.poetry', 'license'))) ||
+    (cargo && tomlValue(cargo, 'package', 'license'));
+  if (declared && declared !== 'UNLICENSED') {
+    return declared;
+  }
+  for (const file of LICENSE_FILES) {
+    const text = readFile(root, file);
+    if (text) {
+      const match = LICENSE_TEXTS.find(([pattern]) => pattern.test(text));
+      return match ? match[1] : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Gather facts about a repository from its manifests, lockfiles and git:
+ * package manager, languages, install/test/lint/dev/build commands, default
+ * branch, remote URL and license. Commands come from package.json scripts
+ * first, then Makefile targets, then Python, Rust and Go conventions.
+ * @param {string} root - Project root directory
+ * @returns {{packageManager: string|null, languages: string[], commands: object,
+ *   defaultBranch: string|null, remoteUrl: string|null, license: string|null}}
+ *   commands maps install, test, lint, dev and build to a command when one was found
+ */
+function detectRepoInfo(root) {
+  const pkg = readJson(root, 'package.json');
+  const pyproject = readFile(root, 'pyproject.toml');
+  const cargo = readFile(root, 'Cargo.toml');
+  const packageManager = detectPackageManager(root, pkg);
+
+  const sources = [
+    scriptCommands(pkg, packageManager),
+    makeCommands(readFile(root, 'Makefile')),
+    pythonCommands(root, pyproject, packageManager),
+    rustCommands(root, cargo),
+    goCommands(readFile(root, 'go.mod'))
+  ];
+  const commands = {};
+  for (const kind of Object.keys(COMMANDS)) {
+    const source = sources.find(s => s[kind]);
+    if (source) {
+      commands[kind] = source[kind];
+    }
+  }
+
+  const isGit = gitOps.isGitRepo(root);
+  return {
+    packageManager,
+    languages: detectLanguages(root, pkg),
+    commands,
+    defaultBranch: isGit ? gitOps.getDefaultBranch(root) : null,
+    remoteUrl: isGit ? gitOps.getRemoteUrl(root) : null,
+    license: detectLicense(root, { pkg, pyproject, cargo })
+  };
+}
+
+/**
+ * Turn repository facts into template variables. Only facts that were found
+ * are set, so templates can use `{{#if NAME}}` or `{{NAME|fallback}}`.
+ * @param {object} info - From detectRepoInfo()
+ * @returns {object} - PACKAGE_MANAGER, LANGUAGES (array), INSTALL_COMMAND, TEST_COMMAND,
+ *   LINT_COMMAND, BUILD_COMMAND, DEV_COMMAND, COMMANDS ({ label, command }[] of the
+ *   ones after install, for `{{#each}}`), DEFAULT_BRANCH, REPO_URL, LICENSE
+ */
+function toVariables(info) {
+  const commands = Object.keys(COMMANDS).filter(kind => kind !== 'install' && info.commands[kind])
+    .map(kind => ({ label: COMMANDS[kind].label, command: info.commands[kind] }));
+  const variables = {
+    PACKAGE_MANAGER: info.packageManager,
+    LANGUAGES: info.languages.length ? info.languages : null,
+    COMMANDS: commands.length ? commands : null,
+    DEFAULT_BRANCH: info.defaultBranch,
+    REPO_URL: info.remoteUrl,
+    LICENSE: info.license
+  };
+  for (const [kind, command] of Object.entries(info.commands)) {
+    variables[`${kind.toUpperCase()}_COMMAND`] = command;
+  }
+  return Object.fromEntries(Object.entries(variables).filter(([, value]) => value !== null && value !== undefined));
+}
+
+module.exports = {
+  detectRepoInfo,
+  toVariables,
+  tomlValue,
+  makeTargets
+};
@@ -0,0 +1,53 @@
+const path = require('path');
+const fs = require('fs-extra');
+const backup = require('./backup');
+const transaction = require('./transaction');
+const { BackupNotFoundError } = require('./errors');
+
+/**
+ * Plan putting a backup snapshot back
+ * @param {string} projectRoot - Project root directory
+ * @param {string} [id] - Snapshot id (defaults to the newest)
+ * @returns {object} - Changes object
+ */
+function plan(projectRoot, id) {
+  const snapshots = backup.list(projectRoot);
+  if (!snapshots.length) {
+    throw new BackupNotFoundError(`No backups found in ${backup.BACKUP_DIR}/`, { backup: id || null, available: [] });
+  }
+
+  const snapshot = id ? snapshots.find(s => s.id === id) : snapshots[0];
+  if (!snapshot) {
+    const available = snapshots.map(s => s.id);
+    throw new BackupNotFoundError(`Backup not found: ${id} (available: ${available.join(', ')})`, { backup: id, available });
+  }
+
+  return {
+    type: 'restore',
+    backup: snapshot.id,
+    files: snapshot.files.map(file => ({
+      path: file,
+      action: fs.existsSync(path.join(projectRoot, file)) ? 'overwrite' : 'create'
+    }))
+  };
+}
+
+/**
+ * Copy the snapshot's files back into the project
+ * Runs as a transaction, so the files it replaces are backed up in turn.
+ * @param {object} changes - Changes from plan()
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<string|null>} - Id of the backup taken of the replaced files
+ */
+async function apply(changes, projectRoot) {
+  const source = path.join(projectRoot, backup.BACKUP_DIR, changes.backup);
+
+  const { backup: replaced } = await transaction.run(projectRoot, async (tx) => {
+    for (const file of changes.files) {
+      tx.copyFile(path.join(source, file.path), file.path);
+    }
+  });
+  return replaced;
+}
+
+module.exports = { plan, apply };
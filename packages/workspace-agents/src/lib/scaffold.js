@@ -1,22 +1,37 @@
 const path = require('path');
 const fs = require('fs-extra');
 const templateEngine = require('./template-engine');
-const fileOps = require('./file-ops');
 const symlinkOps = require('./symlink-ops');
 const detector = require('./project-detector');
+const transaction = require('./transaction');
+const installState = require('./install-state');
+const skillSync = require('./skill-sync');
+const workspaces = require('./workspaces');
+const config = require('./config');
+const templateCheck = require('./template-check');
+const templateLayers = require('./template-layers');
 
 /**
  * Plan scaffold operation - computes what changes will be made
+ * Presets (see presets.js), template override directories (see
+ * template-layers.js) and the project configuration (see config.js) are
+ * merged over the manifest.
  * @param {string} projectRoot - Project root directory
  * @param {object} options - Options
  * @param {boolean} options.force - Overwrite existing files
  * @param {boolean} options.skipSymlinks - Skip symlink creation
+ * @param {boolean} options.workspaces - false to skip the monorepo repo map and per-package AGENTS.md
+ * @param {boolean} options.strict - Fail when a template outputs a variable without a value
+ * @param {string|string[]} options.templates - Template override directories
+ * @param {string|string[]} options.presets - Preset names or paths
  * @returns {Promise<object>} - Changes object
+ * @throws {UndefinedVariableError} - In strict mode
+ * @throws {PresetNotFoundError} - When a preset cannot be found
  */
 async function plan(projectRoot, options = {}) {
-  const manifest = templateEngine.getManifest();
-  const projectName = detector.detectProjectName(projectRoot);
-  const variables = templateEngine.getDefaultVariables(projectName);
+  const settings = config.load(projectRoot);
+  const { presets, templates, dirs, manifest } = templateLayers.loadManifest(projectRoot, options, settings);
+  const variables = { ...detector.detectVariables(projectRoot), ...settings.variables };
 
   const changes = {
     type: 'scaffold',
@@ -24,7 +39,9 @@ async function plan(projectRoot, options = {}) {
     files: [],
     symlinks: [],
     gitignore: [],
-    skillsToCopy: []
+    skillsToCopy: [],
+    presets,               // Presets the files are rendered from ({ spec, name, version, source, path })
+    templates              // Template override directories the files are rendered from
   };
 
   // Plan directories
@@ -35,8 +52,10 @@ async function plan(projectRoot, options = {}) {
     }
   }
 
-  // Plan files
-  for (const file of manifest.files) {
+  // Plan files (monorepos also get a repo map and an AGENTS.md per package)
+  const detected = options.workspaces === false ? null : workspaces.detectWorkspaces(projectRoot);
+  const workspaceFiles = detected ? workspaces.getWorkspaceFiles(detected) : [];
+  for (const file of [...manifest.files, ...workspaceFiles]) {
     const destPath = path.join(projectRoot, file.dest);
     const exists = fs.existsSync(destPath);
 
@@ -57,7 +76,7 @@ async function plan(projectRoot, options = {}) {
         action: 'create',
         path: file.dest,
         template: file.template,
-        variables
+        variables: { ...variables, ...file.variables }
       });
     }
   }
@@ -94,67 +113,89 @@ async function plan(projectRoot, options = {}) {
     changes.skillsToCopy = manifest.skillsToCopy;
   }
 
-  return changes;
+  // Report variables the created files would be missing
+  const filtered = config.filterChanges(changes, settings);
+  const rendered = filtered.files.filter(f => f.action === 'create');
+  return templateCheck.checkChanges(filtered, rendered, settings,
+    { ...options, dirs: templateLayers.absolute(projectRoot, dirs) });
 }
 
 /**
  * Apply planned scaffold changes
+ * Runs as a transaction: if any step fails, completed steps are undone.
  * @param {object} changes - Changes from plan()
  * @param {string} projectRoot - Project root directory
+ * @returns {Promise<{backup: string|null, warnings: string[]}>} - backup is the id of the
+ *   backup taken when files were overwritten (--force); warnings
+ *   list symlinks the platform refused to create
  */
 async function apply(changes, projectRoot) {
-  // Create directories
-  for (const dir of changes.directories) {
-    fileOps.ensureDir(path.join(projectRoot, dir));
-  }
+  const state = installState.loadOrCreate(projectRoot);
+  const dirs = templateLayers.absolute(projectRoot, templateLayers.planDirs(changes));
 
-  // Create files
-  for (const file of changes.files) {
-    if (file.action === 'create') {
-      const content = templateEngine.loadAndRender(file.template, file.variables);
-      fileOps.writeFile(path.join(projectRoot, file.path), content);
+  const { backup, warnings } = await transaction.run(projectRoot, async (tx) => {
+    // Create directories
+    for (const dir of changes.directories) {
+      tx.ensureDir(dir);
     }
-  }
 
-  // Create symlinks
-  for (const link of changes.symlinks) {
-    symlinkOps.createSymlink(
-      link.target,
-      path.join(projectRoot, link.link),
-      { force: true }
-    );
-  }
+    // Create files
+    for (const file of changes.files) {
+      if (file.action === 'create') {
+        const content = templateEngine.loadAndRender(file.template, file.variables, { dirs });
+        installState.writeGenerated(tx, state, file.path, {
+          template: file.template,
+          content,
+          variables: file.variables
+        });
+      }
+    }
 
-  // Append to gitignore
-  if (changes.gitignore?.length) {
-    fileOps.appendGitignore(projectRoot, changes.gitignore);
-  }
+    // Create symlinks
+    for (const link of changes.symlinks) {
+      tx.createSymlink(link.target, link.link);
+      installState.recordSymlink(state, link.link, link.target);
+    }
 
-  // Copy skills to project
-  if (changes.skillsToCopy?.length) {
-    await copySkillsToProject(changes.skillsToCopy, projectRoot);
-  }
+    // Append to gitignore
+    if (changes.gitignore?.length) {
+      tx.appendGitignore(changes.gitignore);
+      installState.recordGitignore(state, changes.gitignore);
+    }
+
+    // Copy skills to project
+    if (changes.skillsToCopy?.length) {
+      copySkillsToProject(changes.skillsToCopy, projectRoot, tx, state, dirs);
+    }
+
+    // Record what was generated
+    installState.recordPresets(state, changes.presets);
+    installState.recordTemplates(state, changes.templates);
+    tx.writeFile(installState.STATE_FILE, installState.serialize(state));
+  });
+
+  return { backup, warnings };
 }
 
 /**
- * Copy bundled skills to the project's agents/skills directory
+ * Copy bundled (or preset and override) skills to the project's agents/skills directory
  * @param {string[]} skillNames - Names of skills to copy
  * @param {string} projectRoot - Project root directory
+ * @param {object} tx - Transaction from transaction.run()
+ * @param {object} state - Install state to record copied skills in
+ * @param {string[]} dirs - Absolute template directories, see skillSync.findSkillDir()
  */
-async function copySkillsToProject(skillNames, projectRoot) {
-  const bundledSkillsDir = path.join(__dirname, '..', 'templates', 'skills');
-  const destSkillsDir = path.join(projectRoot, 'agents', 'skills');
-
+function copySkillsToProject(skillNames, projectRoot, tx, state, dirs = []) {
   // Ensure destination exists
-  fileOps.ensureDir(destSkillsDir);
+  tx.ensureDir('agents/skills');
 
   for (const skillName of skillNames) {
-    const srcSkill = path.join(bundledSkillsDir, skillName);
-    const destSkill = path.join(destSkillsDir, skillName);
+    const srcSkill = skillSync.findSkillDir(skillName, dirs);
+    const destSkill = path.join(projectRoot, 'agents', 'skills', skillName);
 
     // Only copy if source exists and destination doesn't (or is being scaffolded)
     if (fs.existsSync(srcSkill) && !fs.existsSync(destSkill)) {
-      fileOps.copyDir(srcSkill, destSkill);
+      skillSync.copySkill(tx, state, skillName, dirs);
     }
   }
 }
@@ -0,0 +1,207 @@
+const path = require('path');
+const fs = require('fs-extra');
+const installState = require('./install-state');
+const { merge3 } = require('./merge');
+const pkg = require('../../package.json');
+
+/**
+ * How locally modified skill files are handled on update
+ * - skip:  leave the local file alone
+ * - new:   leave the local file alone and write the bundled version next to it as <file>.new
+ * - merge: three-way merge the bundled change into the local file (falls back to "new"
+ *          when the originally shipped version is not known)
+ */
+const CONFLICT_STRATEGIES = ['skip', 'new', 'merge'];
+
+/**
+ * Get bundled skills directory path
+ * @returns {string}
+ */
+function getBundledSkillsDir() {
+  return path.join(__dirname, '..', 'templates', 'skills');
+}
+
+/**
+ * Find the source of a skill: the last template override directory (or preset)
+ * with a skills/<name> directory, else the bundled skills
+ * @param {string} skillName - Skill name
+ * @param {string[]} dirs - Absolute template directories, lowest precedence first
+ * @returns {string} - Absolute path (may not exist when no layer ships the skill)
+ */
+function findSkillDir(skillName, dirs = []) {
+  for (const dir of [...dirs].reverse()) {
+    const candidate = path.join(dir, 'skills', skillName);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return path.join(getBundledSkillsDir(), skillName);
+}
+
+/**
+ * Project-relative directory of a skill
+ * @param {string} skillName - Skill name
+ * @returns {string}
+ */
+function skillDir(skillName) {
+  return `agents/skills/${skillName}`;
+}
+
+/**
+ * Copy a bundled skill into the project and record it (with its merge base)
+ * @param {object} tx - Transaction from transaction.run()
+ * @param {object} state - Install state
+ * @param {string} skillName - Skill name
+ * @param {string[]} dirs - Absolute template directories, see findSkillDir()
+ */
+function copySkill(tx, state, skillName, dirs = []) {
+  const srcSkill = findSkillDir(skillName, dirs);
+  tx.copyDir(srcSkill, skillDir(skillName));
+  writeSkillBase(tx, skillName, srcSkill);
+  installState.recordSkill(state, skillName, srcSkill);
+}
+
+/**
+ * Store the shipped version of a skill as the base for future merges
+ * @param {object} tx - Transaction from transaction.run()
+ * @param {string} skillName - Skill name
+ * @param {string} srcSkill - Absolute path of the bundled skill
+ */
+function writeSkillBase(tx, skillName, srcSkill) {
+  const base = installState.basePath(skillDir(skillName));
+  tx.remove(base);
+  tx.copyDir(srcSkill, base);
+}
+
+/**
+ * Plan a per-file update of an existing bundled skill.
+ *
+ * Each file is compared against the checksum recorded when the skill was
+ * last copied. Files still matching that checksum are replaced; files that
+ * were edited locally are handled according to the conflict strategy.
+ * @param {string} projectRoot - Project root directory
+ * @param {object|null} state - Install state
+ * @param {string} skillName - Skill name
+ * @param {string} strategy - One of CONFLICT_STRATEGIES
+ * @param {string[]} dirs - Absolute template directories, see findSkillDir()
+ * @returns {{name: string, files: Array<{path: string, action: string, reason?: string}>}|null}
+ *   null when the local skill already matches the bundled version
+ */
+function planSkillUpdate(projectRoot, state, skillName, strategy = 'new', dirs = []) {
+  const srcSkill = findSkillDir(skillName, dirs);
+  const destSkill = path.join(projectRoot, skillDir(skillName));
+  const shipped = state?.skills?.[skillName]?.files || {};
+  const bundledFiles = installState.listFiles(srcSkill);
+  const baseSkill = path.join(projectRoot, installState.basePath(skillDir(skillName)));
+
+  const files = [];
+  const allFiles = [...new Set([...bundledFiles, ...Object.keys(shipped)])].sort();
+
+  for (const rel of allFiles) {
+    const bundledHash = installState.hashFile(path.join(srcSkill, rel));
+    const localHash = installState.hashFile(path.join(destSkill, rel));
+    const shippedHash = shipped[rel] || null;
+
+    if (localHash === bundledHash) {
+      continue;
+    }
+
+    if (!bundledHash) {
+      // Removed from the bundle
+      if (localHash === shippedHash) {
+        files.push({ path: rel, action: 'remove' });
+      } else if (localHash) {
+        files.push({ path: rel, action: 'keep', reason: 'removed upstream, modified locally' });
+      }
+    } else if (!localHash) {
+      if (shippedHash) {
+        files.push({ path: rel, action: 'skip', reason: 'deleted locally' });
+      } else {
+        files.push({ path: rel, action: 'add' });
+      }
+    } else if (localHash === shippedHash) {
+      files.push({ path: rel, action: 'update' });
+    } else if (strategy === 'skip') {
+      files.push({ path: rel, action: 'skip', reason: 'modified locally' });
+    } else if (strategy === 'merge' && shippedHash && fs.existsSync(path.join(baseSkill, rel))) {
+      const { content, conflicts } = mergeSkillFile(projectRoot, skillName, rel, dirs);
+      if (content !== fs.readFileSync(path.join(destSkill, rel), 'utf-8')) {
+        files.push({ path: rel, action: conflicts ? 'conflict' : 'merge', reason: 'modified locally' });
+      }
+    } else if (installState.hashFile(path.join(destSkill, `${rel}.new`)) !== bundledHash) {
+      files.push({ path: rel, action: 'new', reason: 'modified locally' });
+    }
+  }
+
+  if (!files.length) {
+    return null;
+  }
+  return { name: skillName, files };
+}
+
+/**
+ * Merge the bundled version of a skill file into the locally modified copy
+ * @param {string} projectRoot - Project root directory
+ * @param {string} skillName - Skill name
+ * @param {string} rel - File path within the skill
+ * @param {string[]} dirs - Absolute template directories, see findSkillDir()
+ * @returns {{content: string, conflicts: number}}
+ */
+function mergeSkillFile(projectRoot, skillName, rel, dirs = []) {
+  const read = (file) => fs.readFileSync(file, 'utf-8');
+  const local = path.join(projectRoot, skillDir(skillName), rel);
+  const base = path.join(projectRoot, installState.basePath(skillDir(skillName)), rel);
+  const bundled = path.join(findSkillDir(skillName, dirs), rel);
+
+  return merge3(read(base), read(local), read(bundled), {
+    oursLabel: `${rel} (local)`,
+    theirsLabel: `workspace-agents v${pkg.version}`
+  });
+}
+
+/**
+ * Apply a planned skill update
+ * @param {object} tx - Transaction from transaction.run()
+ * @param {object} state - Install state
+ * @param {string} projectRoot - Project root directory
+ * @param {{name: string, files: Array<{path: string, action: string}>}} update - From planSkillUpdate()
+ * @param {string[]} dirs - Absolute template directories, see findSkillDir()
+ */
+function applySkillUpdate(tx, state, projectRoot, update, dirs = []) {
+  const srcSkill = findSkillDir(update.name, dirs);
+  const dest = (rel) => `${skillDir(update.name)}/${rel}`;
+
+  for (const file of update.files) {
+    switch (file.action) {
+      case 'add':
+      case 'update':
+        tx.copyFile(path.join(srcSkill, file.path), dest(file.path));
+        break;
+      case 'remove':
+        tx.remove(dest(file.path));
+        break;
+      case 'new':
+        tx.copyFile(path.join(srcSkill, file.path), `${dest(file.path)}.new`);
+        break;
+      case 'merge':
+      case 'conflict':
+        tx.writeFile(dest(file.path), mergeSkillFile(projectRoot, update.name, file.path, dirs).content);
+        break;
+      default:
+        // skip / keep: leave the local file alone
+        break;
+    }
+  }
+
+  writeSkillBase(tx, update.name, srcSkill);
+  installState.recordSkill(state, update.name, srcSkill);
+}
+
+module.exports = {
+  CONFLICT_STRATEGIES,
+  getBundledSkillsDir,
+  findSkillDir,
+  copySkill,
+  planSkillUpdate,
+  applySkillUpdate
+};
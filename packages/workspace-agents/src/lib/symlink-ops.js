@@ -60,20 +60,28 @@ function isGitSymlinkEnabled(dir) {
  * @param {string} linkPath - Path where symlink will be created
  * @param {object} options
  * @param {boolean} options.force - Overwrite existing link
- * @returns {boolean} - true if created, false if skipped
+ * @returns {{created: boolean, warning: string|null}} - created is false when skipped;
+ *   warning says why a link could not be created
  */
 function createSymlink(target, linkPath, options = {}) {
   // Ensure parent directory exists
   fs.ensureDirSync(path.dirname(linkPath));
 
-  // Check if link already exists
-  if (fs.existsSync(linkPath)) {
+  // Check if link already exists (lstat so broken symlinks are found too)
+  let linkExists = true;
+  try {
+    fs.lstatSync(linkPath);
+  } catch (e) {
+    linkExists = false;
+  }
+
+  if (linkExists) {
     if (!options.force) {
       // Check if it's already pointing to correct target
       try {
         const existing = fs.readlinkSync(linkPath);
         if (existing === target) {
-          return false; // Already correct
+          return { created: false, warning: null }; // Already correct
         }
       } catch (e) {
         // Not a symlink, might be a regular file/dir
@@ -84,16 +92,16 @@ function createSymlink(target, linkPath, options = {}) {
 
   // Create the symlink
   // Use 'dir' type on Windows for directory symlinks
-  const targetIsDir = fs.existsSync(target) && fs.statSync(target).isDirectory();
+  const resolvedTarget = path.resolve(path.dirname(linkPath), target);
+  const targetIsDir = fs.existsSync(resolvedTarget) && fs.statSync(resolvedTarget).isDirectory();
   const type = process.platform === 'win32' && targetIsDir ? 'dir' : 'file';
 
   try {
     fs.symlinkSync(target, linkPath, type);
-    return true;
+    return { created: true, warning: null };
   } catch (e) {
     if (e.code === 'EPERM' && process.platform === 'win32') {
-      console.warn(`Warning: Cannot create symlink ${linkPath} - requires admin or developer mode on Windows`);
-      return false;
+      return { created: false, warning: `Cannot create symlink ${linkPath} - requires admin or developer mode on Windows` };
     }
     throw e;
   }
@@ -104,15 +112,14 @@ function createSymlink(target, linkPath, options = {}) {
  * @param {Array<{target: string, link: string}>} specs - Symlink specifications
  * @param {string} root - Root directory (links are relative to this)
  * @param {object} options
- * @returns {Array<{target: string, link: string, created: boolean}>}
+ * @returns {Array<{target: string, link: string, created: boolean, warning: string|null}>}
  */
 function createSymlinks(specs, root, options = {}) {
   const results = [];
 
   for (const spec of specs) {
     const linkPath = path.join(root, spec.link);
-    const created = createSymlink(spec.target, linkPath, options);
-    results.push({ ...spec, created });
+    results.push({ ...spec, ...createSymlink(spec.target, linkPath, options) });
   }
 
   return results;
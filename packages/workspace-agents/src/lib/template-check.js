@@ -0,0 +1,59 @@
+const templateEngine = require('./template-engine');
+const { UndefinedVariableError } = require('./errors');
+
+/**
+ * List configured variables that no template or partial refers to
+ * @param {object} variables - Configured variables
+ * @param {string[]} dirs - Absolute template override directories
+ * @returns {string[]}
+ */
+function findUnusedVariables(variables, dirs = []) {
+  const names = Object.keys(variables);
+  if (!names.length) {
+    return [];
+  }
+  const used = new Set(templateEngine.listTemplates(dirs).flatMap(name =>
+    templateEngine.findVariables(templateEngine.loadTemplate(name, dirs), { name, dirs })));
+  return names.filter(name => !used.has(name));
+}
+
+/**
+ * Check the files a plan renders from templates. Variables a template outputs
+ * without a value would be left as `{{NAME}}` in the generated file; configured
+ * variables no template uses are most likely typos.
+ * @param {object} changes - Changes from scaffold.plan() or upgrade.plan()
+ * @param {Array<{path: string, template: string, variables: object}>} files - Files the plan renders
+ * @param {object} settings - From config.load()
+ * @param {object} options - Options
+ * @param {boolean} options.strict - Throw instead of recording undefined variables
+ * @param {string[]} options.dirs - Absolute template override directories
+ * @returns {object} - New changes object with `undefinedVariables`
+ *   ({ path, template, variables }[]) and `unusedVariables` (string[])
+ * @throws {UndefinedVariableError} - In strict mode, when any file has undefined variables
+ */
+function checkChanges(changes, files, settings, options = {}) {
+  const undefinedVariables = [];
+  for (const file of files) {
+    const content = templateEngine.loadTemplate(file.template, options.dirs);
+    const missing = templateEngine.findUndefinedVariables(content, file.variables,
+      { name: file.template, dirs: options.dirs });
+    if (missing.length) {
+      undefinedVariables.push({ path: file.path, template: file.template, variables: missing });
+    }
+  }
+
+  if (options.strict && undefinedVariables.length) {
+    const list = undefinedVariables.map(f => `${f.path}: ${templateEngine.formatMissing(f.variables)}`);
+    throw new UndefinedVariableError(
+      `Templates reference variables without a value (strict mode):\n  ${list.join('\n  ')}`,
+      { files: undefinedVariables });
+  }
+
+  return {
+    ...changes,
+    undefinedVariables,
+    unusedVariables: findUnusedVariables(settings.variables, options.dirs)
+  };
+}
+
+module.exports = { findUnusedVariables, checkChanges };
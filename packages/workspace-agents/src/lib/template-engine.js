@@ -1,32 +1,399 @@
 const path = require('path');
 const fs = require('fs-extra');
+const { TemplateNotFoundError, TemplateSyntaxError, UndefinedVariableError } = require('./errors');
 
 const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
 
 /**
- * Replace template variables in content
- * @param {string} content - Template content with {{VAR}} placeholders
- * @param {object} variables - Key-value pairs for replacement
+ * Any {{...}} tag
+ */
+const TAG = /\{\{([^{}]*)\}\}/g;
+
+/**
+ * Block, else, partial and comment tags alone on a line; the line's
+ * indentation and line break are dropped so they leave no blank lines
+ */
+const STANDALONE = /^[ \t]*(\{\{[ \t]*(?:[#/>!][^{}]*|else[ \t]*)\}\})[ \t]*(\r?\n|$)/gm;
+
+/**
+ * Variable tag: NAME, dotted path, this or @index/@first/@last/@key, with an optional |default
+ */
+const VARIABLE = /^\s*(this|@\w+|[A-Za-z_][\w-]*(?:\.[\w-]+)*)\s*(?:\|([\s\S]*))?$/;
+
+/**
+ * Condition of an if/unless block: NAME, NAME == "value" or NAME != "value"
+ */
+const CONDITION = /^(\S+?)\s*(?:(==|!=)\s*(?:"([^"]*)"|'([^']*)'|(\S+)))?$/;
+
+/**
+ * Partials may include partials up to this depth (guards against include cycles)
+ */
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Parse template content into a tree of text, variable, block and partial nodes
+ * @param {string} content - Template content
+ * @param {string} name - Template name for error messages
+ * @returns {object[]} - Top-level nodes
+ */
+function parse(content, name) {
+  const source = content.replace(STANDALONE, '$1');
+  const lineAt = index => source.slice(0, index).split('\n').length;
+  const fail = (message, index) => {
+    const line = lineAt(index);
+    throw new TemplateSyntaxError(`${name}:${line}: ${message}`, { template: name, line });
+  };
+
+  const root = { children: [] };
+  const stack = [{ node: root, list: root.children }];
+  const top = () => stack[stack.length - 1];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    // \{{...}} is a literal tag: drop the backslash, keep the tag as written
+    const escaped = source[match.index - 1] === '\\';
+    const start = escaped ? match.index - 1 : match.index;
+    if (start > last) {
+      top().list.push({ type: 'text', value: source.slice(last, start) });
+    }
+    last = match.index + match[0].length;
+    if (escaped) {
+      top().list.push({ type: 'text', value: match[0] });
+      continue;
+    }
+    const tag = match[1].trim();
+
+    if (tag.startsWith('#')) {
+      const [, kind, arg] = tag.match(/^#(\w*)\s*(.*)$/);
+      if (!['if', 'unless', 'each'].includes(kind)) {
+        fail(`unknown block {{#${kind}}}`, match.index);
+      }
+      const condition = kind === 'each' ? arg.match(VARIABLE) : arg.match(CONDITION);
+      if (!arg || !condition) {
+        fail(`{{#${kind}}} needs ${kind === 'each' ? 'a variable' : 'a condition'}`, match.index);
+      }
+      const node = {
+        type: kind,
+        name: condition[1],
+        operator: kind === 'each' ? null : condition[2] || null,
+        value: kind === 'each' ? null : [condition[3], condition[4], condition[5]].find(v => v !== undefined),
+        children: [],
+        inverse: null,
+        index: match.index
+      };
+      top().list.push(node);
+      stack.push({ node, list: node.children });
+    } else if (tag.startsWith('/')) {
+      const kind = tag.slice(1).trim();
+      if (stack.length === 1 || top().node.type !== kind) {
+        fail(`unexpected {{/${kind}}}`, match.index);
+      }
+      stack.pop();
+    } else if (tag === 'else') {
+      const frame = top();
+      if (stack.length === 1 || frame.node.inverse) {
+        fail('unexpected {{else}}', match.index);
+      }
+      frame.node.inverse = [];
+      frame.list = frame.node.inverse;
+    } else if (tag.startsWith('>')) {
+      top().list.push({ type: 'partial', name: tag.slice(1).trim(), index: match.index });
+    } else if (tag.startsWith('!')) {
+      // Comment
+    } else if (VARIABLE.test(tag)) {
+      const [, variable, fallback] = tag.match(VARIABLE);
+      top().list.push({
+        type: 'variable',
+        name: variable,
+        fallback: fallback === undefined ? undefined : fallback.trim().replace(/^(["'])([\s\S]*)\1$/, '$2'),
+        raw: match[0]
+      });
+    } else {
+      // Not template syntax: keep as written
+      top().list.push({ type: 'text', value: match[0] });
+    }
+  }
+
+  if (last < source.length) {
+    top().list.push({ type: 'text', value: source.slice(last) });
+  }
+  if (stack.length > 1) {
+    fail(`unclosed {{#${top().node.type}}}`, top().node.index);
+  }
+  return root.children;
+}
+
+/**
+ * Look up a variable in the innermost scope that has it
+ * @param {object[]} scopes - Scopes, outermost first; each has vars and, inside each, item/meta
+ * @param {string} name - Variable name
+ * @returns {*} - undefined when not found
+ */
+function lookup(scopes, name) {
+  const [first, ...rest] = name.split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    let value;
+    if (first === 'this' && 'item' in scope) {
+      value = scope.item;
+    } else if (first.startsWith('@') && scope.meta) {
+      value = scope.meta[first.slice(1)];
+    } else if (scope.vars && typeof scope.vars === 'object' && first in scope.vars) {
+      value = scope.vars[first];
+    } else {
+      continue;
+    }
+    return rest.reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), value);
+  }
+  return undefined;
+}
+
+/**
+ * Template truthiness: empty strings, "false", "0", empty lists and missing values are false
+ * @param {*} value - Variable value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return value !== undefined && value !== null && value !== false && value !== '' &&
+    value !== 'false' && value !== '0' && value !== 0;
+}
+
+/**
+ * Convert a variable value to output text
+ * @param {*} value - Variable value
+ * @returns {string}
+ */
+function stringify(value) {
+  if (Array.isArray(value)) {
+    return value.map(stringify).join(', ');
+  }
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value === null ? '' : String(value);
+}
+
+/**
+ * Render parsed nodes
+ * @param {object[]} nodes - From parse()
+ * @param {object[]} scopes - Variable scopes, outermost first
+ * @param {object} context - { name, loadPartial, depth, missing }; names of variables
+ *   output without a value are added to the missing set
  * @returns {string}
  */
-function renderTemplate(content, variables) {
-  let result = content;
-  for (const [key, value] of Object.entries(variables)) {
-    const pattern = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-    result = result.replace(pattern, value);
+function renderNodes(nodes, scopes, context) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      const value = lookup(scopes, node.name);
+      if (node.fallback !== undefined && (value === undefined || value === null || value === '')) {
+        output += node.fallback;
+      } else {
+        // Unknown variables are kept as written so unrelated {{...}} text survives
+        if (value === undefined) {
+          context.missing.add(node.name);
+        }
+        output += value === undefined ? node.raw : stringify(value);
+      }
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const value = lookup(scopes, node.name);
+      let result = node.operator
+        ? (stringify(value) === node.value) === (node.operator === '==')
+        : isTruthy(value);
+      if (node.type === 'unless') {
+        result = !result;
+      }
+      output += renderNodes(result ? node.children : node.inverse || [], scopes, context);
+    } else if (node.type === 'each') {
+      const value = lookup(scopes, node.name);
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : (value !== null && typeof value === 'object' ? Object.entries(value) : []);
+      if (!entries.length) {
+        output += renderNodes(node.inverse || [], scopes, context);
+      }
+      entries.forEach(([key, item], index) => {
+        const meta = { index, key, first: index === 0, last: index === entries.length - 1 };
+        output += renderNodes(node.children, [...scopes, { vars: item, item, meta }], context);
+      });
+    } else if (node.type === 'partial') {
+      if (context.depth >= MAX_PARTIAL_DEPTH) {
+        const line = context.content.slice(0, node.index).split('\n').length;
+        throw new TemplateSyntaxError(`${context.name}:${line}: partials nested too deeply (at {{> ${node.name}}})`,
+          { template: context.name, line });
+      }
+      output += renderWith(context.loadPartial(node.name), scopes, {
+        ...context,
+        name: `partials/${node.name}`,
+        depth: context.depth + 1
+      });
+    }
   }
-  return result;
+  return output;
 }
 
 /**
- * Load a template file from the bundled templates directory
+ * Parse and render content with the given scopes
+ * @param {string} content - Template content
+ * @param {object[]} scopes - Variable scopes
+ * @param {object} context - { name, loadPartial, depth, missing }
+ * @returns {string}
+ */
+function renderWith(content, scopes, context) {
+  return renderNodes(parse(content, context.name), scopes, { ...context, content });
+}
+
+/**
+ * Render template content and collect the variables it output without a value
+ * @param {string} content - Template content
+ * @param {object} variables - Variable values
+ * @param {object} options - See renderTemplate()
+ * @returns {{output: string, missing: string[]}}
+ */
+function render(content, variables, options = {}) {
+  const missing = new Set();
+  const output = renderWith(content, [{ vars: variables }], {
+    name: options.name || 'template',
+    loadPartial: options.loadPartial || (partial => loadPartial(partial, options.dirs)),
+    depth: 0,
+    missing
+  });
+  return { output, missing: [...missing] };
+}
+
+/**
+ * Render template content.
+ *
+ * - `{{NAME}}` inserts a variable (lists are joined with ", "); unknown
+ *   variables are left as written, or fail with `strict`. `{{NAME|fallback}}`
+ *   uses the fallback when the variable is missing or empty.
+ * - `{{#if NAME}}...{{else}}...{{/if}}` and `{{#unless NAME}}` test a
+ *   variable; `{{#if NAME == "value"}}` and `!=` compare it.
+ * - `{{#each LIST}}...{{else}}...{{/each}}` repeats for each item; inside,
+ *   `{{this}}`, item fields (`{{name}}`), `{{@index}}`, `{{@first}}`, `{{@last}}`
+ *   and `{{@key}}` are available, as are outer variables.
+ * - `{{> name}}` includes `partials/name.template`, rendered with the same variables.
+ * - `{{! comment}}` is dropped.
+ * - `\{{...}}` outputs `{{...}}` literally.
+ *
+ * Block, partial and comment tags on a line of their own leave no blank line.
+ * @param {string} content - Template content
+ * @param {object} variables - Variable values (strings, numbers, booleans, lists, objects)
+ * @param {object} options - Options
+ * @param {string} options.name - Template name for error messages
+ * @param {function(string): string} options.loadPartial - Returns partial content by name
+ *   (default: partials from options.dirs and the bundled templates)
+ * @param {string[]} options.dirs - Template override directories, see loadTemplate()
+ * @param {boolean} options.strict - Throw instead of leaving unknown variables as written
+ * @returns {string}
+ * @throws {TemplateSyntaxError|TemplateNotFoundError|UndefinedVariableError}
+ */
+function renderTemplate(content, variables, options = {}) {
+  const { output, missing } = render(content, variables, options);
+  if (options.strict && missing.length) {
+    const template = options.name || 'template';
+    throw new UndefinedVariableError(`${template}: ${formatMissing(missing)}`,
+      { files: [{ path: null, template, variables: missing }] });
+  }
+  return output;
+}
+
+/**
+ * Describe undefined variables for a message
+ * @param {string[]} names - Variable names
+ * @returns {string} - e.g. "undefined variables REPO_URL, TEAM"
+ */
+function formatMissing(names) {
+  return `undefined variable${names.length === 1 ? '' : 's'} ${names.join(', ')}`;
+}
+
+/**
+ * List the variables a template outputs without a value. Variables only
+ * tested by {{#if}}/{{#unless}}/{{#each}}, with a fallback, or in a branch
+ * that is not rendered are not reported.
+ * @param {string} content - Template content
+ * @param {object} variables - Variable values
+ * @param {object} options - See renderTemplate()
+ * @returns {string[]}
+ */
+function findUndefinedVariables(content, variables, options = {}) {
+  return render(content, variables, options).missing;
+}
+
+/**
+ * List every variable name a template and its partials refer to, in any
+ * branch. Inside {{#each}} blocks item fields are included too.
+ * @param {string} content - Template content
+ * @param {object} options - { name, loadPartial, dirs }, see renderTemplate()
+ * @returns {string[]}
+ */
+function findVariables(content, options = {}) {
+  const names = new Set();
+  const load = options.loadPartial || (partial => loadPartial(partial, options.dirs));
+  const visit = (nodes, depth) => {
+    for (const node of nodes) {
+      if (node.type === 'partial') {
+        if (depth < MAX_PARTIAL_DEPTH) {
+          visit(parse(load(node.name), `partials/${node.name}`), depth + 1);
+        }
+        continue;
+      }
+      if (node.name && node.type !== 'text') {
+        names.add(node.name.split('.')[0]);
+      }
+      visit(node.children || [], depth);
+      visit(node.inverse || [], depth);
+    }
+  };
+  visit(parse(content, options.name || 'template'), 0);
+  return [...names].filter(name => name !== 'this' && !name.startsWith('@'));
+}
+
+/**
+ * Load a partial (partials/<name>.template)
+ * @param {string} name - Partial name, e.g. "pnpm" for partials/pnpm.template
+ * @param {string[]} dirs - Template override directories, see loadTemplate()
+ * @returns {string}
+ */
+function loadPartial(name, dirs = []) {
+  if (!/^[\w-]+(\/[\w-]+)*$/.test(name)) {
+    throw new TemplateNotFoundError(`Invalid partial name: ${name}`, { template: `partials/${name}.template` });
+  }
+  return loadTemplate(`partials/${name}.template`, dirs);
+}
+
+/**
+ * Find a template file. Override directories are searched last to first,
+ * then the bundled templates directory.
+ * @param {string} name - Template filename (e.g., 'AGENTS.md.template')
+ * @param {string[]} dirs - Absolute override directories, lowest precedence first
+ * @returns {string|null} - Absolute path, or null when no directory has it
+ */
+function findTemplate(name, dirs = []) {
+  for (const dir of [...dirs].reverse().concat(TEMPLATES_DIR)) {
+    const templatePath = path.join(dir, name);
+    if (fs.existsSync(templatePath)) {
+      return templatePath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load a template file
  * @param {string} name - Template filename (e.g., 'AGENTS.md.template')
+ * @param {string[]} dirs - Absolute override directories whose files replace bundled ones
  * @returns {string}
  */
-function loadTemplate(name) {
-  const templatePath = path.join(TEMPLATES_DIR, name);
-  if (!fs.existsSync(templatePath)) {
-    throw new Error(`Template not found: ${name}`);
+function loadTemplate(name, dirs = []) {
+  const templatePath = findTemplate(name, dirs);
+  if (!templatePath) {
+    throw new TemplateNotFoundError(`Template not found: ${name}`, { template: name });
   }
   return fs.readFileSync(templatePath, 'utf-8');
 }
@@ -35,35 +402,36 @@ function loadTemplate(name) {
  * Load and render a template with variables
  * @param {string} name - Template filename
  * @param {object} variables - Variables to substitute
+ * @param {object} options - { strict, dirs }, see renderTemplate()
  * @returns {string}
  */
-function loadAndRender(name, variables) {
-  const content = loadTemplate(name);
-  return renderTemplate(content, variables);
+function loadAndRender(name, variables, options = {}) {
+  const content = loadTemplate(name, options.dirs);
+  return renderTemplate(content, variables, { ...options, name });
 }
 
 /**
- * Get the template manifest
+ * Get the bundled template manifest (see template-layers.js for overrides)
  * @returns {object}
  */
 function getManifest() {
   const manifestPath = path.join(TEMPLATES_DIR, 'manifest.json');
   if (!fs.existsSync(manifestPath)) {
-    throw new Error('Template manifest not found');
+    throw new TemplateNotFoundError('Template manifest not found', { template: 'manifest.json' });
   }
   return fs.readJsonSync(manifestPath);
 }
 
 /**
  * List all available templates
+ * @param {string[]} dirs - Absolute override directories to include
  * @returns {string[]}
  */
-function listTemplates() {
-  if (!fs.existsSync(TEMPLATES_DIR)) {
-    return [];
-  }
-  return fs.readdirSync(TEMPLATES_DIR)
-    .filter(f => f.endsWith('.template'));
+function listTemplates(dirs = []) {
+  const names = [TEMPLATES_DIR, ...dirs]
+    .filter(dir => fs.existsSync(dir))
+    .flatMap(dir => fs.readdirSync(dir).filter(f => f.endsWith('.template')));
+  return [...new Set(names)];
 }
 
 /**
@@ -82,7 +450,12 @@ function getDefaultVariables(projectName) {
 
 module.exports = {
   renderTemplate,
+  findUndefinedVariables,
+  findVariables,
+  formatMissing,
   loadTemplate,
+  findTemplate,
+  loadPartial,
   loadAndRender,
   getManifest,
   listTemplates,
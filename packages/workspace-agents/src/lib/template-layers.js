@@ -0,0 +1,229 @@
+const path = require('path');
+const fs = require('fs-extra');
+const templateEngine = require('./template-engine');
+const installState = require('./install-state');
+const config = require('./config');
+const presets = require('./presets');
+const { InvalidConfigError, InvalidOptionError } = require('./errors');
+
+/**
+ * Keys an override manifest.json may have
+ */
+const MANIFEST_KEYS = ['directories', 'files', 'symlinks', 'gitignoreAppend', 'skillsToCopy', 'remove'];
+
+/**
+ * Check whether a path is an existing directory
+ * @param {string} dirPath - Absolute path
+ * @returns {boolean}
+ */
+function isDirectory(dirPath) {
+  try {
+    return fs.statSync(dirPath).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Find the template override directories for a run. The first source that
+ * sets them wins: `options.templates` (`--templates`), the configured
+ * `templates` (an empty list turns overrides off), then the directories
+ * recorded in the install state, so later runs render like the install did.
+ * @param {string} root - Project root directory
+ * @param {object} options - Options
+ * @param {string|string[]} options.templates - Directories, relative to the project root
+ * @param {object} [settings] - From config.load()
+ * @returns {string[]} - Project-relative paths with forward slashes, lowest precedence first
+ * @throws {InvalidConfigError|InvalidOptionError} - When a directory does not exist
+ */
+function resolveDirs(root, options = {}, settings = config.load(root)) {
+  let dirs;
+  let source;
+  if (options.templates !== undefined && options.templates !== null) {
+    dirs = [].concat(options.templates);
+    source = 'option';
+  } else if (settings.templates) {
+    dirs = settings.templates;
+    source = 'config';
+  } else {
+    dirs = installState.load(root)?.templates || [];
+    source = 'state';
+  }
+
+  return dirs.map((dir) => {
+    const absPath = path.resolve(root, dir);
+    if (!isDirectory(absPath)) {
+      if (source === 'config') {
+        throw new InvalidConfigError(`${settings.file}: template directory not found: ${dir}`,
+          { file: settings.file, key: 'templates' });
+      }
+      const message = source === 'state'
+        ? `Template directory recorded at install not found: ${dir} (pass --templates or set "templates" in the configuration)`
+        : `Template directory not found: ${dir}`;
+      throw new InvalidOptionError(message, { option: 'templates', value: dir });
+    }
+    return path.relative(root, absPath).split(path.sep).join('/') || '.';
+  });
+}
+
+/**
+ * Resolve every template layer for a run: presets (see presets.js) first,
+ * then the override directories, each later layer winning over earlier ones
+ * and all of them over the bundled templates
+ * @param {string} root - Project root directory
+ * @param {object} options - { presets, templates }, see presets.resolvePresets() and resolveDirs()
+ * @param {object} [settings] - From config.load()
+ * @returns {{presets: object[], templates: string[], dirs: string[]}} - presets from
+ *   presets.resolvePresets(), templates from resolveDirs(), dirs all layers in order
+ * @throws {InvalidConfigError|InvalidOptionError|PresetNotFoundError}
+ */
+function resolve(root, options = {}, settings = config.load(root)) {
+  const resolvedPresets = presets.resolvePresets(root, options, settings);
+  const templates = resolveDirs(root, options, settings);
+  return { presets: resolvedPresets, templates, dirs: [...resolvedPresets.map(p => p.path), ...templates] };
+}
+
+/**
+ * List the template layers a planned change renders from
+ * @param {object} changes - Changes from scaffold.plan() or upgrade.plan()
+ * @returns {string[]} - Project-relative directories, as resolve() dirs
+ */
+function planDirs(changes) {
+  return [...(changes.presets || []).map(p => p.path), ...(changes.templates || [])];
+}
+
+/**
+ * Turn directories from resolve() or resolveDirs() into absolute paths for the template engine
+ * @param {string} root - Project root directory
+ * @param {string[]} dirs - Project-relative directories
+ * @returns {string[]}
+ */
+function absolute(root, dirs = []) {
+  return dirs.map(dir => path.resolve(root, dir));
+}
+
+/**
+ * Layer an override manifest over another. `remove` drops entries at or below
+ * the listed paths (file dests, directories, symlink links, `agents/skills/<name>`
+ * for skills, or exact .gitignore lines); files with the same `dest` and
+ * symlinks with the same `link` are replaced; anything else is added.
+ * @param {object} manifest - Manifest to layer over
+ * @param {object} override - Parsed override manifest.json
+ * @param {string} file - Override manifest path (for error messages)
+ * @returns {object} - New manifest
+ * @throws {InvalidConfigError} - When the override is malformed
+ */
+function layerManifest(manifest, override, file) {
+  const fail = (key, message) => {
+    throw new InvalidConfigError(`${file}: ${message}`, { file, key });
+  };
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const list = (key, check, expected) => {
+    const value = override[key] === undefined ? [] : override[key];
+    if (!Array.isArray(value) || !value.every(check)) {
+      fail(key, `"${key}" must be an array of ${expected}`);
+    }
+    return value;
+  };
+  const isString = value => typeof value === 'string';
+
+  if (!isObject(override)) {
+    fail(null, 'manifest must be an object');
+  }
+  for (const key of Object.keys(override)) {
+    if (!MANIFEST_KEYS.includes(key)) {
+      fail(key, `unknown key "${key}" (expected ${MANIFEST_KEYS.join(', ')})`);
+    }
+  }
+
+  const removed = list('remove', isString, 'paths');
+  const isRemoved = relPath => removed.some(r => relPath === r || relPath.startsWith(`${r.replace(/\/+$/, '')}/`));
+  const files = list('files', f => isObject(f) && isString(f.template) && isString(f.dest), '{ template, dest } objects');
+  const symlinks = list('symlinks', s => isObject(s) && isString(s.target) && isString(s.link), '{ target, link } objects');
+  const byKey = (entries, added, key) => {
+    const result = entries.filter(entry => !isRemoved(entry[key]));
+    for (const entry of added) {
+      const index = result.findIndex(existing => existing[key] === entry[key]);
+      if (index === -1) {
+        result.push(entry);
+      } else {
+        result[index] = entry;
+      }
+    }
+    return result;
+  };
+  const union = (entries, added, kept) => [...new Set([...entries.filter(kept), ...added])];
+
+  return {
+    ...manifest,
+    directories: union(manifest.directories || [], list('directories', isString, 'strings'), d => !isRemoved(d)),
+    files: byKey(manifest.files || [], files, 'dest'),
+    symlinks: byKey(manifest.symlinks || [], symlinks, 'link'),
+    gitignoreAppend: union(manifest.gitignoreAppend || [], list('gitignoreAppend', isString, 'strings'),
+      line => !removed.includes(line)),
+    skillsToCopy: union(manifest.skillsToCopy || [], list('skillsToCopy', isString, 'strings'),
+      name => !isRemoved(`agents/skills/${name}`))
+  };
+}
+
+/**
+ * Load the bundled manifest with each override directory's manifest.json layered on top
+ * @param {string} root - Project root directory
+ * @param {string[]} dirs - Project-relative directories from resolve()
+ * @returns {object}
+ * @throws {InvalidConfigError} - When an override manifest is unreadable or malformed
+ */
+function layerManifests(root, dirs) {
+  let manifest = templateEngine.getManifest();
+  for (const dir of dirs) {
+    const file = path.posix.join(dir, 'manifest.json');
+    const manifestPath = path.resolve(root, file);
+    if (!fs.existsSync(manifestPath)) {
+      continue;
+    }
+    let override;
+    try {
+      override = fs.readJsonSync(manifestPath);
+    } catch (err) {
+      throw new InvalidConfigError(`Could not load ${file}: ${err.message}`, { file, key: null });
+    }
+    manifest = layerManifest(manifest, override, file);
+  }
+  return manifest;
+}
+
+/**
+ * Load the template manifest a project uses: bundled, layered with presets
+ * and override directories, then merged with the project configuration.
+ * Every command resolves the manifest through here.
+ * @param {string} root - Project root directory
+ * @param {object} options - { presets, templates }, see resolve()
+ * @param {object} [settings] - From config.load()
+ * @returns {{presets: object[], templates: string[], dirs: string[], manifest: object}} - as resolve()
+ * @throws {InvalidConfigError|InvalidOptionError|PresetNotFoundError}
+ */
+function loadManifest(root, options = {}, settings = config.load(root)) {
+  const layers = resolve(root, options, settings);
+  return { ...layers, manifest: config.mergeManifest(layerManifests(root, layers.dirs), settings) };
+}
+
+/**
+ * Load the layered manifest without the project configuration applied
+ * (everything the templates could have generated)
+ * @param {string} root - Project root directory
+ * @returns {object}
+ * @throws {InvalidConfigError|InvalidOptionError|PresetNotFoundError}
+ */
+function loadUnconfiguredManifest(root) {
+  return layerManifests(root, resolve(root).dirs);
+}
+
+module.exports = {
+  resolveDirs,
+  resolve,
+  planDirs,
+  absolute,
+  layerManifest,
+  loadManifest,
+  loadUnconfiguredManifest
+};
@@ -0,0 +1,153 @@
+const path = require('path');
+const fs = require('fs-extra');
+const templateEngine = require('./template-engine');
+const installState = require('./install-state');
+const workspaces = require('./workspaces');
+const config = require('./config');
+const templateLayers = require('./template-layers');
+const { merge3 } = require('./merge');
+const { readMarker } = require('./version-checker');
+const pkg = require('../../package.json');
+
+/**
+ * Work out how a generated file should follow its template.
+ *
+ * The template the manifest now maps the file to (the recorded one when not
+ * given) is rendered with the variables recorded at generation time
+ * (so CREATION_DATE etc. stay stable) and compared with the stored base. If the
+ * user has not touched the file it is replaced; otherwise the template change
+ * is three-way merged into the user's copy using the base as common ancestor.
+ * @param {string} projectRoot - Project root directory
+ * @param {object} state - Install state
+ * @param {string} relPath - Generated file path
+ * @param {object} overrides - Variables replacing the recorded ones (e.g. the current package list)
+ * @param {string[]} dirs - Absolute template override directories
+ * @param {string} [template] - Template to render, defaults to the one recorded for the file
+ * @returns {{action: 'update'|'merge', template: string, variables: object, base: string, content: string, conflicts: number}|null}
+ *   null when the file is untracked, missing, has no stored base or is already current
+ */
+function computeTemplateUpdate(projectRoot, state, relPath, overrides = {}, dirs = [], template = null) {
+  const entry = state.files[relPath];
+  const base = installState.loadBase(projectRoot, relPath);
+  const status = installState.getFileStatus(state, projectRoot, relPath);
+  if (!entry || base === null || status === 'missing') {
+    return null;
+  }
+
+  const name = template || entry.template;
+  const variables = { ...entry.variables, ...overrides, FRAMEWORK_VERSION: pkg.version };
+  const rendered = templateEngine.loadAndRender(name, variables, { dirs });
+  if (rendered === base) {
+    return null;
+  }
+
+  const update = { template: name, variables, base: rendered, conflicts: 0 };
+
+  if (status === 'pristine') {
+    return { ...update, action: 'update', content: rendered };
+  }
+
+  const current = fs.readFileSync(path.join(projectRoot, relPath), 'utf-8');
+  const merged = merge3(base, current, rendered, {
+    oursLabel: `${relPath} (local)`,
+    theirsLabel: `workspace-agents v${pkg.version}`
+  });
+  if (merged.content === current) {
+    return null;
+  }
+  return { ...update, action: 'merge', content: merged.content, conflicts: merged.conflicts };
+}
+
+/**
+ * Find generated files whose template output changed since they were written.
+ * Workspace files (repo map, per-package AGENTS.md) are rendered with the
+ * current package list, and every file with the configured variables, so
+ * changing either updates the files too. Each file is rendered from the
+ * template the layered manifest maps it to now, so an override manifest that
+ * remaps a file updates it. Ignored paths are left out.
+ * @param {string} projectRoot - Project root directory
+ * @param {object} state - Install state
+ * @param {object} options - { presets, templates }, see templateLayers.resolve()
+ * @returns {Array<{path: string, template: string, action: 'update'|'merge', conflicts: number, variables?: object}>}
+ *   update for untouched files, merge for files the user customized; variables
+ *   holds the overrides to render with when applying
+ */
+function findTemplateUpdates(projectRoot, state, options = {}) {
+  const settings = config.load(projectRoot);
+  const { dirs, manifest } = templateLayers.loadManifest(projectRoot, options, settings);
+  const absoluteDirs = templateLayers.absolute(projectRoot, dirs);
+  const files = [...manifest.files, ...workspaces.listManagedFiles(projectRoot, state)]
+    .filter(file => !config.isIgnored(settings, file.dest));
+
+  const updates = [];
+  for (const file of files) {
+    const overrides = { ...settings.variables, ...file.variables };
+    const update = computeTemplateUpdate(projectRoot, state, file.dest, overrides, absoluteDirs, file.template);
+    if (update) {
+      updates.push({
+        path: file.dest,
+        template: update.template,
+        action: update.action,
+        conflicts: update.conflicts,
+        ...(Object.keys(overrides).length && { variables: overrides })
+      });
+    }
+  }
+  return updates;
+}
+
+/**
+ * Find generated files of an install made before the install state existed.
+ * Without a state entry and merge base their template changes cannot be
+ * detected, so update starts tracking them. The base is the current template
+ * rendered with the version (and date) written in the file: a file matching it
+ * is untouched, anything else is recorded as customized so later template
+ * changes are merged into it rather than overwriting it.
+ * Only files carrying a version marker or "Generated by" footer are taken,
+ * so the project's own files of the same name are left alone.
+ * @param {string} projectRoot - Project root directory
+ * @param {object|null} state - Install state (nothing is found when there is one)
+ * @param {object} variables - Detected and configured template variables
+ * @param {object} options - { presets, templates }, see templateLayers.resolve()
+ * @returns {Array<{path: string, template: string, action: 'track'|'customized', variables: object}>}
+ *   variables render the base
+ */
+function findUntrackedFiles(projectRoot, state, variables, options = {}) {
+  if (state) {
+    return [];
+  }
+
+  const settings = config.load(projectRoot);
+  const { dirs, manifest } = templateLayers.loadManifest(projectRoot, options, settings);
+  const absoluteDirs = templateLayers.absolute(projectRoot, dirs);
+
+  const untracked = [];
+  for (const file of manifest.files) {
+    const filePath = path.join(projectRoot, file.dest);
+    if (config.isIgnored(settings, file.dest) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      continue;
+    }
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const marker = readMarker(content);
+    if (!marker) {
+      continue;
+    }
+
+    const baseVariables = {
+      ...variables,
+      ...file.variables,
+      FRAMEWORK_VERSION: marker.version,
+      ...(marker.date && { CREATION_DATE: marker.date })
+    };
+    const base = templateEngine.loadAndRender(file.template, baseVariables, { dirs: absoluteDirs });
+    untracked.push({
+      path: file.dest,
+      template: file.template,
+      action: base === content ? 'track' : 'customized',
+      variables: baseVariables
+    });
+  }
+  return untracked;
+}
+
+module.exports = { computeTemplateUpdate, findTemplateUpdates, findUntrackedFiles };
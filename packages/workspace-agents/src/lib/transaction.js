@@ -0,0 +1,315 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const fileOps = require('./file-ops');
+const gitOps = require('./git-ops');
+const symlinkOps = require('./symlink-ops');
+const backup = require('./backup');
+
+/**
+ * Check whether a path exists without following symlinks
+ * (fs.existsSync reports broken symlinks as missing)
+ * @param {string} absPath - Absolute path
+ * @returns {boolean}
+ */
+function pathExists(absPath) {
+  try {
+    fs.lstatSync(absPath);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Create a transaction that journals every filesystem operation
+ * so completed steps can be undone if a later step fails.
+ *
+ * All paths passed to operations are relative to projectRoot.
+ * @param {string} projectRoot - Project root directory
+ * @param {object} options
+ * @param {boolean} options.backup - On commit, keep the original content of overwritten
+ *   and removed paths in agents/.backups/<timestamp>/ (default true)
+ * @param {boolean} options.fullBackup - Also keep removed symlinks and the tool's state
+ *   files, so restoring the backup undoes the whole run (uninstall)
+ * @returns {object} - Transaction with operation, commit and rollback methods
+ */
+function createTransaction(projectRoot, options = {}) {
+  const journal = [];
+  const warnings = [];
+  let backupDir = null;
+  let backupCount = 0;
+
+  const abs = (relPath) => path.join(projectRoot, relPath);
+
+  /**
+   * Copy a path into the transaction's private backup area
+   * @param {string} absPath - Path to preserve
+   * @returns {string} - Backup location
+   */
+  function stash(absPath) {
+    if (!backupDir) {
+      backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-agents-tx-'));
+    }
+    const dest = path.join(backupDir, String(backupCount++));
+    fs.copySync(absPath, dest);
+    return dest;
+  }
+
+  /**
+   * Record the current state of a path so it can be restored later
+   * @param {string} relPath - Path relative to project root
+   * @returns {{kind: 'absent'|'symlink'|'copy', target?: string, backup?: string}}
+   */
+  function snapshot(relPath) {
+    const absPath = abs(relPath);
+    if (!pathExists(absPath)) {
+      return { kind: 'absent' };
+    }
+    if (fs.lstatSync(absPath).isSymbolicLink()) {
+      return { kind: 'symlink', target: fs.readlinkSync(absPath) };
+    }
+    return { kind: 'copy', backup: stash(absPath) };
+  }
+
+  /**
+   * Put a path back to a previously recorded state
+   * @param {string} relPath - Path relative to project root
+   * @param {object} snap - Snapshot from snapshot()
+   */
+  function restore(relPath, snap) {
+    const absPath = abs(relPath);
+    if (pathExists(absPath)) {
+      fs.removeSync(absPath);
+    }
+    if (snap.kind === 'symlink') {
+      fs.ensureDirSync(path.dirname(absPath));
+      fs.symlinkSync(snap.target, absPath);
+    } else if (snap.kind === 'copy') {
+      fs.copySync(snap.backup, absPath);
+    }
+  }
+
+  /**
+   * Snapshot a path, then record an entry that restores it on rollback
+   * @param {string} op - Operation name (for error reporting)
+   * @param {string} relPath - Path about to be changed
+   */
+  function guard(op, relPath) {
+    const snap = snapshot(relPath);
+    journal.push({ op, path: relPath, snap, undo: () => restore(relPath, snap) });
+  }
+
+  /**
+   * Create a directory (and parents), journaling the topmost one created
+   * @param {string} relPath - Directory relative to project root
+   */
+  function ensureDir(relPath) {
+    let topmost = null;
+    let current = path.normalize(relPath);
+    while (current && current !== '.' && !pathExists(abs(current))) {
+      topmost = current;
+      current = path.dirname(current);
+    }
+    if (!topmost) {
+      return;
+    }
+    fileOps.ensureDir(abs(relPath));
+    journal.push({ op: 'mkdir', path: topmost, undo: () => fs.removeSync(abs(topmost)) });
+  }
+
+  /**
+   * Write a file, restoring the previous content on rollback
+   * @param {string} relPath - File path relative to project root
+   * @param {string} content - File content
+   */
+  function writeFile(relPath, content) {
+    ensureDir(path.dirname(relPath));
+    guard('write', relPath);
+    fileOps.writeFile(abs(relPath), content);
+  }
+
+  /**
+   * Remove a file or directory, recreating it on rollback
+   * @param {string} relPath - Path relative to project root
+   */
+  function remove(relPath) {
+    guard('remove', relPath);
+    fileOps.remove(abs(relPath));
+  }
+
+  /**
+   * Copy a directory into the project
+   * @param {string} src - Absolute source directory
+   * @param {string} relDest - Destination relative to project root
+   */
+  function copyDir(src, relDest) {
+    ensureDir(path.dirname(relDest));
+    guard('copy', relDest);
+    fileOps.copyDir(src, abs(relDest));
+  }
+
+  /**
+   * Copy a single file into the project (preserving its mode)
+   * @param {string} src - Absolute source file
+   * @param {string} relDest - Destination relative to project root
+   */
+  function copyFile(src, relDest) {
+    ensureDir(path.dirname(relDest));
+    guard('copy', relDest);
+    fs.copySync(src, abs(relDest));
+  }
+
+  /**
+   * Create (or replace) a symlink. A link the platform refuses is added to warnings.
+   * @param {string} target - Link target (relative to the link's directory)
+   * @param {string} relLink - Link path relative to project root
+   */
+  function createSymlink(target, relLink) {
+    ensureDir(path.dirname(relLink));
+    guard('symlink', relLink);
+    const { warning } = symlinkOps.createSymlink(target, abs(relLink), { force: true });
+    if (warning) {
+      warnings.push(warning);
+    }
+  }
+
+  /**
+   * Append lines to .gitignore
+   * @param {string[]} lines - Lines to add
+   */
+  function appendGitignore(lines) {
+    guard('gitignore', '.gitignore');
+    fileOps.appendGitignore(projectRoot, lines);
+  }
+
+  /**
+   * Move a path, optionally with git history preservation
+   * @param {string} from - Source relative to project root
+   * @param {string} to - Destination relative to project root
+   * @param {object} options
+   * @param {boolean} options.git - Use git mv
+   */
+  function move(from, to, options = {}) {
+    ensureDir(path.dirname(to));
+    if (options.git) {
+      gitOps.gitMv(from, to, projectRoot);
+      journal.push({ op: 'move', path: from, undo: () => gitOps.gitMv(to, from, projectRoot) });
+    } else {
+      fs.moveSync(abs(from), abs(to));
+      journal.push({ op: 'move', path: from, undo: () => fs.moveSync(abs(to), abs(from)) });
+    }
+  }
+
+  /**
+   * Save the original content of every path that was overwritten or removed.
+   * Only a path's first snapshot is its original (later ones may be content
+   * this transaction wrote); paths inside a saved directory are covered by it.
+   * Appending to .gitignore only adds lines, so it is not saved.
+   * @returns {string|null} - Snapshot id
+   */
+  function saveBackup() {
+    const seen = new Set();
+    const saved = [];
+    for (const entry of journal) {
+      if (!entry.snap || seen.has(entry.path)) {
+        continue;
+      }
+      seen.add(entry.path);
+      const kept = entry.snap.kind === 'copy' || (options.fullBackup && entry.snap.kind === 'symlink');
+      if (!kept || entry.op === 'gitignore' || !backup.isBackedUp(entry.path, { state: options.fullBackup })) {
+        continue;
+      }
+      if (saved.some(s => entry.path.startsWith(`${s.path}/`))) {
+        continue;
+      }
+      saved.push(entry.snap.kind === 'symlink'
+        ? { path: entry.path, target: entry.snap.target }
+        : { path: entry.path, source: entry.snap.backup });
+    }
+    return backup.save(projectRoot, saved);
+  }
+
+  /**
+   * Keep a backup of replaced content (unless disabled), then discard the
+   * transaction's private copies once all operations succeeded
+   * @returns {string|null} - Id of the snapshot saved in agents/.backups/
+   */
+  function commit() {
+    const id = options.backup === false ? null : saveBackup();
+    discard();
+    return id;
+  }
+
+  /**
+   * Remove the transaction's private copies
+   */
+  function discard() {
+    if (backupDir) {
+      fs.removeSync(backupDir);
+      backupDir = null;
+    }
+  }
+
+  /**
+   * Undo every journaled operation in reverse order.
+   * Keeps going past individual failures so as much as possible is restored.
+   * @returns {Array<{op: string, path: string, error: Error}>} - Steps that could not be undone
+   */
+  function rollback() {
+    const failures = [];
+    for (const entry of journal.slice().reverse()) {
+      try {
+        entry.undo();
+      } catch (error) {
+        failures.push({ op: entry.op, path: entry.path, error });
+      }
+    }
+    journal.length = 0;
+    discard();
+    return failures;
+  }
+
+  return {
+    ensureDir,
+    writeFile,
+    remove,
+    copyDir,
+    copyFile,
+    createSymlink,
+    appendGitignore,
+    move,
+    commit,
+    rollback,
+    journal,
+    warnings
+  };
+}
+
+/**
+ * Run operations inside a transaction. On error, completed steps are
+ * rolled back and the original error is rethrown with `rolledBack` set
+ * (and `rollbackErrors` listing any steps that could not be undone).
+ * @param {string} projectRoot - Project root directory
+ * @param {function(object): Promise<*>} fn - Receives the transaction
+ * @param {object} options - Passed to createTransaction()
+ * @returns {Promise<{result: *, backup: string|null, warnings: string[]}>} - Result of fn,
+ *   the id of the backup saved of replaced content and steps that were skipped
+ */
+async function run(projectRoot, fn, options = {}) {
+  const tx = createTransaction(projectRoot, options);
+  try {
+    const result = await fn(tx);
+    const backupId = tx.commit();
+    return { result, backup: backupId, warnings: tx.warnings };
+  } catch (err) {
+    const failures = tx.rollback();
+    err.rolledBack = true;
+    if (failures.length) {
+      err.rollbackErrors = failures;
+    }
+    throw err;
+  }
+}
+
+module.exports = { createTransaction, run };
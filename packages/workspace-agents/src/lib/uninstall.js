@@ -0,0 +1,222 @@
+const path = require('path');
+const fs = require('fs-extra');
+const templateLayers = require('./template-layers');
+const transaction = require('./transaction');
+const installState = require('./install-state');
+const fileOps = require('./file-ops');
+const skillSync = require('./skill-sync');
+const backup = require('./backup');
+
+/**
+ * Check whether a path exists without following symlinks
+ * @param {string} absPath - Absolute path
+ * @returns {boolean}
+ */
+function pathExists(absPath) {
+  try {
+    fs.lstatSync(absPath);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a copied skill still matches what was shipped
+ * @param {string} projectRoot - Project root directory
+ * @param {object|null} state - Install state
+ * @param {string} name - Skill name
+ * @returns {boolean}
+ */
+function isSkillUnmodified(projectRoot, state, name) {
+  const dir = path.join(projectRoot, 'agents', 'skills', name);
+  let expected = state?.skills?.[name]?.files;
+
+  // Without a record, compare against the bundled copy
+  if (!expected) {
+    const bundled = path.join(skillSync.getBundledSkillsDir(), name);
+    if (!fs.existsSync(bundled)) {
+      return false;
+    }
+    expected = {};
+    for (const rel of installState.listFiles(bundled)) {
+      expected[rel] = installState.hashFile(path.join(bundled, rel));
+    }
+  }
+
+  const local = installState.listFiles(dir);
+  return local.length === Object.keys(expected).length &&
+    local.every(rel => expected[rel] === installState.hashFile(path.join(dir, rel)));
+}
+
+/**
+ * Plan removal of everything the tool created
+ * @param {string} projectRoot - Project root directory
+ * @param {object} options - Options
+ * @param {boolean} options.all - Also remove edited generated files and everything under agents/
+ *   except the backups
+ * @returns {Promise<object>} - Changes object
+ */
+async function plan(projectRoot, options = {}) {
+  const manifest = templateLayers.loadUnconfiguredManifest(projectRoot);
+  const state = installState.load(projectRoot);
+  const exists = (rel) => pathExists(path.join(projectRoot, rel));
+  const keepReason = (reason) => `${reason}, use --all to remove`;
+
+  const changes = {
+    type: 'uninstall',
+    files: [],        // { path, action: 'remove'|'keep', reason? }
+    symlinks: [],     // { link, target } to remove
+    skills: [],       // { name, action: 'remove'|'keep', reason? }
+    gitignore: [],    // Lines to remove from .gitignore
+    directories: []   // Directories left empty, deepest first
+  };
+  const removed = new Set();
+  const remove = (rel) => removed.add(rel);
+
+  // Symlinks that still point where the tool put them
+  const symlinks = state
+    ? Object.entries(state.symlinks).map(([link, { target }]) => ({ link, target }))
+    : manifest.symlinks;
+  for (const { link, target } of symlinks) {
+    const linkPath = path.join(projectRoot, link);
+    if (exists(link) && fs.lstatSync(linkPath).isSymbolicLink() && fs.readlinkSync(linkPath) === target) {
+      changes.symlinks.push({ link, target });
+      remove(link);
+    }
+  }
+
+  // Bundled skill copies
+  const skillNames = state ? Object.keys(state.skills) : (manifest.skillsToCopy || []);
+  for (const name of skillNames) {
+    const dir = `agents/skills/${name}`;
+    if (!exists(dir)) continue;
+    if (options.all || isSkillUnmodified(projectRoot, state, name)) {
+      changes.skills.push({ name, action: 'remove' });
+      remove(dir);
+    } else {
+      changes.skills.push({ name, action: 'keep', reason: keepReason('modified locally') });
+    }
+  }
+
+  // Generated files
+  const generated = state
+    ? Object.keys(state.files).sort()
+    : manifest.files.map(f => f.dest);
+  for (const file of generated) {
+    if (!exists(file)) continue;
+    const status = installState.getFileStatus(state, projectRoot, file);
+    if (status === 'pristine' || (options.all && status === 'modified')) {
+      changes.files.push({ path: file, action: 'remove' });
+      remove(file);
+    } else if (status === 'modified') {
+      changes.files.push({ path: file, action: 'keep', reason: keepReason('modified locally') });
+    } else if (!file.startsWith('agents/') || !options.all) {
+      changes.files.push({ path: file, action: 'keep', reason: 'not recorded as generated' });
+    }
+  }
+
+  // With --all, everything else under agents/ (plans, personas, reference docs, other skills).
+  // Backups are kept: the removed files are backed up there too.
+  if (options.all && exists('agents')) {
+    for (const rel of installState.listFiles(path.join(projectRoot, 'agents'))) {
+      const file = `agents/${rel}`;
+      const covered = [...removed].some(r => file === r || file.startsWith(`${r}/`));
+      const internal = [installState.BASE_DIR, backup.BACKUP_DIR].some(dir => file.startsWith(`${dir}/`));
+      if (!covered && !internal && file !== installState.STATE_FILE) {
+        changes.files.push({ path: file, action: 'remove', reason: 'user file' });
+        remove(file);
+      }
+    }
+  }
+
+  // Install state and merge bases
+  for (const internal of [installState.STATE_FILE, path.posix.dirname(installState.BASE_DIR)]) {
+    if (exists(internal)) {
+      changes.files.push({ path: internal, action: 'remove', reason: 'install state' });
+      remove(internal);
+    }
+  }
+
+  // The "# Workspace Agents" block in .gitignore
+  if (exists('.gitignore')) {
+    const lines = state?.gitignore?.length ? state.gitignore : (manifest.gitignoreAppend || []);
+    const content = fs.readFileSync(path.join(projectRoot, '.gitignore'), 'utf-8');
+    changes.gitignore = fileOps.removeGitignoreBlock(content, lines).removed;
+  }
+
+  // Manifest directories (and their parents, e.g. .claude/) that end up empty.
+  // The directories holding the backups stay.
+  const isGone = (rel) => {
+    if (removed.has(rel)) return true;
+    const abs = path.join(projectRoot, rel);
+    if (fs.lstatSync(abs).isSymbolicLink() || !fs.statSync(abs).isDirectory()) return false;
+    return fs.readdirSync(abs).every(entry => isGone(`${rel}/${entry}`));
+  };
+  const candidates = new Set();
+  for (const dir of manifest.directories) {
+    for (let d = dir; d !== '.'; d = path.posix.dirname(d)) {
+      if (!backup.BACKUP_DIR.startsWith(`${d}/`)) candidates.add(d);
+    }
+  }
+  const dirs = [...candidates].sort((a, b) => b.split('/').length - a.split('/').length || a.localeCompare(b));
+  for (const dir of dirs) {
+    if (exists(dir) && isGone(dir)) {
+      changes.directories.push(dir);
+      remove(dir);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Apply planned removals
+ * Runs as a transaction: if any step fails, everything removed so far is restored.
+ * Removed files, symlinks and the install state are backed up to
+ * agents/.backups/, which is left in place, so restoring the backup undoes
+ * the uninstall.
+ * @param {object} changes - Changes from plan()
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<string|null>} - Backup id when files were removed
+ */
+async function apply(changes, projectRoot) {
+  const { backup: backupId } = await transaction.run(projectRoot, async (tx) => {
+    for (const link of changes.symlinks) {
+      tx.remove(link.link);
+    }
+
+    for (const skill of changes.skills) {
+      if (skill.action === 'remove') {
+        tx.remove(`agents/skills/${skill.name}`);
+      }
+    }
+
+    for (const file of changes.files) {
+      if (file.action === 'remove' && pathExists(path.join(projectRoot, file.path))) {
+        tx.remove(file.path);
+      }
+    }
+
+    if (changes.gitignore.length) {
+      const gitignorePath = path.join(projectRoot, '.gitignore');
+      const { content } = fileOps.removeGitignoreBlock(fs.readFileSync(gitignorePath, 'utf-8'), changes.gitignore);
+      if (content.trim()) {
+        tx.writeFile('.gitignore', content);
+      } else {
+        tx.remove('.gitignore');
+      }
+    }
+
+    // Only directories that really are empty now; anything added since planning stays
+    for (const dir of changes.directories) {
+      const dirPath = path.join(projectRoot, dir);
+      if (fs.existsSync(dirPath) && fs.readdirSync(dirPath).length === 0) {
+        tx.remove(dir);
+      }
+    }
+  }, { fullBackup: true });
+  return backupId;
+}
+
+module.exports = { plan, apply };
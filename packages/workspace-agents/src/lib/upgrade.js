@@ -1,46 +1,55 @@
 const path = require('path');
 const fs = require('fs-extra');
 const detector = require('./project-detector');
-const fileOps = require('./file-ops');
 const gitOps = require('./git-ops');
 const symlinkOps = require('./symlink-ops');
 const templateEngine = require('./template-engine');
-
-/**
- * Get bundled skills directory path
- */
-function getBundledSkillsDir() {
-  return path.join(__dirname, '..', 'templates', 'skills');
-}
-
-/**
- * Known migration mappings from old to new structure
- */
-const MIGRATIONS = {
-  directories: [
-    { from: 'agents/tools', to: 'agents/skills' },
-    { from: 'plans-local', to: 'agents/plans/local' },
-    { from: 'tasks', to: 'agents/plans' }
-  ],
-  terminology: [
-    { from: /agents\/tools/g, to: 'agents/skills' },
-    { from: /`tools\/`/g, to: '`skills/`' },
-    { from: /tools\//g, to: 'skills/' },
-    { from: /plans-local/g, to: 'agents/plans/local' }
-  ]
-};
+const transaction = require('./transaction');
+const installState = require('./install-state');
+const skillSync = require('./skill-sync');
+const templateSync = require('./template-sync');
+const migrationRunner = require('./migration-runner');
+const workspaces = require('./workspaces');
+const config = require('./config');
+const templateCheck = require('./template-check');
+const templateLayers = require('./template-layers');
+const presets = require('./presets');
+const { isNewer } = require('./version-checker');
+const { InvalidOptionError } = require('./errors');
+const pkg = require('../../package.json');
 
 /**
  * Plan upgrade operation - computes what changes will be made
+ * Presets (see presets.js), template override directories (see
+ * template-layers.js) and the project configuration (see config.js) are
+ * merged over the manifest.
  * @param {string} projectRoot - Project root directory
  * @param {object} options - Options
+ * @param {string} options.skillConflicts - How to handle locally modified skill files (skip|new|merge)
+ * @param {boolean} options.workspaces - true to add monorepo workspace files to an install without
+ *   them, false to leave them out
+ * @param {boolean} options.strict - Fail when a template outputs a variable without a value
+ * @param {string|string[]} options.templates - Template override directories
+ * @param {string|string[]} options.presets - Preset names or paths
  * @returns {Promise<object>} - Changes object
+ * @throws {UndefinedVariableError} - In strict mode
+ * @throws {PresetNotFoundError} - When a preset cannot be found
  */
 async function plan(projectRoot, options = {}) {
-  const analysis = detector.analyzeStructure(projectRoot);
+  const analysis = detector.analyzeStructure(projectRoot, options);
+  const state = installState.load(projectRoot);
+  const skillConflicts = options.skillConflicts || 'new';
+
+  if (!skillSync.CONFLICT_STRATEGIES.includes(skillConflicts)) {
+    throw new InvalidOptionError(
+      `Unknown skill conflict strategy: ${skillConflicts} (expected ${skillSync.CONFLICT_STRATEGIES.join(', ')})`,
+      { option: 'skillConflicts', value: skillConflicts, expected: skillSync.CONFLICT_STRATEGIES }
+    );
+  }
 
   const changes = {
     type: 'upgrade',
+    migrations: [],        // Versioned migrations with planned work
     moves: [],
     modifications: [],
     creates: [],
@@ -48,55 +57,35 @@ async function plan(projectRoot, options = {}) {
     symlinks: [],
     legacy: [],
     skillsToCopy: [],      // New skills to add
-    skillsToUpdate: [],    // Existing bundled skills to update
-    symlinkFixes: []
+    skillsToUpdate: [],    // Existing bundled skills with per-file update actions
+    symlinkFixes: [],
+    gitignore: [],         // Configured .gitignore lines not present yet
+    templateUpdates: [],   // Generated files whose template changed
+    untrackedFiles: [],    // Generated files of an install made before the install state
+    versionUpdate: null,   // Installed version to record as current, if older
+    presets: [],           // Presets files are rendered from
+    presetUpdates: [],     // Presets added, removed or at a new version since install
+    templates: []          // Template override directories files are rendered from
   };
 
-  // Plan directory moves
-  for (const migration of MIGRATIONS.directories) {
-    const fromPath = path.join(projectRoot, migration.from);
-    const toPath = path.join(projectRoot, migration.to);
-
-    if (fs.existsSync(fromPath) && !fs.existsSync(toPath)) {
-      changes.moves.push({
-        from: migration.from,
-        to: migration.to
-      });
-    }
+  // Record the new version even when nothing else changes
+  const installedVersion = detector.getFrameworkVersion(projectRoot);
+  if (installedVersion && isNewer(pkg.version, installedVersion)) {
+    changes.versionUpdate = { from: installedVersion, to: pkg.version };
   }
 
-  // Plan file content modifications (terminology updates)
-  const filesToUpdate = ['AGENTS.md', 'agents/README.md', 'README.md'];
-  for (const file of filesToUpdate) {
-    const filePath = path.join(projectRoot, file);
-    if (fs.existsSync(filePath)) {
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const updates = [];
-
-      for (const term of MIGRATIONS.terminology) {
-        if (term.from.test ? term.from.test(content) : content.includes(term.from)) {
-          updates.push({
-            from: term.from.toString(),
-            to: term.to
-          });
-        }
-      }
-
-      if (updates.length > 0) {
-        const diff = updates.map(u => `- ${u.from}\n+ ${u.to}`).join('\n');
-        changes.modifications.push({
-          path: file,
-          diff,
-          updates
-        });
-      }
-    }
-  }
+  // Plan versioned migrations (directory moves, terminology, legacy files)
+  migrationRunner.plan(projectRoot, state, changes);
 
   // Plan new files that should be created
-  const manifest = templateEngine.getManifest();
-  const projectName = detector.detectProjectName(projectRoot);
-  const variables = templateEngine.getDefaultVariables(projectName);
+  const settings = config.load(projectRoot);
+  const layers = templateLayers.loadManifest(projectRoot, options, settings);
+  const { dirs, manifest } = layers;
+  const layerDirs = templateLayers.absolute(projectRoot, dirs);
+  changes.presets = layers.presets;
+  changes.presetUpdates = presets.findPresetUpdates(state, layers.presets);
+  changes.templates = layers.templates;
+  const variables = { ...detector.detectVariables(projectRoot), ...settings.variables };
 
   // Check for missing files that should exist
   const criticalFiles = [
@@ -159,201 +148,173 @@ async function plan(projectRoot, options = {}) {
   }
 
   // Plan skill sync - copy new bundled skills and update existing ones
-  const bundledSkillsDir = getBundledSkillsDir();
-  if (manifest.skillsToCopy?.length && fs.existsSync(bundledSkillsDir)) {
+  if (manifest.skillsToCopy?.length) {
     for (const skillName of manifest.skillsToCopy) {
       const projectSkillPath = path.join(projectRoot, 'agents', 'skills', skillName);
-      const bundledSkillPath = path.join(bundledSkillsDir, skillName);
+      const bundledSkillPath = skillSync.findSkillDir(skillName, layerDirs);
 
       if (fs.existsSync(bundledSkillPath)) {
         if (!fs.existsSync(projectSkillPath)) {
           // Skill doesn't exist - copy it
           changes.skillsToCopy.push(skillName);
         } else {
-          // Skill exists - update it (bundled skills should always be current)
-          changes.skillsToUpdate.push(skillName);
+          // Skill exists - update unmodified files, protect local edits
+          const update = skillSync.planSkillUpdate(projectRoot, state, skillName, skillConflicts, layerDirs);
+          if (update) {
+            changes.skillsToUpdate.push(update);
+          }
         }
       }
     }
   }
 
-  // Plan new template files (personas, plans, reference docs within agents/)
+  // Plan new template files (personas, plans, reference docs within agents/,
+  // workspace files for monorepo packages)
   if (analysis.details.missingFiles?.length) {
+    const templateFiles = [...manifest.files, ...workspaces.listManagedFiles(projectRoot, state, options.workspaces)];
     for (const missingFile of analysis.details.missingFiles) {
-      const manifestFile = manifest.files.find(f => f.dest === missingFile);
-      if (manifestFile) {
+      const templateFile = templateFiles.find(f => f.dest === missingFile);
+      if (templateFile) {
         changes.newFiles.push({
           path: missingFile,
-          template: manifestFile.template,
-          variables
+          template: templateFile.template,
+          variables: { ...variables, ...templateFile.variables }
         });
       }
     }
   }
 
-  // Plan legacy file handling - files that don't map to new structure
-  const legacyPatterns = await findLegacyFiles(projectRoot, analysis);
-  for (const file of legacyPatterns) {
-    const destPath = `agents/legacy/${path.basename(file)}`;
-    if (!fs.existsSync(path.join(projectRoot, destPath))) {
-      changes.legacy.push({
-        from: file,
-        to: destPath
-      });
-    }
-  }
+  // Plan .gitignore lines added to the configuration since install
+  changes.gitignore.push(...detector.findMissingGitignore(projectRoot, settings));
 
-  return changes;
-}
+  // Plan template updates for previously generated files
+  if (state) {
+    changes.templateUpdates.push(...templateSync.findTemplateUpdates(projectRoot, state, options));
+  }
 
-/**
- * Find files that should be moved to legacy
- * @param {string} projectRoot - Project root
- * @param {object} analysis - Structure analysis
- * @returns {Promise<string[]>}
- */
-async function findLegacyFiles(projectRoot, analysis) {
-  const legacyFiles = [];
+  // Start tracking generated files written before the install state existed
+  changes.untrackedFiles.push(...templateSync.findUntrackedFiles(projectRoot, state, variables, options));
 
-  // Look for old-style files in root that might need migration
-  const oldPatterns = [
-    'CONTRIBUTING.md', // If it exists and references old structure
-    'DEVELOPMENT.md'   // Old development docs
+  // Report variables the created and updated files would be missing
+  const filtered = config.filterChanges(changes, settings);
+  const rendered = [
+    ...filtered.creates.filter(c => !c.isDir),
+    ...filtered.newFiles,
+    ...filtered.templateUpdates.map(u => ({ ...u, variables: { ...state.files[u.path].variables, ...u.variables } }))
   ];
-
-  for (const pattern of oldPatterns) {
-    const filePath = path.join(projectRoot, pattern);
-    if (fs.existsSync(filePath)) {
-      const content = fs.readFileSync(filePath, 'utf-8');
-      // Check if it references old structure
-      if (content.includes('agents/tools') || content.includes('plans-local')) {
-        legacyFiles.push(pattern);
-      }
-    }
-  }
-
-  return legacyFiles;
+  return templateCheck.checkChanges(filtered, rendered, settings, { ...options, dirs: layerDirs });
 }
 
 /**
  * Apply planned upgrade changes
+ * Runs as a transaction: if any step fails, completed steps (moves, writes,
+ * skill replacements, symlink changes) are undone and the error is rethrown.
  * @param {object} changes - Changes from plan()
  * @param {string} projectRoot - Project root directory
+ * @returns {Promise<{backup: string|null, warnings: string[]}>} - backup is the id of the
+ *   backup taken when files were overwritten or removed; warnings
+ *   list symlinks the platform refused to create
  */
 async function apply(changes, projectRoot) {
   const isGit = gitOps.isGitRepo(projectRoot);
-
-  // Execute moves (with git history preservation)
-  for (const move of changes.moves) {
-    const fromPath = path.join(projectRoot, move.from);
-    const toPath = path.join(projectRoot, move.to);
-
-    // Ensure destination parent exists
-    fileOps.ensureDir(path.dirname(toPath));
-
-    if (isGit) {
-      gitOps.gitMv(move.from, move.to, projectRoot);
-    } else {
-      fs.moveSync(fromPath, toPath);
+  const installedVersion = migrationRunner.getInstalledVersion(projectRoot, installState.load(projectRoot));
+  const state = installState.loadOrCreate(projectRoot);
+  const dirs = templateLayers.absolute(projectRoot, templateLayers.planDirs(changes));
+
+  const { backup, warnings } = await transaction.run(projectRoot, async (tx) => {
+    // Run versioned migrations first, recording progress as each completes
+    migrationRunner.apply(tx, projectRoot, state, changes, { isGit, installedVersion });
+
+    // Create new files (critical files)
+    for (const create of changes.creates) {
+      if (create.isDir) {
+        tx.ensureDir(create.path.replace(/\/$/, ''));
+      } else {
+        const content = templateEngine.loadAndRender(create.template, create.variables, { dirs });
+        installState.writeGenerated(tx, state, create.path, {
+          template: create.template,
+          content,
+          variables: create.variables
+        });
+      }
     }
-  }
 
-  // Apply file modifications
-  for (const mod of changes.modifications) {
-    const filePath = path.join(projectRoot, mod.path);
-    let content = fs.readFileSync(filePath, 'utf-8');
-
-    for (const term of MIGRATIONS.terminology) {
-      content = content.replace(term.from, term.to);
+    // Create new template files (personas, plans, reference docs)
+    for (const newFile of changes.newFiles || []) {
+      const content = templateEngine.loadAndRender(newFile.template, newFile.variables, { dirs });
+      installState.writeGenerated(tx, state, newFile.path, {
+        template: newFile.template,
+        content,
+        variables: newFile.variables
+      });
     }
 
-    fs.writeFileSync(filePath, content, 'utf-8');
-  }
-
-  // Create new files (critical files)
-  for (const create of changes.creates) {
-    if (create.isDir) {
-      fileOps.ensureDir(path.join(projectRoot, create.path.replace(/\/$/, '')));
-    } else {
-      const content = templateEngine.loadAndRender(create.template, create.variables);
-      fileOps.writeFile(path.join(projectRoot, create.path), content);
+    // Track generated files of an older install: store the template they were
+    // rendered from as merge base, then bring them up to date like any other
+    for (const untracked of changes.untrackedFiles || []) {
+      const base = templateEngine.loadAndRender(untracked.template, untracked.variables, { dirs });
+      tx.writeFile(installState.basePath(untracked.path), base);
+      installState.recordFile(state, untracked.path, {
+        template: untracked.template,
+        content: base,
+        variables: untracked.variables
+      });
+      const update = templateSync.computeTemplateUpdate(projectRoot, state, untracked.path, {}, dirs, untracked.template);
+      if (update) {
+        installState.writeGenerated(tx, state, untracked.path, update);
+      }
     }
-  }
-
-  // Create new template files (personas, plans, reference docs)
-  for (const newFile of changes.newFiles || []) {
-    const destPath = path.join(projectRoot, newFile.path);
-    // Ensure parent directory exists
-    fileOps.ensureDir(path.dirname(destPath));
-    const content = templateEngine.loadAndRender(newFile.template, newFile.variables);
-    fileOps.writeFile(destPath, content);
-  }
 
-  // Create new symlinks
-  for (const link of changes.symlinks) {
-    symlinkOps.createSymlink(
-      link.target,
-      path.join(projectRoot, link.link),
-      { force: true }
-    );
-  }
-
-  // Fix broken/incorrect symlinks
-  for (const fix of changes.symlinkFixes) {
-    symlinkOps.createSymlink(
-      fix.target,
-      path.join(projectRoot, fix.link),
-      { force: true }
-    );
-  }
-
-  // Copy new skills to project
-  if (changes.skillsToCopy?.length) {
-    const bundledSkillsDir = getBundledSkillsDir();
-    const destSkillsDir = path.join(projectRoot, 'agents', 'skills');
-
-    fileOps.ensureDir(destSkillsDir);
+    // Update or merge generated files whose template changed
+    for (const planned of changes.templateUpdates || []) {
+      const update = templateSync.computeTemplateUpdate(
+        projectRoot, state, planned.path, planned.variables, dirs, planned.template);
+      if (update) {
+        installState.writeGenerated(tx, state, planned.path, update);
+      }
+    }
 
-    for (const skillName of changes.skillsToCopy) {
-      const srcSkill = path.join(bundledSkillsDir, skillName);
-      const destSkill = path.join(destSkillsDir, skillName);
+    // Create new symlinks
+    for (const link of changes.symlinks) {
+      tx.createSymlink(link.target, link.link);
+      installState.recordSymlink(state, link.link, link.target);
+    }
 
-      if (fs.existsSync(srcSkill)) {
-        fileOps.copyDir(srcSkill, destSkill);
-      }
+    // Append configured .gitignore lines
+    if (changes.gitignore?.length) {
+      tx.appendGitignore(changes.gitignore);
+      installState.recordGitignore(state, changes.gitignore);
     }
-  }
 
-  // Update existing bundled skills (overwrite with latest)
-  if (changes.skillsToUpdate?.length) {
-    const bundledSkillsDir = getBundledSkillsDir();
-    const destSkillsDir = path.join(projectRoot, 'agents', 'skills');
+    // Fix broken/incorrect symlinks
+    for (const fix of changes.symlinkFixes) {
+      tx.createSymlink(fix.target, fix.link);
+      installState.recordSymlink(state, fix.link, fix.target);
+    }
 
-    for (const skillName of changes.skillsToUpdate) {
-      const srcSkill = path.join(bundledSkillsDir, skillName);
-      const destSkill = path.join(destSkillsDir, skillName);
+    // Copy new skills to project
+    if (changes.skillsToCopy?.length) {
+      tx.ensureDir('agents/skills');
 
-      if (fs.existsSync(srcSkill)) {
-        // Remove existing skill directory and replace with bundled version
-        fs.removeSync(destSkill);
-        fileOps.copyDir(srcSkill, destSkill);
+      for (const skillName of changes.skillsToCopy) {
+        if (fs.existsSync(skillSync.findSkillDir(skillName, dirs))) {
+          skillSync.copySkill(tx, state, skillName, dirs);
+        }
       }
     }
-  }
 
-  // Move legacy files
-  for (const legacy of changes.legacy) {
-    const fromPath = path.join(projectRoot, legacy.from);
-    const toPath = path.join(projectRoot, legacy.to);
+    // Update existing bundled skills file by file, keeping local edits
+    for (const update of changes.skillsToUpdate || []) {
+      skillSync.applySkillUpdate(tx, state, projectRoot, update, dirs);
+    }
 
-    fileOps.ensureDir(path.dirname(toPath));
+    // Record what was generated
+    installState.recordPresets(state, changes.presets);
+    installState.recordTemplates(state, changes.templates);
+    tx.writeFile(installState.STATE_FILE, installState.serialize(state));
+  });
 
-    if (isGit) {
-      gitOps.gitMv(legacy.from, legacy.to, projectRoot);
-    } else {
-      fs.moveSync(fromPath, toPath);
-    }
-  }
+  return { backup, warnings };
 }
 
-module.exports = { plan, apply, MIGRATIONS };
+module.exports = { plan, apply };
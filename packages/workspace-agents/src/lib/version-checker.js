@@ -1,6 +1,16 @@
 const https = require('https');
 const pkg = require('../../package.json');
 
+/**
+ * Version marker written into every generated file
+ */
+const VERSION_MARKER = /<!-- workspace-agents v(\d+\.\d+\.\d+) -->/;
+
+/**
+ * Footer written by versions that had no marker, with the generation date in some files
+ */
+const VERSION_FOOTER = /\*Generated by workspace-agents v(\d+\.\d+\.\d+)(?: on (\d{4}-\d{2}-\d{2}))?\*/;
+
 /**
  * Check npm registry for newer version
  * @returns {Promise<{current: string, latest: string, available: boolean}>}
@@ -65,4 +75,15 @@ function isNewer(latest, current) {
   return false;
 }
 
-module.exports = { check, isNewer };
+/**
+ * Read the framework version (and generation date, if written) a file was generated with
+ * @param {string} content - File content
+ * @returns {{version: string, date: string|null}|null} - null when the file has no marker or footer
+ */
+function readMarker(content) {
+  const footer = content.match(VERSION_FOOTER);
+  const marker = content.match(VERSION_MARKER) || footer;
+  return marker ? { version: marker[1], date: footer?.[2] || null } : null;
+}
+
+module.exports = { check, isNewer, readMarker };
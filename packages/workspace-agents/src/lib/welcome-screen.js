@@ -16,7 +16,11 @@ const ASCII_ART = `
                      ╚═╝  ╚═╝ ╚═════╝ ╚══════╝╚═╝  ╚═══╝   ╚═╝   ╚══════╝
 `;
 
-async function show() {
+/**
+ * Print the banner, update notice and the directory that will be changed
+ * @param {string} dir - Target project directory (defaults to the working directory)
+ */
+async function show(dir = process.cwd()) {
   console.log(chalk.cyan(ASCII_ART));
 
   // Check for updates
@@ -37,10 +41,10 @@ async function show() {
   console.log();
 
   // Directory callout
-  const cwd = process.cwd();
-  const displayPath = cwd.length > 40 ? '...' + cwd.slice(-37) : cwd;
+  const displayPath = dir.length > 40 ? '...' + dir.slice(-37) : dir;
+  const label = dir === process.cwd() ? 'You are in' : 'Target dir';
   console.log(chalk.yellow.bold('┌───────────────────────────────────────────────────────┐'));
-  console.log(chalk.yellow(`│ You are in: ${displayPath}`.padEnd(55) + '│'));
+  console.log(chalk.yellow(`│ ${label}: ${displayPath}`.padEnd(55) + '│'));
   console.log(chalk.yellow.bold('└───────────────────────────────────────────────────────┘'));
   console.log();
 }
@@ -0,0 +1,233 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * Generated file listing the workspace packages
+ */
+const REPO_MAP = 'agents/reference/repo-map.md';
+
+/**
+ * Templates for the generated workspace files
+ */
+const REPO_MAP_TEMPLATE = 'repo-map.md.template';
+const PACKAGE_TEMPLATE = 'package-AGENTS.md.template';
+
+/**
+ * Directories never searched for packages
+ */
+const IGNORED_DIRS = ['node_modules', '.git'];
+
+/**
+ * Read a JSON file, or null if it is missing or invalid
+ * @param {string} filePath - Absolute path
+ * @returns {object|null}
+ */
+function readJson(filePath) {
+  try {
+    return fs.readJsonSync(filePath);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read the `packages` list from pnpm-workspace.yaml
+ * Only the plain list form pnpm documents is understood; no YAML parser is needed for it.
+ * @param {string} content - File content
+ * @returns {string[]}
+ */
+function parsePnpmWorkspace(content) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of content.split('\n')) {
+    if (/^packages:\s*(#.*)?$/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (!inPackages || !line.trim() || /^\s*#/.test(line)) {
+      continue;
+    }
+    const item = line.match(/^\s+-\s*(['"]?)(.+?)\1\s*(#.*)?$/);
+    if (!item) {
+      break;
+    }
+    patterns.push(item[2]);
+  }
+  return patterns;
+}
+
+/**
+ * Find the workspace tool and its package patterns
+ * @param {string} root - Project root directory
+ * @returns {{tool: string, patterns: string[]}|null}
+ */
+function detectTool(root) {
+  const pnpmPath = path.join(root, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmPath)) {
+    return { tool: 'pnpm', patterns: parsePnpmWorkspace(fs.readFileSync(pnpmPath, 'utf-8')) };
+  }
+
+  const rootPkg = readJson(path.join(root, 'package.json'));
+  const workspaces = Array.isArray(rootPkg?.workspaces) ? rootPkg.workspaces : rootPkg?.workspaces?.packages;
+  if (workspaces?.length) {
+    return { tool: fs.existsSync(path.join(root, 'yarn.lock')) ? 'yarn' : 'npm', patterns: workspaces };
+  }
+
+  const lerna = readJson(path.join(root, 'lerna.json'));
+  if (lerna) {
+    return { tool: 'lerna', patterns: lerna.packages || ['packages/*'] };
+  }
+
+  const nx = readJson(path.join(root, 'nx.json'));
+  if (nx) {
+    const layout = nx.workspaceLayout || {};
+    return { tool: 'nx', patterns: [`${layout.appsDir || 'apps'}/*`, `${layout.libsDir || 'libs'}/*`, 'packages/*'] };
+  }
+
+  return null;
+}
+
+/**
+ * List directories matching a workspace glob (`*` within a segment, `**` for any depth)
+ * @param {string} root - Project root directory
+ * @param {string} pattern - e.g. "packages/*", "apps/**", "tools/cli"
+ * @returns {string[]} - Relative paths with forward slashes
+ */
+function expandPattern(root, pattern) {
+  const subdirs = (rel) => {
+    try {
+      return fs.readdirSync(path.join(root, rel), { withFileTypes: true })
+        .filter(e => e.isDirectory() && !IGNORED_DIRS.includes(e.name) && !e.name.startsWith('.'))
+        .map(e => (rel ? `${rel}/${e.name}` : e.name));
+    } catch (e) {
+      return [];
+    }
+  };
+  const descendants = (rel) => subdirs(rel).flatMap(dir => [dir, ...descendants(dir)]);
+
+  let matches = [''];
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+  for (const segment of segments) {
+    const next = [];
+    for (const rel of matches) {
+      if (segment === '**') {
+        next.push(rel, ...descendants(rel));
+      } else if (segment.includes('*')) {
+        const escaped = segment.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+        const re = new RegExp(`^${escaped.join('[^/]*')}$`);
+        next.push(...subdirs(rel).filter(dir => re.test(path.posix.basename(dir))));
+      } else {
+        const dir = rel ? `${rel}/${segment}` : segment;
+        if (fs.existsSync(path.join(root, dir)) && fs.statSync(path.join(root, dir)).isDirectory()) {
+          next.push(dir);
+        }
+      }
+    }
+    matches = [...new Set(next)];
+  }
+  return matches.filter(Boolean);
+}
+
+/**
+ * Detect npm, yarn, pnpm, lerna or nx workspaces
+ * @param {string} root - Project root directory
+ * @returns {{tool: string, patterns: string[], packages: Array<{name: string, path: string, description: string}>}|null}
+ *   null when the project is not a workspace or no packages were found
+ */
+function detectWorkspaces(root) {
+  const detected = detectTool(root);
+  if (!detected) {
+    return null;
+  }
+
+  const included = new Set();
+  for (const pattern of detected.patterns) {
+    if (pattern.startsWith('!')) {
+      const excluded = new Set(expandPattern(root, pattern.slice(1)));
+      [...included].filter(dir => excluded.has(dir)).forEach(dir => included.delete(dir));
+    } else {
+      expandPattern(root, pattern).forEach(dir => included.add(dir));
+    }
+  }
+
+  const packages = [];
+  for (const dir of [...included].sort()) {
+    const manifest = readJson(path.join(root, dir, 'package.json')) || readJson(path.join(root, dir, 'project.json'));
+    if (manifest) {
+      packages.push({
+        name: manifest.name || path.posix.basename(dir),
+        path: dir,
+        description: manifest.description || ''
+      });
+    }
+  }
+
+  return packages.length ? { tool: detected.tool, patterns: detected.patterns, packages } : null;
+}
+
+/**
+ * List the generated files for a workspace with their workspace-specific variables
+ * @param {{tool: string, packages: object[]}} workspaces - From detectWorkspaces()
+ * @returns {Array<{dest: string, template: string, variables: object}>} - Repo map first, then one
+ *   AGENTS.md per package
+ */
+function getWorkspaceFiles(workspaces) {
+  // Names and descriptions end up in markdown table cells
+  const cell = (text) => text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+  return [
+    {
+      dest: REPO_MAP,
+      template: REPO_MAP_TEMPLATE,
+      variables: {
+        WORKSPACE_TOOL: workspaces.tool,
+        PACKAGE_COUNT: String(workspaces.packages.length),
+        PACKAGES: workspaces.packages.map(p => ({ name: cell(p.name), path: p.path, description: cell(p.description) }))
+      }
+    },
+    ...workspaces.packages.map(p => ({
+      dest: `${p.path}/AGENTS.md`,
+      template: PACKAGE_TEMPLATE,
+      variables: {
+        PACKAGE_NAME: p.name,
+        PACKAGE_PATH: p.path,
+        ROOT_PATH: `${path.posix.relative(p.path, '.')}/`
+      }
+    }))
+  ];
+}
+
+/**
+ * Check whether workspace files were installed (the repo map is recorded as generated)
+ * @param {object|null} state - Install state
+ * @returns {boolean}
+ */
+function isInstalled(state) {
+  return Boolean(state?.files?.[REPO_MAP]);
+}
+
+/**
+ * Workspace files a project should have, with their workspace-specific variables
+ * @param {string} root - Project root directory
+ * @param {object|null} state - Install state
+ * @param {boolean} [enabled] - true to include them, false to leave them out; by default
+ *   only projects that already have workspace files get them
+ * @returns {Array<{dest: string, template: string, variables: object}>}
+ */
+function listManagedFiles(root, state, enabled) {
+  if (enabled === false || !(enabled || isInstalled(state))) {
+    return [];
+  }
+  const detected = detectWorkspaces(root);
+  return detected ? getWorkspaceFiles(detected) : [];
+}
+
+module.exports = {
+  REPO_MAP,
+  parsePnpmWorkspace,
+  expandPattern,
+  detectWorkspaces,
+  getWorkspaceFiles,
+  isInstalled,
+  listManagedFiles
+};
@@ -0,0 +1,127 @@
+const path = require('path');
+const fs = require('fs-extra');
+const installState = require('../lib/install-state');
+const markdownRewrite = require('../lib/markdown-rewrite');
+const { unifiedDiff } = require('../lib/diff');
+
+/**
+ * Directory renames from the pre-skills layout
+ */
+const DIRECTORIES = [
+  { from: 'agents/tools', to: 'agents/skills' },
+  { from: 'plans-local', to: 'agents/plans/local' },
+  { from: 'tasks', to: 'agents/plans' }
+];
+
+/**
+ * Path rewrites in markdown, limited to the scopes listed (see markdown-rewrite.SCOPES).
+ * Only paths anchored at the old framework directories are rewritten: a bare
+ * `tools/`, even in code, is as likely to be the project's own directory.
+ */
+const TERMINOLOGY = [
+  { from: 'agents/tools', to: 'agents/skills', scopes: ['links', 'code', 'prose'] },
+  { from: 'plans-local', to: 'agents/plans/local', scopes: ['links', 'code', 'prose'] }
+];
+
+/**
+ * Files whose references to the old layout are rewritten
+ */
+const FILES_TO_UPDATE = ['AGENTS.md', 'agents/README.md', 'README.md'];
+
+/**
+ * Old root docs moved to agents/legacy/ when they reference the old layout
+ */
+const LEGACY_CANDIDATES = ['CONTRIBUTING.md', 'DEVELOPMENT.md'];
+
+/**
+ * Rewrite old framework terminology
+ * @param {string} content - File content
+ * @returns {{content: string, updates: Array<{from: string, to: string, count: number}>}} - Rewritten
+ *   content and the rules that changed it
+ */
+function applyTerminology(content) {
+  return markdownRewrite.rewrite(content, TERMINOLOGY);
+}
+
+/**
+ * Plan the move to the skills layout
+ * @param {string} projectRoot - Project root directory
+ * @returns {{moves: object[], modifications: object[], legacy: object[]}}
+ */
+function plan(projectRoot) {
+  const exists = (rel) => fs.existsSync(path.join(projectRoot, rel));
+  const changes = { moves: [], modifications: [], legacy: [] };
+
+  for (const dir of DIRECTORIES) {
+    if (exists(dir.from) && !exists(dir.to)) {
+      changes.moves.push({ from: dir.from, to: dir.to });
+    }
+  }
+
+  for (const file of FILES_TO_UPDATE) {
+    if (exists(file)) {
+      const content = fs.readFileSync(path.join(projectRoot, file), 'utf-8');
+      const { content: updated, updates } = applyTerminology(content);
+
+      if (updated !== content) {
+        changes.modifications.push({
+          path: file,
+          diff: unifiedDiff(content, updated, { oldLabel: `a/${file}`, newLabel: `b/${file}` }),
+          updates
+        });
+      }
+    }
+  }
+
+  for (const file of LEGACY_CANDIDATES) {
+    const dest = `agents/legacy/${path.basename(file)}`;
+    if (exists(file) && !exists(dest)) {
+      const content = fs.readFileSync(path.join(projectRoot, file), 'utf-8');
+      if (content.includes('agents/tools') || content.includes('plans-local')) {
+        changes.legacy.push({ from: file, to: dest });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Apply the planned moves, rewrites and legacy moves
+ * @param {object} tx - Transaction from transaction.run()
+ * @param {string} projectRoot - Project root directory
+ * @param {{moves: object[], modifications: object[], legacy: object[]}} changes - From plan()
+ * @param {object} context
+ * @param {boolean} context.isGit - Move with git mv
+ * @param {object} context.state - Install state
+ */
+function apply(tx, projectRoot, changes, { isGit, state }) {
+  for (const move of changes.moves) {
+    tx.move(move.from, move.to, { git: isGit });
+  }
+
+  for (const mod of changes.modifications) {
+    const { content } = applyTerminology(fs.readFileSync(path.join(projectRoot, mod.path), 'utf-8'));
+
+    // A tool-generated file stays tool-generated after a terminology update
+    if (installState.getFileStatus(state, projectRoot, mod.path) === 'pristine') {
+      installState.writeGenerated(tx, state, mod.path, { ...state.files[mod.path], content });
+    } else {
+      tx.writeFile(mod.path, content);
+    }
+  }
+
+  for (const legacy of changes.legacy) {
+    tx.move(legacy.from, legacy.to, { git: isGit });
+  }
+}
+
+module.exports = {
+  id: '0.0.2-skills-layout',
+  from: '0.0.1',
+  to: '0.0.2',
+  description: 'Rename agents/tools to agents/skills and move plans under agents/plans',
+  TERMINOLOGY,
+  plan,
+  apply
+};
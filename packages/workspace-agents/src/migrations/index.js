@@ -0,0 +1,16 @@
+/**
+ * Registered migrations, oldest first.
+ *
+ * Each migration module exports:
+ * - id:          unique name, "<to>-<slug>"
+ * - from, to:    framework versions it upgrades between
+ * - description: one line shown in the plan
+ * - plan(projectRoot, context):   returns lists to merge into the upgrade changes
+ *                                 (moves, modifications, legacy); must only plan
+ *                                 work that is still needed on disk, so a partly
+ *                                 applied migration can be planned again
+ * - apply(tx, projectRoot, changes, context): applies the planned lists
+ */
+module.exports = [
+  require('./0.0.2-skills-layout')
+];
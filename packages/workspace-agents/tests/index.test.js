@@ -0,0 +1,134 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const api = require('../src');
+const symlinkOps = require('../src/lib/symlink-ops');
+const pkg = require('../package.json');
+
+describe('programmatic API', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-api-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+    await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'api-project' });
+    jest.spyOn(console, 'log');
+    jest.spyOn(console, 'error');
+    jest.spyOn(console, 'warn');
+  });
+
+  afterEach(async () => {
+    // Nothing in the API prints
+    expect(console.log).not.toHaveBeenCalled();
+    expect(console.error).not.toHaveBeenCalled();
+    expect(console.warn).not.toHaveBeenCalled();
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+
+  it('should be the package entry point', () => {
+    expect(require.resolve('..')).toBe(require.resolve('../src/index.js'));
+    expect(api.version).toBe(pkg.version);
+  });
+
+  it('should analyze, plan and apply a scaffold', async () => {
+    const analysis = await api.analyze(tempDir);
+    expect(analysis).toMatchObject({ projectName: 'api-project', installed: false, action: 'scaffold' });
+
+    const plan = await api.plan(tempDir, {});
+    expect(plan.action).toBe('scaffold');
+    expect(plan.changes.files.map(f => f.path)).toContain('AGENTS.md');
+
+    const result = await api.apply(tempDir, plan);
+    expect(result).toMatchObject({ applied: true, backup: null });
+    expect(fs.existsSync(path.join(tempDir, 'AGENTS.md'))).toBe(true);
+
+    const { ok, checks } = await api.doctor(tempDir);
+    expect(ok).toBe(true);
+    expect(checks.length).toBeGreaterThan(1);
+  });
+
+  it('should return symlinks the platform refuses as warnings', async () => {
+    const plan = await api.plan(tempDir, {});
+    jest.spyOn(symlinkOps, 'createSymlink').mockReturnValue({ created: false, warning: 'Cannot create symlink' });
+
+    const result = await api.apply(tempDir, plan);
+    expect(result.applied).toBe(true);
+    expect(result.warnings).toEqual(plan.changes.symlinks.map(() => 'Cannot create symlink'));
+  });
+
+  it('should apply a plan file by path', async () => {
+    const planPath = path.join(tempDir, 'plan.json');
+    await fs.writeJson(planPath, await api.plan(tempDir, { skipSymlinks: true }));
+
+    const result = await api.apply(tempDir, planPath);
+    expect(result.applied).toBe(true);
+  });
+
+  it('should report nothing to apply when the framework is current', async () => {
+    await api.apply(tempDir, await api.plan(tempDir, {}));
+
+    const plan = await api.plan(tempDir, {});
+    expect(plan.changes).toEqual({ type: 'none' });
+    expect(await api.apply(tempDir, plan)).toMatchObject({ applied: false, backup: null });
+  });
+
+  describe('errors', () => {
+    it('should reject a missing project root', async () => {
+      await expect(api.analyze(path.join(tempDir, 'missing'))).rejects.toMatchObject({
+        name: 'InvalidOptionError',
+        code: 'INVALID_OPTION',
+        option: 'projectRoot'
+      });
+      await expect(api.plan()).rejects.toBeInstanceOf(api.WorkspaceAgentsError);
+    });
+
+    it('should reject unknown option values', async () => {
+      await fs.outputFile(path.join(tempDir, 'agents/tools/helper.md'), 'helper');
+
+      await expect(api.plan(tempDir, { skillConflicts: 'overwrite' })).rejects.toMatchObject({
+        code: 'INVALID_OPTION',
+        option: 'skillConflicts',
+        value: 'overwrite'
+      });
+    });
+
+    it('should refuse stale and malformed plans', async () => {
+      const plan = await api.plan(tempDir, {});
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), '# Ours\n');
+
+      const err = await api.apply(tempDir, plan).catch(e => e);
+      expect(err).toBeInstanceOf(api.StalePlanError);
+      expect(err.problems).toContainEqual({ path: 'AGENTS.md', reason: 'created since planning' });
+
+      await expect(api.apply(tempDir, { schemaVersion: 0 })).rejects.toBeInstanceOf(api.InvalidPlanError);
+      await expect(api.apply(tempDir, path.join(tempDir, 'nope.json'))).rejects.toMatchObject({ code: 'INVALID_PLAN' });
+    });
+
+    it('should wrap apply failures after rolling back', async () => {
+      const plan = await api.plan(tempDir, {});
+      jest.spyOn(symlinkOps, 'createSymlink').mockImplementation(() => {
+        throw new Error('symlink failed');
+      });
+
+      const err = await api.apply(tempDir, plan).catch(e => e);
+      expect(err).toBeInstanceOf(api.ApplyError);
+      expect(err).toMatchObject({ code: 'APPLY_FAILED', message: 'symlink failed', rolledBack: true });
+      expect(fs.existsSync(path.join(tempDir, 'AGENTS.md'))).toBe(false);
+    });
+
+    it('should reject unknown templates', async () => {
+      await expect(api.renderTemplate(tempDir, 'missing.template')).rejects.toMatchObject({
+        code: 'TEMPLATE_NOT_FOUND',
+        template: 'missing.template'
+      });
+    });
+  });
+
+  it('should render templates with project defaults and overrides', async () => {
+    const content = await api.renderTemplate(tempDir, 'AGENTS.md.template', { CREATION_DATE: '2026-01-01' });
+
+    expect(content).toContain('api-project');
+    expect(content).not.toContain('{{');
+  });
+});
@@ -3,6 +3,8 @@ const fs = require('fs-extra');
 const os = require('os');
 const scaffold = require('../src/lib/scaffold');
 const upgrade = require('../src/lib/upgrade');
+const detector = require('../src/lib/project-detector');
+const installState = require('../src/lib/install-state');
 
 describe('init command', () => {
   let tempDir;
@@ -109,5 +111,212 @@ describe('init command', () => {
 
       expect(changes.modifications.some(m => m.path === 'AGENTS.md')).toBe(true);
     });
+
+    it('should show terminology updates as a unified diff of the file', async () => {
+      await fs.writeFile(path.join(tempDir, 'README.md'), '# Project\n\nSee agents/tools/ for info\n');
+
+      const changes = await upgrade.plan(tempDir, {});
+      const mod = changes.modifications.find(m => m.path === 'README.md');
+
+      expect(mod.diff.split('\n')).toEqual([
+        '--- a/README.md',
+        '+++ b/README.md',
+        '@@ -1,3 +1,3 @@',
+        ' # Project',
+        ' ',
+        '-See agents/tools/ for info',
+        '+See agents/skills/ for info'
+      ]);
+    });
+  });
+
+  describe('template updates', () => {
+    const basePath = (rel) => path.join(tempDir, 'agents/.workspace-agents/base', rel);
+
+    beforeEach(async () => {
+      await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'test-project' });
+      const changes = await scaffold.plan(tempDir, { skipSymlinks: true });
+      await scaffold.apply(changes, tempDir);
+    });
+
+    // Pretend the file was generated from an older template that lacked the footer
+    const simulateOlderTemplate = async (rel) => {
+      const current = await fs.readFile(basePath(rel), 'utf-8');
+      const older = current.replace(/\n---\n[\s\S]*$/, '\n');
+      await fs.writeFile(basePath(rel), older);
+      return older;
+    };
+
+    it('should not plan updates when templates are unchanged', async () => {
+      const changes = await upgrade.plan(tempDir, { skipSymlinks: true });
+      expect(changes.templateUpdates).toEqual([]);
+    });
+
+    it('should merge template changes into an edited file', async () => {
+      const older = await simulateOlderTemplate('AGENTS.md');
+      const edited = older.replace('[One-line mission: what this project does and what success looks like]', 'Ships widgets.');
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), edited);
+      // Keep the state checksum in line with the simulated older render
+      const state = await fs.readJson(path.join(tempDir, 'agents/.workspace-agents.json'));
+      state.files['AGENTS.md'].checksum = require('../src/lib/install-state').checksum(older);
+      await fs.writeJson(path.join(tempDir, 'agents/.workspace-agents.json'), state);
+
+      const changes = await upgrade.plan(tempDir, { skipSymlinks: true });
+      const update = changes.templateUpdates.find(u => u.path === 'AGENTS.md');
+      expect(update).toMatchObject({ action: 'merge', conflicts: 0 });
+
+      await upgrade.apply(changes, tempDir);
+
+      const merged = await fs.readFile(path.join(tempDir, 'AGENTS.md'), 'utf-8');
+      expect(merged).toContain('Ships widgets.');
+      expect(merged).toContain('*Generated by workspace-agents');
+    });
+
+    it('should add conflict markers when both sides changed the same lines', async () => {
+      const line = 'This file is a breadcrumb for Claude Code. All agent instructions are in AGENTS.md.';
+      const current = await fs.readFile(basePath('CLAUDE.md'), 'utf-8');
+      await fs.writeFile(basePath('CLAUDE.md'), current.replace(line, 'Old breadcrumb wording.'));
+      await fs.writeFile(path.join(tempDir, 'CLAUDE.md'), current.replace(line, 'Local notes'));
+
+      const changes = await upgrade.plan(tempDir, { skipSymlinks: true });
+      const update = changes.templateUpdates.find(u => u.path === 'CLAUDE.md');
+      expect(update.conflicts).toBe(1);
+
+      await upgrade.apply(changes, tempDir);
+
+      const merged = await fs.readFile(path.join(tempDir, 'CLAUDE.md'), 'utf-8');
+      expect(merged).toContain('<<<<<<< CLAUDE.md (local)');
+      expect(merged).toContain('Local notes');
+      expect(merged).toContain('>>>>>>> workspace-agents v');
+    });
+
+    describe('repeated updates', () => {
+      const write = (rel, content) => fs.outputFile(path.join(tempDir, rel), content);
+      const read = (rel) => fs.readFile(path.join(tempDir, rel), 'utf-8');
+      const update = async () => {
+        const changes = await upgrade.plan(tempDir, { skipSymlinks: true });
+        await upgrade.apply(changes, tempDir);
+        return changes.templateUpdates.find(u => u.path === 'CLAUDE.md');
+      };
+
+      beforeEach(async () => {
+        await write('org/CLAUDE.md.template', '# Claude\n\nFirst\n\nSecond\n\nThird\n');
+        await scaffold.apply(await scaffold.plan(tempDir, { skipSymlinks: true, force: true, templates: 'org' }), tempDir);
+      });
+
+      it('should keep local edits through two template updates in a row', async () => {
+        await write('CLAUDE.md', (await read('CLAUDE.md')).replace('First', 'Our first'));
+
+        await write('org/CLAUDE.md.template', '# Claude\n\nFirst\n\nSecond v2\n\nThird\n');
+        expect(await update()).toMatchObject({ action: 'merge', conflicts: 0 });
+        expect(installState.getFileStatus(installState.load(tempDir), tempDir, 'CLAUDE.md')).toBe('modified');
+
+        await write('org/CLAUDE.md.template', '# Claude\n\nFirst\n\nSecond v2\n\nThird v3\n');
+        expect(await update()).toMatchObject({ action: 'merge', conflicts: 0 });
+        expect(await read('CLAUDE.md')).toBe('# Claude\n\nOur first\n\nSecond v2\n\nThird v3\n');
+      });
+
+      it('should keep conflict markers and local lines when updating again after a conflict', async () => {
+        await write('CLAUDE.md', (await read('CLAUDE.md')).replace('Second', 'Our second'));
+
+        await write('org/CLAUDE.md.template', '# Claude\n\nFirst\n\nSecond v2\n\nThird\n');
+        expect(await update()).toMatchObject({ action: 'merge', conflicts: 1 });
+
+        await write('org/CLAUDE.md.template', '# Claude\n\nFirst\n\nSecond v2\n\nThird v3\n');
+        expect(await update()).toMatchObject({ action: 'merge' });
+        const merged = await read('CLAUDE.md');
+        expect(merged).toContain('<<<<<<< CLAUDE.md (local)');
+        expect(merged).toContain('Our second');
+        expect(merged).toContain('Third v3');
+      });
+    });
+
+    describe('drift detection', () => {
+      // Pretend an untouched file was generated from the older template
+      const simulatePristineOlder = async (rel) => {
+        const older = await simulateOlderTemplate(rel);
+        await fs.writeFile(path.join(tempDir, rel), older);
+        const state = await fs.readJson(path.join(tempDir, installState.STATE_FILE));
+        state.files[rel].checksum = installState.checksum(older);
+        await fs.writeJson(path.join(tempDir, installState.STATE_FILE), state);
+        return older;
+      };
+
+      it('should flag untouched files whose template changed', async () => {
+        await simulatePristineOlder('agents/skills/README.md');
+
+        const analysis = detector.analyzeStructure(tempDir);
+        expect(analysis.templateDrift).toBe(true);
+        expect(analysis.details.templateUpdates).toEqual([
+          expect.objectContaining({ path: 'agents/skills/README.md', action: 'update' })
+        ]);
+        expect(detector.determineAction(tempDir)).toMatchObject({
+          action: 'upgrade',
+          reason: '1 generated file with template updates'
+        });
+      });
+
+      it('should flag customized files as customized, update available', async () => {
+        const older = await simulatePristineOlder('.claude/skills/README.md');
+        await fs.writeFile(path.join(tempDir, '.claude/skills/README.md'), `# Our skills\n${older}`);
+
+        expect(detector.determineAction(tempDir).reason).toBe('1 generated file with template updates, 1 customized');
+      });
+
+      it('should report no drift once updates are applied', async () => {
+        await simulatePristineOlder('agents/skills/README.md');
+
+        await upgrade.apply(await upgrade.plan(tempDir, { skipSymlinks: true }), tempDir);
+
+        expect(detector.analyzeStructure(tempDir).templateDrift).toBe(false);
+      });
+    });
+
+    describe('installs made before the install state', () => {
+      const agentsPath = () => path.join(tempDir, 'AGENTS.md');
+
+      // Drop the state and merge bases, and date the footer back to an older release
+      beforeEach(async () => {
+        await fs.remove(path.join(tempDir, installState.STATE_FILE));
+        await fs.remove(path.join(tempDir, installState.BASE_DIR));
+        const current = await fs.readFile(agentsPath(), 'utf-8');
+        await fs.writeFile(agentsPath(), current.replace(/workspace-agents v\d+\.\d+\.\d+/g, 'workspace-agents v0.0.3'));
+      });
+
+      it('should report generated files as not tracked yet', () => {
+        const analysis = detector.analyzeStructure(tempDir);
+        expect(analysis.untracked).toBe(true);
+        expect(analysis.details.untrackedFiles).toContainEqual(
+          expect.objectContaining({ path: 'AGENTS.md', action: 'track' })
+        );
+        expect(detector.determineAction(tempDir)).toMatchObject({ action: 'upgrade' });
+        expect(detector.determineAction(tempDir).reason).toMatch(/generated files not tracked yet/);
+      });
+
+      it('should record the install state on update and bring untouched files up to date', async () => {
+        await upgrade.apply(await upgrade.plan(tempDir, { skipSymlinks: true }), tempDir);
+
+        const state = installState.load(tempDir);
+        expect(installState.getFileStatus(state, tempDir, 'AGENTS.md')).toBe('pristine');
+        expect(await fs.readFile(agentsPath(), 'utf-8')).not.toContain('v0.0.3');
+        const analysis = detector.analyzeStructure(tempDir);
+        expect(analysis.untracked).toBe(false);
+        expect(analysis.templateDrift).toBe(false);
+      });
+
+      it('should track customized files as modified and keep their edits', async () => {
+        const edited = (await fs.readFile(agentsPath(), 'utf-8')).replace(/^# .*$/m, '# Our project');
+        await fs.writeFile(agentsPath(), edited);
+
+        const changes = await upgrade.plan(tempDir, { skipSymlinks: true });
+        expect(changes.untrackedFiles).toContainEqual(expect.objectContaining({ path: 'AGENTS.md', action: 'customized' }));
+        await upgrade.apply(changes, tempDir);
+
+        const merged = await fs.readFile(agentsPath(), 'utf-8');
+        expect(merged).toContain('# Our project');
+        expect(merged).not.toContain('v0.0.3');
+        expect(installState.getFileStatus(installState.load(tempDir), tempDir, 'AGENTS.md')).toBe('modified');
+      });
+    });
   });
 });
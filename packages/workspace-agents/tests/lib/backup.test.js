@@ -0,0 +1,127 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const backup = require('../../src/lib/backup');
+const restore = require('../../src/lib/restore');
+const transaction = require('../../src/lib/transaction');
+const scaffold = require('../../src/lib/scaffold');
+const installState = require('../../src/lib/install-state');
+
+describe('backup', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-backup-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const read = (rel) => fs.readFileSync(path.join(tempDir, rel), 'utf-8');
+  const exists = (rel) => fs.existsSync(path.join(tempDir, rel));
+  const snapshotFile = (id, rel) => read(`${backup.BACKUP_DIR}/${id}/${rel}`);
+
+  describe('transaction commit', () => {
+    it('should save the original content of overwritten and removed paths', async () => {
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), 'original');
+      await fs.outputFile(path.join(tempDir, 'agents/skills/demo/SKILL.md'), 'custom');
+
+      const { backup: id } = await transaction.run(tempDir, async (tx) => {
+        tx.writeFile('AGENTS.md', 'first');
+        tx.writeFile('AGENTS.md', 'second');
+        tx.remove('agents/skills/demo');
+        tx.writeFile('agents/new.md', 'new');
+      });
+
+      expect(snapshotFile(id, 'AGENTS.md')).toBe('original');
+      expect(snapshotFile(id, 'agents/skills/demo/SKILL.md')).toBe('custom');
+      expect(backup.list(tempDir)).toEqual([{ id, files: ['AGENTS.md', 'agents/skills/demo/SKILL.md'] }]);
+      expect(read(`${backup.BACKUP_DIR}/.gitignore`)).toBe('*\n');
+    });
+
+    it('should not save anything when only new files, .gitignore lines or tool state changed', async () => {
+      await fs.writeFile(path.join(tempDir, '.gitignore'), 'node_modules/\n');
+      await fs.outputFile(path.join(tempDir, installState.STATE_FILE), '{}');
+
+      const { backup: id } = await transaction.run(tempDir, async (tx) => {
+        tx.writeFile('AGENTS.md', 'new');
+        tx.writeFile('AGENTS.md', 'newer');
+        tx.appendGitignore(['agents/plans/local/']);
+        tx.writeFile(installState.STATE_FILE, '{"files":{}}');
+      });
+
+      expect(id).toBeNull();
+      expect(exists(backup.BACKUP_DIR)).toBe(false);
+    });
+
+    it('should not save anything when disabled or rolled back', async () => {
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), 'original');
+
+      const { backup: id } = await transaction.run(tempDir, async (tx) => {
+        tx.remove('AGENTS.md');
+      }, { backup: false });
+      expect(id).toBeNull();
+
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), 'original');
+      await expect(transaction.run(tempDir, async (tx) => {
+        tx.writeFile('AGENTS.md', 'changed');
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      expect(exists(backup.BACKUP_DIR)).toBe(false);
+    });
+  });
+
+  describe('scaffold.apply', () => {
+    it('should back up files replaced with --force', async () => {
+      await fs.writeFile(path.join(tempDir, 'CLAUDE.md'), '# Our notes\n');
+
+      const changes = await scaffold.plan(tempDir, { force: true, skipSymlinks: true });
+      const { backup: id } = await scaffold.apply(changes, tempDir);
+
+      expect(read('CLAUDE.md')).not.toBe('# Our notes\n');
+      expect(backup.list(tempDir)).toEqual([{ id, files: ['CLAUDE.md'] }]);
+    });
+  });
+
+  describe('restore', () => {
+    it('should restore the newest snapshot by default', async () => {
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), 'v1');
+      await transaction.run(tempDir, async (tx) => tx.writeFile('AGENTS.md', 'v2'));
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const { backup: newest } = await transaction.run(tempDir, async (tx) => tx.remove('AGENTS.md'));
+
+      const changes = restore.plan(tempDir);
+      expect(changes).toEqual({
+        type: 'restore',
+        backup: newest,
+        files: [{ path: 'AGENTS.md', action: 'create' }]
+      });
+
+      const replaced = await restore.apply(changes, tempDir);
+      expect(read('AGENTS.md')).toBe('v2');
+      expect(replaced).toBeNull();
+    });
+
+    it('should restore a chosen snapshot and back up what it replaces', async () => {
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), 'v1');
+      const { backup: first } = await transaction.run(tempDir, async (tx) => tx.writeFile('AGENTS.md', 'v2'));
+
+      const changes = restore.plan(tempDir, first);
+      expect(changes.files).toEqual([{ path: 'AGENTS.md', action: 'overwrite' }]);
+
+      const replaced = await restore.apply(changes, tempDir);
+      expect(read('AGENTS.md')).toBe('v1');
+      expect(snapshotFile(replaced, 'AGENTS.md')).toBe('v2');
+    });
+
+    it('should reject unknown snapshots', () => {
+      expect(() => restore.plan(tempDir)).toThrow('No backups found');
+
+      fs.outputFileSync(path.join(tempDir, backup.BACKUP_DIR, 'snap/AGENTS.md'), 'x');
+      expect(() => restore.plan(tempDir, 'missing')).toThrow('Backup not found: missing (available: snap)');
+    });
+  });
+});
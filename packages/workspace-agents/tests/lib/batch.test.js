@@ -0,0 +1,95 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const batch = require('../../src/lib/batch');
+
+describe('batch', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-batch-${Date.now()}`);
+    for (const repo of ['fresh', 'other']) {
+      await fs.outputJson(path.join(tempDir, repo, 'package.json'), { name: repo });
+    }
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('readPathsFile', () => {
+    it('should skip blanks and comments and resolve against the file', async () => {
+      const file = path.join(tempDir, 'repos.txt');
+      await fs.writeFile(file, '# rollout wave 1\nfresh\n\n  other  # web team\n/abs/repo\n');
+
+      expect(batch.readPathsFile(file)).toEqual([
+        path.join(tempDir, 'fresh'),
+        path.join(tempDir, 'other'),
+        '/abs/repo'
+      ]);
+    });
+
+    it('should keep "#" inside a path', async () => {
+      const file = path.join(tempDir, 'repos.txt');
+      await fs.writeFile(file, 'repos/c#-tools\nrepos/f# # F# services\n\t# indented comment\n');
+
+      expect(batch.readPathsFile(file)).toEqual([
+        path.join(tempDir, 'repos/c#-tools'),
+        path.join(tempDir, 'repos/f#')
+      ]);
+    });
+  });
+
+  describe('mapLimit', () => {
+    it('should keep order and never exceed the limit', async () => {
+      let running = 0;
+      let peak = 0;
+      const results = await batch.mapLimit([30, 10, 20, 5], 2, async (ms) => {
+        peak = Math.max(peak, ++running);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        running--;
+        return ms * 2;
+      });
+
+      expect(results).toEqual([60, 20, 40, 10]);
+      expect(peak).toBe(2);
+    });
+  });
+
+  describe('planAll / applyAll', () => {
+    it('should carry on past failing repositories', async () => {
+      const planned = await batch.planAll(['fresh', 'missing', 'other'], { cwd: tempDir });
+
+      expect(planned.map(r => r.status)).toEqual(['planned', 'failed', 'planned']);
+      expect(planned[0]).toMatchObject({ repo: 'fresh', action: 'scaffold', error: null });
+      expect(planned[0].changes).toBeGreaterThan(0);
+      expect(planned[1].error).toContain('Not a directory');
+      expect(fs.existsSync(path.join(tempDir, 'fresh/AGENTS.md'))).toBe(false);
+
+      // A repository that changed since planning fails on its own
+      await fs.writeFile(path.join(tempDir, 'other/AGENTS.md'), '# Ours\n');
+
+      const applied = await batch.applyAll(planned);
+      expect(applied.map(r => r.status)).toEqual(['applied', 'failed', 'failed']);
+      expect(applied[2].error).toContain('Plan is out of date');
+      expect(fs.existsSync(path.join(tempDir, 'fresh/AGENTS.md'))).toBe(true);
+      expect(batch.hasFailures(applied)).toBe(true);
+
+      const replanned = await batch.planAll(['fresh'], { cwd: tempDir });
+      expect(replanned[0]).toMatchObject({ action: 'none', status: 'up-to-date', changes: 0 });
+    });
+
+    it('should plan and apply in child processes with a concurrency above 1', async () => {
+      const planned = await batch.planAll(['fresh', 'missing', 'other'], { cwd: tempDir, concurrency: 2 });
+      expect(planned.map(r => r.status)).toEqual(['planned', 'failed', 'planned']);
+      expect(planned[1]).toMatchObject({ repo: 'missing', action: null, changes: 0 });
+      expect(planned[1].error).toContain('Not a directory');
+
+      const applied = await batch.applyAll(planned, { concurrency: 2 });
+      expect(applied.map(r => r.status)).toEqual(['applied', 'failed', 'applied']);
+      expect(applied[0].backup).toBeNull();
+      expect(fs.existsSync(path.join(tempDir, 'fresh/AGENTS.md'))).toBe(true);
+      expect(fs.existsSync(path.join(tempDir, 'other/AGENTS.md'))).toBe(true);
+    });
+  });
+});
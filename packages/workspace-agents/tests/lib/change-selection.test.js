@@ -0,0 +1,107 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const changeSelection = require('../../src/lib/change-selection');
+const { parseToggles } = require('../../src/lib/prompts');
+const upgrade = require('../../src/lib/upgrade');
+
+describe('change-selection', () => {
+  const changes = {
+    type: 'upgrade',
+    moves: [{ from: 'agents/tools', to: 'agents/skills' }],
+    modifications: [{ path: 'README.md', diff: '' }],
+    creates: [
+      { path: '.cursor/', isDir: true },
+      { path: '.cursor/rules/project.mdc', template: 'project.mdc.template' },
+      { path: '.github/', isDir: true },
+      { path: '.github/copilot-instructions.md', template: 'copilot-instructions.md.template' }
+    ],
+    newFiles: [],
+    skillsToCopy: ['skill-creator'],
+    skillsToUpdate: [],
+    symlinks: [],
+    symlinkFixes: [],
+    templateUpdates: [],
+    legacy: [{ from: 'DEVELOPMENT.md', to: 'agents/legacy/DEVELOPMENT.md' }]
+  };
+
+  describe('listItems', () => {
+    it('should list each planned item once, skipping directory entries', () => {
+      const ids = changeSelection.listItems(changes).map(i => i.id);
+      expect(ids).toEqual([
+        'moves:0',
+        'modifications:0',
+        'creates:1',
+        'creates:3',
+        'skillsToCopy:0',
+        'legacy:0'
+      ]);
+    });
+
+    it('should label items like the plan output', () => {
+      const [move] = changeSelection.listItems(changes);
+      expect(move.label).toContain('MOVE');
+      expect(move.label).toContain('agents/tools');
+    });
+  });
+
+  describe('selectChanges', () => {
+    it('should keep only selected items', () => {
+      const result = changeSelection.selectChanges(changes, ['moves:0', 'skillsToCopy:0']);
+
+      expect(result.moves).toHaveLength(1);
+      expect(result.modifications).toEqual([]);
+      expect(result.legacy).toEqual([]);
+      expect(result.skillsToCopy).toEqual(['skill-creator']);
+      expect(result.creates).toEqual([]);
+    });
+
+    it('should keep directory creates needed by selected files', () => {
+      const result = changeSelection.selectChanges(changes, ['creates:3']);
+
+      expect(result.creates.map(c => c.path)).toEqual(['.github/', '.github/copilot-instructions.md']);
+    });
+
+    it('should not modify the original changes', () => {
+      changeSelection.selectChanges(changes, []);
+      expect(changes.moves).toHaveLength(1);
+    });
+  });
+
+  describe('applying a selection', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = path.join(os.tmpdir(), `workspace-agents-select-${Date.now()}`);
+      await fs.outputFile(path.join(tempDir, 'agents/tools/helper.md'), 'helper');
+      await fs.writeFile(path.join(tempDir, 'README.md'), 'See agents/tools/ for info');
+    });
+
+    afterEach(async () => {
+      await fs.remove(tempDir);
+    });
+
+    it('should apply only the selected subset', async () => {
+      const planned = await upgrade.plan(tempDir, { skipSymlinks: true });
+      const moveIds = changeSelection.listItems(planned).filter(i => i.key === 'moves').map(i => i.id);
+
+      await upgrade.apply(changeSelection.selectChanges(planned, moveIds), tempDir);
+
+      expect(fs.existsSync(path.join(tempDir, 'agents/skills/helper.md'))).toBe(true);
+      expect(fs.readFileSync(path.join(tempDir, 'README.md'), 'utf-8')).toBe('See agents/tools/ for info');
+      expect(fs.existsSync(path.join(tempDir, '.cursor'))).toBe(false);
+    });
+  });
+});
+
+describe('prompts', () => {
+  describe('parseToggles', () => {
+    it('should parse numbers and ranges into zero-based indexes', () => {
+      expect(parseToggles('1 3,5-6', 6)).toEqual([0, 2, 4, 5]);
+    });
+
+    it('should ignore out-of-range numbers', () => {
+      expect(parseToggles('0 2 9', 3)).toEqual([1]);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const config = require('../../src/lib/config');
+const scaffold = require('../../src/lib/scaffold');
+const upgrade = require('../../src/lib/upgrade');
+const detector = require('../../src/lib/project-detector');
+const templateEngine = require('../../src/lib/template-engine');
+const { InvalidConfigError } = require('../../src/lib/errors');
+
+describe('config', () => {
+  let tempDir;
+
+  const writeConfig = (settings) => fs.outputJsonSync(path.join(tempDir, '.workspace-agentsrc.json'), settings);
+  const exists = (rel) => fs.existsSync(path.join(tempDir, rel));
+  const read = (rel) => fs.readFileSync(path.join(tempDir, rel), 'utf-8');
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-config-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('load', () => {
+    it('should return defaults without a configuration file', () => {
+      expect(config.load(tempDir)).toEqual({
+        file: null,
+        vendors: ['claude', 'cursor', 'copilot', 'gemini'],
+        skills: null,
+        templates: null,
+        presets: null,
+        variables: {},
+        gitignore: [],
+        ignore: [],
+        defaults: {}
+      });
+    });
+
+    it('should read .workspace-agentsrc.json and stringify variables', () => {
+      writeConfig({ vendors: ['claude'], variables: { TEAM: 'Platform', PORT: 8080 } });
+
+      const settings = config.load(tempDir);
+      expect(settings.file).toBe('.workspace-agentsrc.json');
+      expect(settings.vendors).toEqual(['claude']);
+      expect(settings.variables).toEqual({ TEAM: 'Platform', PORT: '8080' });
+    });
+
+    it('should read workspace-agents.config.js', () => {
+      fs.writeFileSync(path.join(tempDir, 'workspace-agents.config.js'),
+        "module.exports = { defaults: { skipSymlinks: true } };\n");
+
+      expect(config.load(tempDir)).toMatchObject({
+        file: 'workspace-agents.config.js',
+        defaults: { skipSymlinks: true }
+      });
+    });
+
+    it('should read the workspace-agents key in package.json when there is no config file', () => {
+      fs.outputJsonSync(path.join(tempDir, 'package.json'), { name: 'app', 'workspace-agents': { ignore: ['README.md'] } });
+      expect(config.load(tempDir)).toMatchObject({ file: 'package.json', ignore: ['README.md'] });
+
+      writeConfig({});
+      expect(config.load(tempDir)).toMatchObject({ file: '.workspace-agentsrc.json', ignore: [] });
+    });
+
+    it.each([
+      [{ vendor: ['claude'] }, 'vendor', /unknown key "vendor"/],
+      [{ vendors: ['claude', 'zed'] }, 'vendors', /unknown vendors zed/],
+      [{ skills: 'skill-creator' }, 'skills', /must be an array of strings/],
+      [{ gitignore: '.env' }, 'gitignore', /must be an array of strings/],
+      [{ variables: { TEAM: ['a'] } }, 'variables', /variable TEAM must be/],
+      [{ defaults: { force: true } }, 'defaults', /unknown default "force"/],
+      [{ defaults: { yes: 'true' } }, 'defaults', /default yes must be a boolean/]
+    ])('should reject %j', (settings, key, message) => {
+      writeConfig(settings);
+
+      let error;
+      try {
+        config.load(tempDir);
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(InvalidConfigError);
+      expect(error).toMatchObject({ code: 'INVALID_CONFIG', file: '.workspace-agentsrc.json', key });
+      expect(error.message).toMatch(message);
+    });
+
+    it('should reject unparseable JSON', () => {
+      fs.writeFileSync(path.join(tempDir, '.workspace-agentsrc.json'), '{ vendors: }');
+      expect(() => config.load(tempDir)).toThrow(/Could not load \.workspace-agentsrc\.json/);
+    });
+  });
+
+  describe('isIgnored', () => {
+    const settings = { ignore: ['README.md', '.cursor', 'agents/personas/*.md', '**/AGENTS.md'] };
+
+    it('should match exact paths and everything below a directory', () => {
+      expect(config.isIgnored(settings, 'README.md')).toBe(true);
+      expect(config.isIgnored(settings, 'agents/README.md')).toBe(false);
+      expect(config.isIgnored(settings, '.cursor/rules/project.mdc')).toBe(true);
+    });
+
+    it('should match * within a segment and ** across segments', () => {
+      expect(config.isIgnored(settings, 'agents/personas/README.md')).toBe(true);
+      expect(config.isIgnored(settings, 'agents/personas/x/README.md')).toBe(false);
+      expect(config.isIgnored(settings, 'AGENTS.md')).toBe(true);
+      expect(config.isIgnored(settings, 'packages/core/AGENTS.md')).toBe(true);
+    });
+  });
+
+  describe('mergeManifest', () => {
+    const manifest = templateEngine.getManifest();
+
+    it('should drop breadcrumbs of vendors not listed', () => {
+      const merged = config.mergeManifest(manifest, { ...config.load(tempDir), vendors: ['gemini'] });
+      const dests = merged.files.map(f => f.dest);
+
+      expect(dests).toContain('GEMINI.md');
+      expect(dests).toContain('AGENTS.md');
+      expect(dests).not.toContain('CLAUDE.md');
+      expect(dests).not.toContain('.cursor/rules/project.mdc');
+      expect(dests).not.toContain('.github/copilot-instructions.md');
+      expect(merged.directories).not.toContain('.claude/skills');
+      expect(merged.symlinks).toEqual([]);
+    });
+
+    it('should expect no symlinks when they are skipped by default', () => {
+      const merged = config.mergeManifest(manifest, { ...config.load(tempDir), defaults: { skipSymlinks: true } });
+      expect(merged.symlinks).toEqual([]);
+    });
+
+    it('should install only the configured skills and append gitignore lines', () => {
+      const merged = config.mergeManifest(manifest, { ...config.load(tempDir), skills: [], gitignore: ['.env.local'] });
+
+      expect(merged.skillsToCopy).toEqual([]);
+      expect(merged.symlinks).toEqual([]);
+      expect(merged.gitignoreAppend).toEqual([...manifest.gitignoreAppend, '.env.local']);
+    });
+
+    it('should keep only configured skills the manifest provides', () => {
+      const layered = { ...manifest, skillsToCopy: ['skill-creator', 'acme-review'] };
+      const merged = config.mergeManifest(layered, { ...config.load(tempDir), skills: ['acme-review'] });
+      expect(merged.skillsToCopy).toEqual(['acme-review']);
+
+      writeConfig({ skills: ['no-such-skill'] });
+      let error;
+      try {
+        config.mergeManifest(layered, config.load(tempDir));
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(InvalidConfigError);
+      expect(error).toMatchObject({ file: '.workspace-agentsrc.json', key: 'skills' });
+      expect(error.message).toMatch(/unknown skills no-such-skill \(expected skill-creator, acme-review\)/);
+    });
+  });
+
+  describe('applyDefaults', () => {
+    it('should fill in options that were not given', () => {
+      const settings = { defaults: { yes: true, skipSymlinks: true } };
+      expect(config.applyDefaults({ skipSymlinks: false, force: undefined }, settings))
+        .toEqual({ yes: true, skipSymlinks: false });
+    });
+  });
+
+  describe('scaffold and upgrade', () => {
+    it('should scaffold only configured vendors with configured variables', async () => {
+      writeConfig({ vendors: ['claude'], variables: { PROJECT_NAME: 'Acme API' } });
+
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+
+      expect(exists('CLAUDE.md')).toBe(true);
+      expect(exists('GEMINI.md')).toBe(false);
+      expect(exists('.cursor')).toBe(false);
+      expect(read('AGENTS.md')).toContain('# Acme API');
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+
+    it('should show ignored files as skipped and never write them', async () => {
+      writeConfig({ ignore: ['GEMINI.md', 'agents/personas'] });
+
+      const changes = await scaffold.plan(tempDir, {});
+      expect(changes.files).toContainEqual({ action: 'skip', path: 'GEMINI.md', reason: 'ignored in config' });
+      expect(changes.directories).not.toContain('agents/personas');
+
+      await scaffold.apply(changes, tempDir);
+      expect(exists('GEMINI.md')).toBe(false);
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+
+    it('should add gitignore lines configured after install on upgrade', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+      writeConfig({ gitignore: ['.env.local'] });
+
+      expect(detector.determineAction(tempDir).reason).toMatch(/1 configured \.gitignore entry missing/);
+
+      const changes = await upgrade.plan(tempDir, {});
+      expect(changes.gitignore).toEqual(['.env.local']);
+
+      await upgrade.apply(changes, tempDir);
+      expect(read('.gitignore')).toContain('.env.local');
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+
+    it('should re-render generated files when configured variables change', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+      writeConfig({ variables: { PROJECT_NAME: 'Renamed' } });
+
+      const changes = await upgrade.plan(tempDir, {});
+      expect(changes.templateUpdates.map(u => u.path)).toContain('AGENTS.md');
+
+      await upgrade.apply(changes, tempDir);
+      expect(read('AGENTS.md')).toContain('# Renamed');
+    });
+
+    it('should leave ignored generated files alone on upgrade', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+      writeConfig({ variables: { PROJECT_NAME: 'Renamed' }, ignore: ['AGENTS.md'] });
+
+      const changes = await upgrade.plan(tempDir, {});
+      expect(changes.templateUpdates.map(u => u.path)).not.toContain('AGENTS.md');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const scaffold = require('../../src/lib/scaffold');
+const doctor = require('../../src/lib/doctor');
+
+describe('doctor', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-doctor-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+    await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'test-project' });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const scaffoldProject = async () => {
+    const changes = await scaffold.plan(tempDir, {});
+    await scaffold.apply(changes, tempDir);
+  };
+
+  const find = (checks, id) => checks.find(c => c.id === id);
+
+  it('should fail when no framework is installed', () => {
+    const checks = doctor.runChecks(tempDir);
+    expect(checks).toHaveLength(1);
+    expect(checks[0].status).toBe('fail');
+    expect(doctor.hasFailures(checks)).toBe(true);
+  });
+
+  it('should pass on a freshly scaffolded project', async () => {
+    await scaffoldProject();
+
+    const checks = doctor.runChecks(tempDir);
+
+    expect(find(checks, 'old-structure').status).toBe('pass');
+    expect(find(checks, 'skills').status).toBe('pass');
+    expect(find(checks, 'symlinks').status).toBe('pass');
+    expect(find(checks, 'files').status).toBe('pass');
+    expect(doctor.hasFailures(checks)).toBe(false);
+  });
+
+  it('should report an invalid configuration file and skip the other checks', async () => {
+    await scaffoldProject();
+    await fs.writeJson(path.join(tempDir, '.workspace-agentsrc.json'), { vendors: ['zed'] });
+
+    const checks = doctor.runChecks(tempDir);
+
+    expect(checks.map(c => c.id)).toEqual(['installed', 'config']);
+    expect(find(checks, 'config').status).toBe('fail');
+    expect(find(checks, 'config').message).toContain('unknown vendors zed');
+  });
+
+  it('should not expect files of vendors left out by the configuration', async () => {
+    await fs.writeJson(path.join(tempDir, '.workspace-agentsrc.json'), { vendors: ['gemini'] });
+    await scaffoldProject();
+
+    const checks = doctor.runChecks(tempDir);
+
+    expect(find(checks, 'config').message).toBe('Using .workspace-agentsrc.json');
+    expect(find(checks, 'symlinks').status).toBe('pass');
+    expect(find(checks, 'files').status).toBe('pass');
+  });
+
+  it('should fail when a skill symlink is deleted', async () => {
+    await scaffoldProject();
+    await fs.remove(path.join(tempDir, '.claude/skills/skill-creator'));
+
+    const checks = doctor.runChecks(tempDir);
+
+    expect(find(checks, 'symlinks').status).toBe('fail');
+    expect(find(checks, 'symlinks').details[0]).toContain('.claude/skills/skill-creator');
+    expect(doctor.hasFailures(checks)).toBe(true);
+  });
+
+  it('should fail when a template file is deleted', async () => {
+    await scaffoldProject();
+    await fs.remove(path.join(tempDir, 'CLAUDE.md'));
+
+    const checks = doctor.runChecks(tempDir);
+
+    expect(find(checks, 'files').status).toBe('fail');
+    expect(find(checks, 'files').details).toContain('CLAUDE.md');
+  });
+
+  it('should warn when a customized file has a template update', async () => {
+    await scaffoldProject();
+    // Pretend CLAUDE.md was generated from an older template, then edited
+    const base = path.join(tempDir, 'agents/.workspace-agents/base/CLAUDE.md');
+    const older = (await fs.readFile(base, 'utf-8')).replace('breadcrumb', 'pointer');
+    await fs.writeFile(base, older);
+    await fs.writeFile(path.join(tempDir, 'CLAUDE.md'), `${older}\nLocal notes\n`);
+
+    const checks = doctor.runChecks(tempDir);
+
+    expect(find(checks, 'files').status).toBe('warn');
+    expect(find(checks, 'files').details).toEqual(['CLAUDE.md (customized, update available)']);
+  });
+
+  it('should fail on old structure', async () => {
+    await fs.ensureDir(path.join(tempDir, 'agents/tools'));
+
+    const checks = doctor.runChecks(tempDir);
+
+    expect(find(checks, 'old-structure').status).toBe('fail');
+    expect(find(checks, 'old-structure').details).toContain('agents/tools');
+  });
+});
@@ -0,0 +1,78 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const installState = require('../../src/lib/install-state');
+const scaffold = require('../../src/lib/scaffold');
+const pkg = require('../../package.json');
+
+describe('install-state', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-state-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+    await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'test-project' });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const scaffoldProject = async () => {
+    const changes = await scaffold.plan(tempDir, {});
+    await scaffold.apply(changes, tempDir);
+  };
+
+  describe('checksum', () => {
+    it('should produce stable sha256 checksums', () => {
+      expect(installState.checksum('abc')).toBe(installState.checksum('abc'));
+      expect(installState.checksum('abc')).toMatch(/^sha256:[0-9a-f]{64}$/);
+      expect(installState.checksum('abc')).not.toBe(installState.checksum('abd'));
+    });
+  });
+
+  describe('load', () => {
+    it('should return null when no state file exists', () => {
+      expect(installState.load(tempDir)).toBeNull();
+    });
+  });
+
+  describe('after scaffold.apply', () => {
+    it('should record generated files with template, version and checksum', async () => {
+      await scaffoldProject();
+
+      const state = installState.load(tempDir);
+      const agentsMd = state.files['AGENTS.md'];
+
+      expect(state.frameworkVersion).toBe(pkg.version);
+      expect(agentsMd.template).toBe('AGENTS.md.template');
+      expect(agentsMd.frameworkVersion).toBe(pkg.version);
+      expect(agentsMd.checksum).toBe(installState.hashFile(path.join(tempDir, 'AGENTS.md')));
+    });
+
+    it('should record symlinks, skills and gitignore lines', async () => {
+      await scaffoldProject();
+
+      const state = installState.load(tempDir);
+
+      expect(state.symlinks['.claude/skills/skill-creator'].target).toBe('../../agents/skills/skill-creator');
+      expect(state.skills['skill-creator'].files['SKILL.md']).toMatch(/^sha256:/);
+      expect(state.gitignore).toContain('agents/plans/local/');
+    });
+  });
+
+  describe('getFileStatus', () => {
+    it('should tell pristine, modified, missing and untracked files apart', async () => {
+      await scaffoldProject();
+      await fs.appendFile(path.join(tempDir, 'AGENTS.md'), '\nCustom notes\n');
+      await fs.remove(path.join(tempDir, 'GEMINI.md'));
+
+      const state = installState.load(tempDir);
+
+      expect(installState.getFileStatus(state, tempDir, 'CLAUDE.md')).toBe('pristine');
+      expect(installState.getFileStatus(state, tempDir, 'AGENTS.md')).toBe('modified');
+      expect(installState.getFileStatus(state, tempDir, 'GEMINI.md')).toBe('missing');
+      expect(installState.getFileStatus(state, tempDir, 'package.json')).toBe('untracked');
+    });
+  });
+});
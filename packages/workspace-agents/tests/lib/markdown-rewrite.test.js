@@ -0,0 +1,69 @@
+const markdownRewrite = require('../../src/lib/markdown-rewrite');
+const skillsLayout = require('../../src/migrations/0.0.2-skills-layout');
+
+describe('markdown-rewrite', () => {
+  describe('splitScopes', () => {
+    it('should separate link targets, code and prose', () => {
+      const content = 'See [docs](agents/tools/) and `tools/`.\n';
+      expect(markdownRewrite.splitScopes(content)).toEqual([
+        { scope: 'prose', text: 'See [docs](' },
+        { scope: 'links', text: 'agents/tools/' },
+        { scope: 'prose', text: ') and ' },
+        { scope: 'code', text: '`tools/`' },
+        { scope: 'prose', text: '.\n' }
+      ]);
+    });
+
+    it('should treat fenced blocks and reference definitions by scope', () => {
+      const content = 'Intro\n\n```bash\nls tools/\n```\n\n[ref]: ./tools/x.md\n';
+      const scopes = markdownRewrite.splitScopes(content);
+
+      expect(scopes.find(s => s.scope === 'code').text).toBe('```bash\nls tools/\n```\n');
+      expect(scopes.find(s => s.scope === 'links').text).toBe('./tools/x.md');
+      expect(scopes.map(s => s.text).join('')).toBe(content);
+    });
+  });
+
+  describe('rewrite', () => {
+    const rules = [
+      { from: 'agents/tools', to: 'agents/skills', scopes: ['links', 'code', 'prose'] },
+      { from: 'tools/', to: 'skills/', scopes: ['code'] }
+    ];
+
+    it('should only rewrite rules within their scopes', () => {
+      const { content } = markdownRewrite.rewrite('Use `tools/` not tools/.\n', rules);
+      expect(content).toBe('Use `skills/` not tools/.\n');
+    });
+
+    it('should not rewrite paths that merely contain the old name', () => {
+      const content = 'Keep devtools/, src/tools/ and `src/tools/`. Also agents/toolset.\n';
+      expect(markdownRewrite.rewrite(content, rules)).toEqual({ content, updates: [] });
+    });
+
+    it('should keep relative prefixes and count updates', () => {
+      const result = markdownRewrite.rewrite('[a](../agents/tools/a.md) and ./agents/tools\n', rules);
+
+      expect(result.content).toBe('[a](../agents/skills/a.md) and ./agents/skills\n');
+      expect(result.updates).toEqual([{ from: 'agents/tools', to: 'agents/skills', count: 2 }]);
+    });
+
+    it('should reject unknown scopes', () => {
+      expect(() => markdownRewrite.rewrite('', [{ from: 'a', to: 'b', scopes: ['headings'] }]))
+        .toThrow('Unknown rewrite scope: headings');
+    });
+  });
+
+  describe('terminology migration', () => {
+    it('should leave unrelated tools/ mentions in a README alone', () => {
+      const content = '# App\n\nBuilt with devtools/ and src/tools/.\nFramework skills live in agents/tools/.\n';
+      const { content: updated } = markdownRewrite.rewrite(content, skillsLayout.TERMINOLOGY);
+
+      expect(updated).toBe('# App\n\nBuilt with devtools/ and src/tools/.\nFramework skills live in agents/skills/.\n');
+    });
+
+    it('should leave the project\'s own tools/ in code alone', () => {
+      const content = '# App\n\n```bash\nls tools/\n./tools/build.sh\n```\n\nRun `tools/lint.sh`.\n';
+      expect(markdownRewrite.rewrite(content, skillsLayout.TERMINOLOGY)).toEqual({ content, updates: [] });
+    });
+  });
+});
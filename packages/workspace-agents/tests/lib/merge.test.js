@@ -0,0 +1,99 @@
+const { merge3 } = require('../../src/lib/merge');
+const { diffLines, unifiedDiff } = require('../../src/lib/diff');
+
+describe('diff', () => {
+  describe('diffLines', () => {
+    it('should report inserted and deleted lines', () => {
+      const ops = diffLines('a\nb\nc\n', 'a\nc\nd\n');
+      expect(ops).toEqual([
+        { type: 'equal', line: 'a' },
+        { type: 'delete', line: 'b' },
+        { type: 'equal', line: 'c' },
+        { type: 'insert', line: 'd' }
+      ]);
+    });
+
+    it('should handle empty input', () => {
+      expect(diffLines('', 'a\n')).toEqual([{ type: 'insert', line: 'a' }]);
+    });
+  });
+
+  describe('unifiedDiff', () => {
+    const lines = (n) => Array.from({ length: n }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+    it('should produce hunks with line numbers and context', () => {
+      const diff = unifiedDiff(lines(12), lines(12).replace('line 3', 'LINE 3'), {
+        oldLabel: 'a/README.md',
+        newLabel: 'b/README.md'
+      });
+
+      expect(diff.split('\n')).toEqual([
+        '--- a/README.md',
+        '+++ b/README.md',
+        '@@ -1,6 +1,6 @@',
+        ' line 1',
+        ' line 2',
+        '-line 3',
+        '+LINE 3',
+        ' line 4',
+        ' line 5',
+        ' line 6'
+      ]);
+    });
+
+    it('should split distant changes into separate hunks', () => {
+      const updated = lines(20).replace('line 2\n', 'two\n').replace('line 18\n', 'eighteen\n');
+      const hunks = unifiedDiff(lines(20), updated).split('\n').filter(l => l.startsWith('@@'));
+      expect(hunks).toEqual(['@@ -1,5 +1,5 @@', '@@ -15,6 +15,6 @@']);
+    });
+
+    it('should return an empty string for identical texts', () => {
+      expect(unifiedDiff('a\n', 'a\n')).toBe('');
+    });
+
+    it('should show a new file as a single insertion hunk', () => {
+      expect(unifiedDiff('', 'a\nb\n').split('\n')[2]).toBe('@@ -0,0 +1,2 @@');
+    });
+  });
+});
+
+describe('merge', () => {
+  describe('merge3', () => {
+    const base = '# Title\n\nIntro\n\n## Setup\n\nnpm install\n\n---\nfooter v1\n';
+
+    it('should keep local edits and take template changes in other regions', () => {
+      const ours = base.replace('Intro', 'Our custom intro');
+      const theirs = base.replace('footer v1', 'footer v2');
+
+      const result = merge3(base, ours, theirs);
+
+      expect(result.conflicts).toBe(0);
+      expect(result.content).toBe(base.replace('Intro', 'Our custom intro').replace('footer v1', 'footer v2'));
+    });
+
+    it('should take one side when the other is unchanged', () => {
+      const theirs = base + 'new section\n';
+      expect(merge3(base, base, theirs).content).toBe(theirs);
+      expect(merge3(base, theirs, base).content).toBe(theirs);
+    });
+
+    it('should accept identical changes on both sides', () => {
+      const changed = base.replace('npm install', 'pnpm install');
+      const result = merge3(base, changed, changed);
+      expect(result.conflicts).toBe(0);
+      expect(result.content).toBe(changed);
+    });
+
+    it('should emit conflict markers when both sides change the same lines', () => {
+      const ours = base.replace('npm install', 'yarn');
+      const theirs = base.replace('npm install', 'pnpm install');
+
+      const result = merge3(base, ours, theirs, { oursLabel: 'local', theirsLabel: 'template' });
+
+      expect(result.conflicts).toBe(1);
+      expect(result.content).toContain('<<<<<<< local\nyarn\n=======\npnpm install\n>>>>>>> template\n');
+      expect(result.content).toContain('## Setup');
+      expect(result.content).toContain('footer v1');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const migrationRunner = require('../../src/lib/migration-runner');
+const installState = require('../../src/lib/install-state');
+const transaction = require('../../src/lib/transaction');
+const upgrade = require('../../src/lib/upgrade');
+
+/**
+ * Build a migration that moves one directory
+ */
+const moveMigration = (id, from, to, dir) => ({
+  id,
+  from,
+  to,
+  description: `move ${dir}`,
+  plan: (root) => (fs.existsSync(path.join(root, dir)) ? { moves: [{ from: dir, to: `${dir}-moved` }] } : {}),
+  apply: (tx, root, changes) => changes.moves.forEach(m => tx.move(m.from, m.to))
+});
+
+describe('migration-runner', () => {
+  let tempDir;
+
+  const registry = [
+    moveMigration('0.0.2-a', '0.0.1', '0.0.2', 'a'),
+    moveMigration('0.0.3-b', '0.0.2', '0.0.3', 'b'),
+    moveMigration('9.0.0-future', '8.0.0', '9.0.0', 'c')
+  ];
+
+  const emptyChanges = () => ({ type: 'upgrade', moves: [], modifications: [], legacy: [] });
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-migrate-${Date.now()}`);
+    await fs.ensureDir(path.join(tempDir, 'a'));
+    await fs.ensureDir(path.join(tempDir, 'b'));
+    await fs.ensureDir(path.join(tempDir, 'c'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('getInstalledVersion', () => {
+    it('should prefer the version an interrupted upgrade started from', () => {
+      const state = { frameworkVersion: '0.0.4', migrating: { from: '0.0.1' } };
+      expect(migrationRunner.getInstalledVersion(tempDir, state)).toBe('0.0.1');
+    });
+
+    it('should return null when nothing records a version', () => {
+      expect(migrationRunner.getInstalledVersion(tempDir, null)).toBeNull();
+    });
+  });
+
+  describe('getChain', () => {
+    const ids = (chain) => chain.map(m => m.id);
+
+    it('should select migrations newer than the installed version, up to this release', () => {
+      expect(ids(migrationRunner.getChain('0.0.2', null, registry))).toEqual(['0.0.3-b']);
+      expect(ids(migrationRunner.getChain(null, null, registry))).toEqual(['0.0.2-a', '0.0.3-b']);
+    });
+
+    it('should skip migrations already applied', () => {
+      const state = { migrations: { applied: ['0.0.2-a'] } };
+      expect(ids(migrationRunner.getChain('0.0.1', state, registry))).toEqual(['0.0.3-b']);
+    });
+  });
+
+  describe('plan and apply', () => {
+    it('should tag planned items with their migration', () => {
+      const changes = emptyChanges();
+      migrationRunner.plan(tempDir, { frameworkVersion: '0.0.1' }, changes, registry);
+
+      expect(changes.migrations.map(m => m.id)).toEqual(['0.0.2-a', '0.0.3-b']);
+      expect(changes.migrations[0].items).toBe(1);
+      expect(changes.moves).toEqual([
+        { from: 'a', to: 'a-moved', migration: '0.0.2-a' },
+        { from: 'b', to: 'b-moved', migration: '0.0.3-b' }
+      ]);
+    });
+
+    it('should record each applied migration in the state file', async () => {
+      const state = installState.createState();
+      const changes = emptyChanges();
+      migrationRunner.plan(tempDir, { frameworkVersion: '0.0.1' }, changes, registry);
+
+      await transaction.run(tempDir, async (tx) => {
+        migrationRunner.apply(tx, tempDir, state, changes, { installedVersion: '0.0.1' }, registry);
+      });
+
+      const saved = installState.load(tempDir);
+      expect(saved.migrations.applied).toEqual(['0.0.2-a', '0.0.3-b']);
+      expect(state.migrating).toBeUndefined();
+      expect(fs.existsSync(path.join(tempDir, 'b-moved'))).toBe(true);
+    });
+
+    it('should resume an interrupted upgrade after the last completed migration', () => {
+      // State as written after 0.0.2-a completed, before 0.0.3-b ran
+      const state = {
+        frameworkVersion: '0.0.4',
+        migrating: { from: '0.0.1' },
+        migrations: { applied: ['0.0.2-a'] }
+      };
+      const changes = emptyChanges();
+      migrationRunner.plan(tempDir, state, changes, registry);
+
+      expect(changes.migrations.map(m => m.id)).toEqual(['0.0.3-b']);
+    });
+
+    it('should leave fully deselected migrations pending', async () => {
+      const state = installState.createState();
+      const changes = emptyChanges();
+      migrationRunner.plan(tempDir, { frameworkVersion: '0.0.1' }, changes, registry);
+      changes.moves = changes.moves.filter(m => m.migration === '0.0.3-b');
+
+      await transaction.run(tempDir, async (tx) => {
+        migrationRunner.apply(tx, tempDir, state, changes, { installedVersion: '0.0.1' }, registry);
+      });
+
+      expect(state.migrations.applied).toEqual(['0.0.3-b']);
+      expect(state.migrating).toEqual({ from: '0.0.1' });
+
+      const saved = installState.load(tempDir);
+      const next = emptyChanges();
+      migrationRunner.plan(tempDir, saved, next, registry);
+      expect(next.migrations.map(m => m.id)).toEqual(['0.0.2-a']);
+    });
+
+    it('should not record partly deselected migrations as applied', async () => {
+      const twoMoves = {
+        ...moveMigration('0.0.2-ab', '0.0.1', '0.0.2', 'a'),
+        plan: () => ({ moves: ['a', 'b'].map(dir => ({ from: dir, to: `${dir}-moved` })) })
+      };
+      const state = installState.createState();
+      const changes = emptyChanges();
+      migrationRunner.plan(tempDir, { frameworkVersion: '0.0.1' }, changes, [twoMoves]);
+      expect(changes.migrations[0].items).toBe(2);
+      changes.moves = changes.moves.filter(m => m.from === 'a');
+
+      await transaction.run(tempDir, async (tx) => {
+        migrationRunner.apply(tx, tempDir, state, changes, { installedVersion: '0.0.1' }, [twoMoves]);
+      });
+
+      const saved = installState.load(tempDir);
+      expect(fs.existsSync(path.join(tempDir, 'a-moved'))).toBe(true);
+      expect(saved.migrations.applied).toEqual([]);
+      expect(migrationRunner.getInstalledVersion(tempDir, saved)).toBe('0.0.1');
+      expect(migrationRunner.getChain('0.0.1', saved, [twoMoves]).map(m => m.id)).toEqual(['0.0.2-ab']);
+    });
+  });
+
+  describe('skills layout migration', () => {
+    beforeEach(async () => {
+      await fs.outputFile(path.join(tempDir, 'agents/tools/helper.md'), 'helper');
+    });
+
+    it('should not run for projects installed at or after its version', async () => {
+      await fs.outputJson(path.join(tempDir, installState.STATE_FILE), { frameworkVersion: '0.0.2' });
+
+      const changes = await upgrade.plan(tempDir, { skipSymlinks: true });
+      expect(changes.moves).toEqual([]);
+    });
+
+    it('should run for projects of unknown version and be recorded', async () => {
+      const changes = await upgrade.plan(tempDir, { skipSymlinks: true });
+      expect(changes.migrations.map(m => m.id)).toEqual(['0.0.2-skills-layout']);
+
+      await upgrade.apply(changes, tempDir);
+
+      expect(fs.existsSync(path.join(tempDir, 'agents/skills/helper.md'))).toBe(true);
+      expect(installState.load(tempDir).migrations.applied).toEqual(['0.0.2-skills-layout']);
+    });
+  });
+});
@@ -22,6 +22,21 @@ describe('output-formatter', () => {
     });
   });
 
+  describe('formatFileContent', () => {
+    it('should show rendered template content as added lines', () => {
+      const result = formatter.formatFileContent({
+        path: 'CLAUDE.md',
+        template: 'CLAUDE.md.template',
+        variables: { PROJECT_NAME: 'demo' }
+      });
+      const lines = result.split('\n');
+
+      expect(lines[0]).toContain('--- /dev/null');
+      expect(lines[1]).toContain('+++ b/CLAUDE.md');
+      expect(lines.slice(3).every(l => l.startsWith('  +'))).toBe(true);
+    });
+  });
+
   describe('formatFileMove', () => {
     it('should format move message with arrow', () => {
       const result = formatter.formatFileMove('agents/tools', 'agents/skills');
@@ -47,6 +62,56 @@ describe('output-formatter', () => {
     });
   });
 
+  describe('formatPlanJson', () => {
+    it('should wrap changes in a versioned envelope', () => {
+      const changes = { type: 'scaffold', directories: ['agents'], files: [] };
+      const result = JSON.parse(formatter.formatPlanJson({
+        action: 'scaffold',
+        reason: 'No existing framework detected',
+        projectRoot: '/repo',
+        changes
+      }));
+
+      expect(result.schemaVersion).toBe(1);
+      expect(result.frameworkVersion).toBeDefined();
+      expect(result.projectRoot).toBe('/repo');
+      expect(result.action).toBe('scaffold');
+      expect(result.changes).toEqual(changes);
+      expect(result.preconditions).toHaveProperty('agents', null);
+    });
+  });
+
+  describe('formatBatchReport', () => {
+    const results = [
+      { repo: 'api', projectRoot: '/src/api', action: 'upgrade', status: 'applied', changes: 3, backup: null, error: null, plan: {} },
+      { repo: 'web', projectRoot: undefined, action: null, status: 'failed', changes: 0, backup: null, error: 'Not a | directory' }
+    ];
+
+    it('should format an aligned table', () => {
+      const lines = formatter.formatBatchReport(results).split('\n');
+      expect(lines[0]).toMatch(/^Repository\s+Action\s+Status\s+Changes\s+Backup\s+Error$/);
+      expect(lines[1]).toMatch(/^api\s+upgrade\s+applied\s+3\s+-\s+-$/);
+      expect(lines[2].indexOf('failed')).toBe(lines[1].indexOf('applied'));
+    });
+
+    it('should format a markdown table', () => {
+      expect(formatter.formatBatchReport(results, 'markdown')).toBe([
+        '| Repository | Action | Status | Changes | Backup | Error |',
+        '| --- | --- | --- | --- | --- | --- |',
+        '| api | upgrade | applied | 3 | - | - |',
+        '| web | - | failed | 0 | - | Not a \\| directory |'
+      ].join('\n'));
+    });
+
+    it('should format JSON without plans', () => {
+      const report = JSON.parse(formatter.formatBatchReport(results, 'json'));
+      expect(report.repositories[0]).toEqual({
+        repo: 'api', projectRoot: '/src/api', action: 'upgrade', status: 'applied', changes: 3, backup: null, error: null
+      });
+      expect(report.repositories[1].projectRoot).toBeNull();
+    });
+  });
+
   describe('formatSummary', () => {
     it('should summarize scaffold changes', () => {
       const changes = {
@@ -0,0 +1,83 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const planFile = require('../../src/lib/plan-file');
+const scaffold = require('../../src/lib/scaffold');
+const upgrade = require('../../src/lib/upgrade');
+
+describe('plan-file', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-plan-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+    await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'test-project' });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const savePlan = async (changes, action = changes.type) => {
+    const planPath = path.join(tempDir, 'plan.json');
+    planFile.write(planPath, planFile.createPlan({ action, reason: 'test', projectRoot: tempDir, changes }));
+    return planPath;
+  };
+
+  describe('hasChanges', () => {
+    it('should ignore skipped files and empty lists', () => {
+      expect(planFile.hasChanges({ type: 'none' })).toBe(false);
+      expect(planFile.hasChanges({ type: 'scaffold', files: [{ action: 'skip' }], directories: [] })).toBe(false);
+      expect(planFile.hasChanges({ type: 'upgrade', moves: [{ from: 'a', to: 'b' }] })).toBe(true);
+    });
+  });
+
+  describe('round trip', () => {
+    it('should apply a saved plan when nothing changed', async () => {
+      const changes = await scaffold.plan(tempDir, { skipSymlinks: true });
+      const plan = planFile.read(await savePlan(changes));
+
+      expect(planFile.verify(plan, tempDir)).toEqual([]);
+
+      await scaffold.apply(plan.changes, tempDir);
+      expect(fs.existsSync(path.join(tempDir, 'AGENTS.md'))).toBe(true);
+    });
+
+    it('should report files created since planning', async () => {
+      const changes = await scaffold.plan(tempDir, { skipSymlinks: true });
+      const plan = planFile.read(await savePlan(changes));
+
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), '# Written by hand');
+
+      expect(planFile.verify(plan, tempDir)).toContainEqual({ path: 'AGENTS.md', reason: 'created since planning' });
+    });
+
+    it('should report files changed since planning', async () => {
+      await fs.ensureDir(path.join(tempDir, 'agents'));
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), 'See agents/tools/ for info');
+      const changes = await upgrade.plan(tempDir, { skipSymlinks: true });
+      const plan = planFile.read(await savePlan(changes));
+
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), 'Rewritten');
+
+      expect(planFile.verify(plan, tempDir)).toContainEqual({ path: 'AGENTS.md', reason: 'changed since planning' });
+    });
+
+    it('should reject plans from another framework version', async () => {
+      const changes = await scaffold.plan(tempDir, { skipSymlinks: true });
+      const plan = planFile.read(await savePlan(changes));
+      plan.frameworkVersion = '0.0.0-other';
+
+      expect(planFile.verify(plan, tempDir)[0].reason).toContain('v0.0.0-other');
+    });
+  });
+
+  describe('read', () => {
+    it('should reject files that are not plans', async () => {
+      const planPath = path.join(tempDir, 'plan.json');
+      await fs.writeJson(planPath, { hello: 'world' });
+      expect(() => planFile.read(planPath)).toThrow('Unsupported plan schema version');
+      expect(() => planFile.read(path.join(tempDir, 'missing.json'))).toThrow('Plan file not found');
+    });
+  });
+});
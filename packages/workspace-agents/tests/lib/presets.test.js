@@ -0,0 +1,201 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const presets = require('../../src/lib/presets');
+const scaffold = require('../../src/lib/scaffold');
+const upgrade = require('../../src/lib/upgrade');
+const detector = require('../../src/lib/project-detector');
+const { PresetNotFoundError } = require('../../src/lib/errors');
+
+describe('presets', () => {
+  let tempDir;
+
+  const write = (rel, content) => fs.outputFileSync(path.join(tempDir, rel), content);
+  const read = (rel) => fs.readFileSync(path.join(tempDir, rel), 'utf-8');
+  const exists = (rel) => fs.existsSync(path.join(tempDir, rel));
+  const readState = () => fs.readJsonSync(path.join(tempDir, 'agents/.workspace-agents.json'));
+  const writePreset = (dir, preset, manifest) => {
+    write(`${dir}/preset.json`, JSON.stringify(preset));
+    if (manifest) {
+      write(`${dir}/manifest.json`, JSON.stringify(manifest));
+    }
+  };
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-presets-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('resolvePreset', () => {
+    it('should resolve a local path', () => {
+      writePreset('presets/acme', { name: 'acme', version: '2.1.0' });
+      expect(presets.resolvePreset(tempDir, './presets/acme')).toEqual({
+        spec: './presets/acme', name: 'acme', version: '2.1.0', source: 'path', path: 'presets/acme'
+      });
+      expect(presets.resolvePreset(tempDir, path.join(tempDir, 'presets/acme')).spec).toBe('./presets/acme');
+    });
+
+    it('should resolve the bundled presets by name', () => {
+      const preset = presets.resolvePreset(tempDir, 'node-service');
+      expect(preset).toMatchObject({ spec: 'node-service', name: 'node-service', source: 'bundled' });
+      expect(path.resolve(tempDir, preset.path)).toBe(path.join(presets.PRESETS_DIR, 'node-service'));
+      expect(presets.listBundled().map(p => p.name)).toEqual(['node-service', 'python-lib']);
+    });
+
+    it('should resolve installed npm packages, with or without the package prefix', () => {
+      writePreset('node_modules/acme-preset', { name: 'acme' });
+      write('node_modules/acme-preset/package.json', JSON.stringify({ name: 'acme-preset', version: '3.0.0' }));
+      writePreset('node_modules/workspace-agents-preset-web', { name: 'web', version: '1.2.0' });
+      writePreset('node_modules/@acme/preset', { name: 'acme-scoped', version: '1.0.0' });
+
+      expect(presets.resolvePreset(tempDir, 'acme-preset')).toMatchObject({
+        name: 'acme', version: '3.0.0', source: 'npm', path: 'node_modules/acme-preset'
+      });
+      expect(presets.resolvePreset(tempDir, 'web')).toMatchObject({
+        spec: 'web', name: 'web', version: '1.2.0', path: 'node_modules/workspace-agents-preset-web'
+      });
+      expect(presets.resolvePreset(tempDir, '@acme/preset').name).toBe('acme-scoped');
+    });
+
+    it('should look in parent node_modules directories', () => {
+      writePreset('node_modules/workspace-agents-preset-web', { name: 'web', version: '1.0.0' });
+      fs.ensureDirSync(path.join(tempDir, 'packages/app'));
+
+      expect(presets.resolvePreset(path.join(tempDir, 'packages/app'), 'web').path)
+        .toBe('../../node_modules/workspace-agents-preset-web');
+    });
+
+    it('should throw PresetNotFoundError listing the places searched', () => {
+      let error;
+      try {
+        presets.resolvePreset(tempDir, 'missing');
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(PresetNotFoundError);
+      expect(error.code).toBe('PRESET_NOT_FOUND');
+      expect(error.preset).toBe('missing');
+      expect(error.searched).toContain(path.join(tempDir, 'node_modules', 'workspace-agents-preset-missing'));
+    });
+  });
+
+  describe('resolvePresets', () => {
+    it('should prefer the option, then the configuration, then the install state', () => {
+      writePreset('presets/a', { name: 'a', version: '1.0.0' });
+      writePreset('presets/b', { name: 'b', version: '1.0.0' });
+      const names = (options, settings) => presets.resolvePresets(tempDir, options, settings).map(p => p.name);
+
+      write('agents/.workspace-agents.json', JSON.stringify({ presets: [{ spec: './presets/a', name: 'a', version: '1.0.0' }] }));
+      expect(names({}, { presets: null })).toEqual(['a']);
+      expect(names({}, { presets: ['./presets/b'] })).toEqual(['b']);
+      expect(names({ presets: ['./presets/a', './presets/b'] }, { presets: ['./presets/b'] })).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('findPresetUpdates', () => {
+    it('should list added, updated and removed presets', () => {
+      const state = { presets: [{ name: 'a', version: '1.0.0' }, { name: 'b', version: '1.0.0' }] };
+      const updates = presets.findPresetUpdates(state, [
+        { name: 'a', version: '1.1.0' },
+        { name: 'c', version: null }
+      ]);
+
+      expect(updates).toEqual([
+        { name: 'a', action: 'update', from: '1.0.0', to: '1.1.0' },
+        { name: 'c', action: 'add', from: null, to: null },
+        { name: 'b', action: 'remove', from: '1.0.0', to: null }
+      ]);
+      expect(updates.map(presets.formatUpdate)).toEqual([
+        'a v1.0.0 → v1.1.0', 'c unversioned (new)', 'b v1.0.0 (removed)'
+      ]);
+      expect(presets.findPresetUpdates(null, [])).toEqual([]);
+    });
+  });
+
+  describe('scaffold and upgrade', () => {
+    beforeEach(() => {
+      writePreset('presets/acme', { name: 'acme', version: '1.0.0' }, {
+        files: [{ template: 'security.md.template', dest: 'agents/reference/security.md' }],
+        skillsToCopy: ['acme-review']
+      });
+      write('presets/acme/security.md.template', '# Security for {{PROJECT_NAME}}\n');
+      write('presets/acme/skills/acme-review/SKILL.md', '# Acme review\n');
+    });
+
+    it('should scaffold the bundled presets', async () => {
+      const changes = await scaffold.plan(tempDir, { presets: ['node-service'], strict: true });
+      await scaffold.apply(changes, tempDir);
+
+      expect(read('agents/reference/service-runbook.md')).toMatch(/^# Service Runbook/);
+      expect(exists('agents/personas/backend-engineer.md')).toBe(true);
+      expect(readState().presets).toEqual([{ spec: 'node-service', name: 'node-service', version: '1.0.0' }]);
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+
+    it('should render preset files and copy preset skills', async () => {
+      const changes = await scaffold.plan(tempDir, { presets: './presets/acme' });
+      expect(changes.presets.map(p => p.name)).toEqual(['acme']);
+      await scaffold.apply(changes, tempDir);
+
+      expect(read('agents/reference/security.md')).toMatch(/^# Security for /);
+      expect(read('agents/skills/acme-review/SKILL.md')).toBe('# Acme review\n');
+      expect(readState().presets).toEqual([{ spec: './presets/acme', name: 'acme', version: '1.0.0' }]);
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+
+    it('should accept preset skills in the configured skills', async () => {
+      write('.workspace-agentsrc.json', JSON.stringify({ presets: ['./presets/acme'], skills: ['acme-review'] }));
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+
+      expect(exists('agents/skills/acme-review/SKILL.md')).toBe(true);
+      expect(exists('agents/skills/skill-creator')).toBe(false);
+    });
+
+    it('should let template override directories win over presets', async () => {
+      write('org/security.md.template', '# Org security\n');
+      await scaffold.apply(await scaffold.plan(tempDir, { presets: './presets/acme', templates: 'org' }), tempDir);
+
+      expect(read('agents/reference/security.md')).toBe('# Org security\n');
+    });
+
+    it('should update files from a new preset version on upgrade', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, { presets: './presets/acme' }), tempDir);
+      write('presets/acme/preset.json', JSON.stringify({ name: 'acme', version: '1.1.0' }));
+      write('presets/acme/security.md.template', '# Security for {{PROJECT_NAME}} (v1.1)\n');
+      write('presets/acme/skills/acme-review/SKILL.md', '# Acme review v1.1\n');
+
+      const analysis = detector.determineAction(tempDir);
+      expect(analysis.action).toBe('upgrade');
+      expect(analysis.reason).toMatch(/Preset updates available: acme v1\.0\.0 → v1\.1\.0/);
+
+      const changes = await upgrade.plan(tempDir, {});
+      expect(changes.presetUpdates).toEqual([{ name: 'acme', action: 'update', from: '1.0.0', to: '1.1.0' }]);
+      expect(changes.templateUpdates.map(u => u.path)).toEqual(['agents/reference/security.md']);
+      expect(changes.skillsToUpdate.map(s => s.name)).toEqual(['acme-review']);
+
+      await upgrade.apply(changes, tempDir);
+      expect(read('agents/reference/security.md')).toMatch(/\(v1\.1\)/);
+      expect(read('agents/skills/acme-review/SKILL.md')).toBe('# Acme review v1.1\n');
+      expect(readState().presets[0].version).toBe('1.1.0');
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+
+    it('should add a preset to an existing install on upgrade', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+
+      const changes = await upgrade.plan(tempDir, { presets: ['python-lib'] });
+      expect(changes.presetUpdates).toEqual([{ name: 'python-lib', action: 'add', from: null, to: '1.0.0' }]);
+      expect(changes.newFiles.map(f => f.path)).toEqual(
+        ['agents/reference/python-packaging.md', 'agents/personas/library-maintainer.md']);
+
+      await upgrade.apply(changes, tempDir);
+      expect(exists('agents/personas/library-maintainer.md')).toBe(true);
+      expect(readState().presets.map(p => p.name)).toEqual(['python-lib']);
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+  });
+});
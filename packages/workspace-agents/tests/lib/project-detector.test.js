@@ -1,5 +1,11 @@
 const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
 const detector = require('../../src/lib/project-detector');
+const scaffold = require('../../src/lib/scaffold');
+const upgrade = require('../../src/lib/upgrade');
+const installState = require('../../src/lib/install-state');
+const pkg = require('../../package.json');
 
 const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
 
@@ -57,5 +63,71 @@ describe('project-detector', () => {
       const result = detector.determineAction(path.join(FIXTURES_DIR, 'old-framework'));
       expect(result.action).toBe('upgrade');
     });
+
+    it('should use an analysis passed in instead of analyzing again', () => {
+      const root = path.join(FIXTURES_DIR, 'old-framework');
+      const analysis = { ...detector.analyzeStructure(root), needsUpgrade: false };
+      expect(detector.determineAction(root, {}, analysis).reason).not.toBe('Old framework structure detected');
+    });
+  });
+
+  describe('framework version', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = path.join(os.tmpdir(), `workspace-agents-version-${Date.now()}`);
+      await fs.ensureDir(tempDir);
+      await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'test-project' });
+    });
+
+    afterEach(async () => {
+      await fs.remove(tempDir);
+    });
+
+    it('should read back the version a scaffold wrote', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, { skipSymlinks: true }), tempDir);
+      expect(detector.getFrameworkVersion(tempDir)).toBe(pkg.version);
+
+      // Without the state file, the marker in the generated files is used
+      await fs.remove(path.join(tempDir, installState.STATE_FILE));
+      expect(detector.getFrameworkVersion(tempDir)).toBe(pkg.version);
+    });
+
+    it('should read the footer written by versions without a marker', async () => {
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), '# App\n\n*Generated by workspace-agents v0.0.1 on 2025-01-01*\n');
+      expect(detector.getFrameworkVersion(tempDir)).toBe('0.0.1');
+    });
+
+    it('should prefer the install state over markers', async () => {
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), '<!-- workspace-agents v0.0.1 -->\n');
+      await fs.outputJson(path.join(tempDir, installState.STATE_FILE), { frameworkVersion: '0.0.3' });
+      expect(detector.getFrameworkVersion(tempDir)).toBe('0.0.3');
+    });
+
+    it('should offer an upgrade when the installed version is older', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, { skipSymlinks: true }), tempDir);
+      const state = await fs.readJson(path.join(tempDir, installState.STATE_FILE));
+      await fs.writeJson(path.join(tempDir, installState.STATE_FILE), { ...state, frameworkVersion: '0.0.1' });
+
+      const result = detector.determineAction(tempDir);
+
+      expect(result.installedVersion).toBe('0.0.1');
+      expect(result.availableVersion).toBe(pkg.version);
+      expect(result.action).toBe('upgrade');
+      expect(result.reason).toContain(`v0.0.1`);
+      expect(result.reason).toContain(`available v${pkg.version}`);
+    });
+
+    it('should record the new version when the upgrade is applied', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+      const state = await fs.readJson(path.join(tempDir, installState.STATE_FILE));
+      await fs.writeJson(path.join(tempDir, installState.STATE_FILE), { ...state, frameworkVersion: '0.0.1' });
+
+      const changes = await upgrade.plan(tempDir, {});
+      expect(changes.versionUpdate).toEqual({ from: '0.0.1', to: pkg.version });
+      await upgrade.apply(changes, tempDir);
+
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
   });
 });
@@ -0,0 +1,38 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const { resolveProjectRoot } = require('../../src/lib/project-root');
+const { InvalidOptionError } = require('../../src/lib/errors');
+
+describe('project-root', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-root-${Date.now()}`);
+    await fs.ensureDir(path.join(tempDir, 'checkouts/app'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should default to the working directory', () => {
+    expect(resolveProjectRoot()).toBe(process.cwd());
+  });
+
+  it('should resolve the target against --cwd', () => {
+    expect(resolveProjectRoot(undefined, tempDir)).toBe(tempDir);
+    expect(resolveProjectRoot('checkouts/app', tempDir)).toBe(path.join(tempDir, 'checkouts/app'));
+    expect(resolveProjectRoot(path.join(tempDir, 'checkouts'), '/elsewhere')).toBe(path.join(tempDir, 'checkouts'));
+  });
+
+  it('should reject paths that are not directories', async () => {
+    await fs.writeFile(path.join(tempDir, 'file.txt'), 'x');
+
+    expect(() => resolveProjectRoot('missing', tempDir)).toThrow(InvalidOptionError);
+    expect(() => resolveProjectRoot('file.txt', tempDir)).toThrow(`Not a directory: ${path.join(tempDir, 'file.txt')}`);
+    expect(() => resolveProjectRoot(undefined, path.join(tempDir, 'missing'))).toThrow(
+      expect.objectContaining({ option: 'cwd' })
+    );
+  });
+});
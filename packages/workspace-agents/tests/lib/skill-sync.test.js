@@ -0,0 +1,105 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const scaffold = require('../../src/lib/scaffold');
+const upgrade = require('../../src/lib/upgrade');
+const installState = require('../../src/lib/install-state');
+const skillSync = require('../../src/lib/skill-sync');
+
+describe('skill-sync', () => {
+  let tempDir;
+  const skill = 'skill-creator';
+  const skillPath = (rel) => path.join(tempDir, 'agents/skills', skill, rel);
+  const basePath = (rel) => path.join(tempDir, installState.basePath(`agents/skills/${skill}`), rel);
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-skills-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+    await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'test-project' });
+    const changes = await scaffold.plan(tempDir, { skipSymlinks: true });
+    await scaffold.apply(changes, tempDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const plan = (strategy) =>
+    skillSync.planSkillUpdate(tempDir, installState.load(tempDir), skill, strategy);
+
+  // Pretend the shipped SKILL.md was older than the bundled one
+  const simulateOlderShippedVersion = async () => {
+    const bundled = await fs.readFile(skillPath('SKILL.md'), 'utf-8');
+    const older = bundled.replace(/\n$/, '') + '\nOld shipped line\n';
+    await fs.writeFile(skillPath('SKILL.md'), older);
+    await fs.writeFile(basePath('SKILL.md'), older);
+    const statePath = path.join(tempDir, installState.STATE_FILE);
+    const state = await fs.readJson(statePath);
+    state.skills[skill].files['SKILL.md'] = installState.checksum(older);
+    await fs.writeJson(statePath, state);
+    return older;
+  };
+
+  it('should plan nothing when the skill matches the bundled version', () => {
+    expect(plan('new')).toBeNull();
+  });
+
+  it('should update files that were not modified locally', async () => {
+    await simulateOlderShippedVersion();
+
+    expect(plan('new').files).toEqual([{ path: 'SKILL.md', action: 'update' }]);
+  });
+
+  it('should add missing bundled files', async () => {
+    const statePath = path.join(tempDir, installState.STATE_FILE);
+    const state = await fs.readJson(statePath);
+    delete state.skills[skill].files['scripts/validate.js'];
+    await fs.writeJson(statePath, state);
+    await fs.remove(skillPath('scripts/validate.js'));
+
+    expect(plan('new').files).toEqual([{ path: 'scripts/validate.js', action: 'add' }]);
+  });
+
+  describe('locally modified files', () => {
+    let older;
+
+    beforeEach(async () => {
+      older = await simulateOlderShippedVersion();
+      await fs.writeFile(skillPath('SKILL.md'), 'Our own intro\n' + older);
+    });
+
+    it('should skip them with the skip strategy', () => {
+      expect(plan('skip').files[0]).toMatchObject({ path: 'SKILL.md', action: 'skip' });
+    });
+
+    it('should write a .new sibling with the new strategy', async () => {
+      const changes = await upgrade.plan(tempDir, { skipSymlinks: true, skillConflicts: 'new' });
+      expect(changes.skillsToUpdate[0].files[0]).toMatchObject({ path: 'SKILL.md', action: 'new' });
+
+      await upgrade.apply(changes, tempDir);
+
+      const local = await fs.readFile(skillPath('SKILL.md'), 'utf-8');
+      expect(local.startsWith('Our own intro\n')).toBe(true);
+      const bundled = await fs.readFile(path.join(skillSync.getBundledSkillsDir(), skill, 'SKILL.md'), 'utf-8');
+      expect(await fs.readFile(skillPath('SKILL.md.new'), 'utf-8')).toBe(bundled);
+
+      // Re-running does not report the same .new file again
+      expect(plan('new')).toBeNull();
+    });
+
+    it('should merge the bundled change with the merge strategy', async () => {
+      const changes = await upgrade.plan(tempDir, { skipSymlinks: true, skillConflicts: 'merge' });
+      expect(changes.skillsToUpdate[0].files[0]).toMatchObject({ path: 'SKILL.md', action: 'merge' });
+
+      await upgrade.apply(changes, tempDir);
+
+      const merged = await fs.readFile(skillPath('SKILL.md'), 'utf-8');
+      expect(merged.startsWith('Our own intro\n')).toBe(true);
+      expect(merged).not.toContain('Old shipped line');
+    });
+  });
+
+  it('should reject unknown strategies', async () => {
+    await expect(upgrade.plan(tempDir, { skillConflicts: 'wipe' })).rejects.toThrow('Unknown skill conflict strategy');
+  });
+});
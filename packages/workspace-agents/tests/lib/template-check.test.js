@@ -0,0 +1,87 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const templateCheck = require('../../src/lib/template-check');
+const scaffold = require('../../src/lib/scaffold');
+const upgrade = require('../../src/lib/upgrade');
+const api = require('../../src/index');
+const { UndefinedVariableError } = require('../../src/lib/errors');
+
+describe('template-check', () => {
+  let tempDir;
+
+  const writeConfig = (settings) => fs.outputJsonSync(path.join(tempDir, '.workspace-agentsrc.json'), settings);
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-template-check-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('findUnusedVariables', () => {
+    it('should list configured variables no template refers to', () => {
+      expect(templateCheck.findUnusedVariables({ PROJECT_NAME: 'x', PACKAGE_NAME: 'y', TEAM: 'z' })).toEqual(['TEAM']);
+      expect(templateCheck.findUnusedVariables({})).toEqual([]);
+    });
+  });
+
+  describe('checkChanges', () => {
+    const files = [
+      { path: 'AGENTS.md', template: 'AGENTS.md.template', variables: { CREATION_DATE: '2026-01-01', FRAMEWORK_VERSION: '1.0.0' } },
+      { path: 'CLAUDE.md', template: 'CLAUDE.md.template', variables: { PROJECT_NAME: 'x', FRAMEWORK_VERSION: '1.0.0' } }
+    ];
+    const settings = { variables: {} };
+
+    it('should record files with undefined variables', () => {
+      const changes = templateCheck.checkChanges({ type: 'scaffold' }, files, settings);
+      expect(changes.undefinedVariables).toEqual([
+        { path: 'AGENTS.md', template: 'AGENTS.md.template', variables: ['PROJECT_NAME'] }
+      ]);
+      expect(changes.unusedVariables).toEqual([]);
+    });
+
+    it('should throw in strict mode', () => {
+      let error;
+      try {
+        templateCheck.checkChanges({ type: 'scaffold' }, files, settings, { strict: true });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(UndefinedVariableError);
+      expect(error.message).toMatch(/AGENTS\.md: undefined variable PROJECT_NAME/);
+      expect(error.files.map(f => f.path)).toEqual(['AGENTS.md']);
+    });
+  });
+
+  describe('plans', () => {
+    it('should report nothing for the bundled templates', async () => {
+      const changes = await scaffold.plan(tempDir, { strict: true });
+      expect(changes.undefinedVariables).toEqual([]);
+      expect(changes.unusedVariables).toEqual([]);
+    });
+
+    it('should report configured variables no template uses', async () => {
+      writeConfig({ variables: { TEAM: 'Platform' } });
+
+      expect((await scaffold.plan(tempDir, {})).unusedVariables).toEqual(['TEAM']);
+      expect((await api.plan(tempDir)).changes.unusedVariables).toEqual(['TEAM']);
+    });
+
+    it('should check template updates with the recorded variables', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+      const statePath = path.join(tempDir, 'agents/.workspace-agents.json');
+      const state = fs.readJsonSync(statePath);
+      delete state.files['AGENTS.md'].variables.PROJECT_NAME;
+      fs.writeJsonSync(statePath, state);
+
+      const changes = await upgrade.plan(tempDir, {});
+      expect(changes.undefinedVariables).toEqual([
+        { path: 'AGENTS.md', template: 'AGENTS.md.template', variables: ['PROJECT_NAME'] }
+      ]);
+      await expect(upgrade.plan(tempDir, { strict: true })).rejects.toThrow(UndefinedVariableError);
+    });
+  });
+});
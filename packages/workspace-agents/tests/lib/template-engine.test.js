@@ -1,4 +1,5 @@
 const templateEngine = require('../../src/lib/template-engine');
+const { TemplateSyntaxError, TemplateNotFoundError, UndefinedVariableError } = require('../../src/lib/errors');
 
 describe('template-engine', () => {
   describe('renderTemplate', () => {
@@ -27,6 +28,171 @@ describe('template-engine', () => {
       const result = templateEngine.renderTemplate('{{KNOWN}} and {{UNKNOWN}}', { KNOWN: 'yes' });
       expect(result).toBe('yes and {{UNKNOWN}}');
     });
+
+    it('should keep {{...}} text that is not template syntax', () => {
+      const result = templateEngine.renderTemplate('Use {{ a + b }} here', {});
+      expect(result).toBe('Use {{ a + b }} here');
+    });
+
+    it('should use a default when a variable is missing or empty', () => {
+      const template = '{{TEAM|the team}} / {{EMPTY|"none"}} / {{SET|unused}}';
+      expect(templateEngine.renderTemplate(template, { EMPTY: '', SET: 'set' })).toBe('the team / none / set');
+    });
+
+    it('should join list variables', () => {
+      expect(templateEngine.renderTemplate('{{LIST}}', { LIST: ['a', 'b'] })).toBe('a, b');
+    });
+  });
+
+  describe('renderTemplate blocks', () => {
+    const render = (template, variables) => templateEngine.renderTemplate(template, variables);
+
+    it('should render if/else on truthiness', () => {
+      const template = '{{#if PNPM}}pnpm{{else}}npm{{/if}}';
+      expect(render(template, { PNPM: true })).toBe('pnpm');
+      expect(render(template, { PNPM: 'false' })).toBe('npm');
+      expect(render(template, { PNPM: [] })).toBe('npm');
+      expect(render(template, {})).toBe('npm');
+    });
+
+    it('should compare with == and !=', () => {
+      const template = '{{#if PM == "pnpm"}}a{{/if}}{{#if PM != \'pnpm\'}}b{{/if}}';
+      expect(render(template, { PM: 'pnpm' })).toBe('a');
+      expect(render(template, { PM: 'yarn' })).toBe('b');
+    });
+
+    it('should render unless', () => {
+      expect(render('{{#unless CI}}local{{/unless}}', {})).toBe('local');
+      expect(render('{{#unless CI}}local{{/unless}}', { CI: '1' })).toBe('');
+    });
+
+    it('should loop over lists with item fields, loop variables and outer variables', () => {
+      const template = '{{#each PKGS}}{{@index}}:{{name}}@{{ROOT}}{{#unless @last}}, {{/unless}}{{/each}}';
+      const result = render(template, { ROOT: 'r', PKGS: [{ name: 'a' }, { name: 'b' }] });
+      expect(result).toBe('0:a@r, 1:b@r');
+    });
+
+    it('should loop over scalars with this and objects with @key', () => {
+      expect(render('{{#each L}}[{{this}}]{{/each}}', { L: ['x', 'y'] })).toBe('[x][y]');
+      expect(render('{{#each O}}{{@key}}={{this}};{{/each}}', { O: { a: 1, b: 2 } })).toBe('a=1;b=2;');
+    });
+
+    it('should render the else branch of an empty loop', () => {
+      expect(render('{{#each L}}x{{else}}none{{/each}}', { L: [] })).toBe('none');
+    });
+
+    it('should not leave blank lines for block tags on their own line', () => {
+      const template = [
+        '# Stack',
+        '{{! only for pnpm }}',
+        '{{#if PNPM}}',
+        '  - pnpm',
+        '{{/if}}',
+        '{{#each TOOLS}}',
+        '- {{this}}',
+        '{{/each}}',
+        'end',
+        ''
+      ].join('\n');
+
+      expect(render(template, { PNPM: false, TOOLS: ['jest', 'eslint'] })).toBe('# Stack\n- jest\n- eslint\nend\n');
+    });
+
+    it('should include partials with the same variables', () => {
+      const partials = { greeting: 'Hello {{NAME}}!\n', nested: '{{> greeting}}' };
+      const result = templateEngine.renderTemplate('{{> nested}}\nBye\n', { NAME: 'World' }, {
+        loadPartial: name => partials[name]
+      });
+      expect(result).toBe('Hello World!\nBye\n');
+    });
+
+    it('should load bundled partials by default', () => {
+      const result = templateEngine.renderTemplate('{{> generated-footer}}', { FRAMEWORK_VERSION: '1.2.3' });
+      expect(result).toContain('<!-- workspace-agents v1.2.3 -->');
+    });
+
+    it('should reject missing partials and partial cycles', () => {
+      expect(() => templateEngine.renderTemplate('{{> no-such-partial}}', {})).toThrow(TemplateNotFoundError);
+      expect(() => templateEngine.renderTemplate('{{> ../manifest}}', {})).toThrow(TemplateNotFoundError);
+      expect(() => templateEngine.renderTemplate('{{> loop}}', {}, { loadPartial: () => '{{> loop}}' }))
+        .toThrow(/nested too deeply/);
+    });
+
+    it.each([
+      ['{{#if A}}open', /unclosed \{\{#if\}\}/, 1],
+      ['ok\n{{/each}}', /unexpected \{\{\/each\}\}/, 2],
+      ['{{#if A}}{{/each}}', /unexpected \{\{\/each\}\}/, 1],
+      ['{{else}}', /unexpected \{\{else\}\}/, 1],
+      ['{{#with A}}{{/with}}', /unknown block \{\{#with\}\}/, 1],
+      ['{{#if}}{{/if}}', /needs a condition/, 1]
+    ])('should report syntax errors in %j', (template, message, line) => {
+      let error;
+      try {
+        templateEngine.renderTemplate(template, {}, { name: 'custom.template' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(TemplateSyntaxError);
+      expect(error.message).toMatch(message);
+      expect(error).toMatchObject({ code: 'TEMPLATE_SYNTAX', template: 'custom.template', line });
+    });
+  });
+
+  describe('strict rendering', () => {
+    it('should throw UndefinedVariableError listing every variable without a value', () => {
+      let error;
+      try {
+        templateEngine.renderTemplate('{{REPO_URL}} {{TEAM}} {{NAME}}', { NAME: 'x' }, { name: 'custom.template', strict: true });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(UndefinedVariableError);
+      expect(error.message).toBe('custom.template: undefined variables REPO_URL, TEAM');
+      expect(error).toMatchObject({
+        code: 'UNDEFINED_VARIABLE',
+        files: [{ path: null, template: 'custom.template', variables: ['REPO_URL', 'TEAM'] }]
+      });
+    });
+
+    it('should accept variables that are only tested, have a fallback or sit in an unrendered branch', () => {
+      const template = '{{#if REPO_URL}}{{REPO_URL}}{{/if}}{{TEAM|none}}{{#each ITEMS}}{{MISSING}}{{/each}}';
+      expect(templateEngine.renderTemplate(template, {}, { strict: true })).toBe('none');
+    });
+
+    it('should not interpret variable names as patterns', () => {
+      expect(templateEngine.renderTemplate('{{A.B}} {{AxB}}', { 'A.B': 'dot', AxB: 'x' })).toBe('{{A.B}} x');
+      expect(templateEngine.renderTemplate('{{A+}}', { 'A+': 'plus' })).toBe('{{A+}}');
+    });
+  });
+
+  describe('escaped tags', () => {
+    it('should output \\{{...}} literally without the backslash', () => {
+      const result = templateEngine.renderTemplate('Write \\{{NAME}} to get {{NAME}}', { NAME: 'x' }, { strict: true });
+      expect(result).toBe('Write {{NAME}} to get x');
+    });
+
+    it('should not treat escaped block tags as blocks', () => {
+      const result = templateEngine.renderTemplate('\\{{#if A}}\n\\{{/if}}\n', {});
+      expect(result).toBe('{{#if A}}\n{{/if}}\n');
+    });
+  });
+
+  describe('findUndefinedVariables', () => {
+    it('should list output variables without a value, including inside partials', () => {
+      const partials = { footer: '{{VERSION}}' };
+      expect(templateEngine.findUndefinedVariables('{{NAME}} {{> footer}}', { NAME: 'x' }, {
+        loadPartial: name => partials[name]
+      })).toEqual(['VERSION']);
+    });
+  });
+
+  describe('findVariables', () => {
+    it('should list variables from every branch and partial', () => {
+      const partials = { footer: '{{VERSION}}' };
+      const template = '{{#if A == "x"}}{{B}}{{else}}{{C|d}}{{/if}}{{#each LIST}}{{this}}{{name}}{{@index}}{{/each}}{{> footer}}';
+      expect(templateEngine.findVariables(template, { loadPartial: name => partials[name] }).sort())
+        .toEqual(['A', 'B', 'C', 'LIST', 'VERSION', 'name']);
+    });
   });
 
   describe('getManifest', () => {
@@ -0,0 +1,176 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const templateLayers = require('../../src/lib/template-layers');
+const templateEngine = require('../../src/lib/template-engine');
+const scaffold = require('../../src/lib/scaffold');
+const upgrade = require('../../src/lib/upgrade');
+const detector = require('../../src/lib/project-detector');
+const { InvalidConfigError, InvalidOptionError } = require('../../src/lib/errors');
+
+describe('template-layers', () => {
+  let tempDir;
+
+  const write = (rel, content) => fs.outputFileSync(path.join(tempDir, rel), content);
+  const read = (rel) => fs.readFileSync(path.join(tempDir, rel), 'utf-8');
+  const exists = (rel) => fs.existsSync(path.join(tempDir, rel));
+  const writeConfig = (settings) => fs.outputJsonSync(path.join(tempDir, '.workspace-agentsrc.json'), settings);
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-template-layers-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('resolveDirs', () => {
+    beforeEach(() => {
+      ['org-templates', 'team-templates'].forEach(dir => fs.ensureDirSync(path.join(tempDir, dir)));
+    });
+
+    it('should prefer the option, then the configuration, then the install state', () => {
+      write('agents/.workspace-agents.json', JSON.stringify({ templates: ['team-templates'] }));
+      expect(templateLayers.resolveDirs(tempDir)).toEqual(['team-templates']);
+
+      writeConfig({ templates: 'org-templates' });
+      expect(templateLayers.resolveDirs(tempDir)).toEqual(['org-templates']);
+
+      expect(templateLayers.resolveDirs(tempDir, { templates: path.join(tempDir, 'team-templates') }))
+        .toEqual(['team-templates']);
+    });
+
+    it('should turn overrides off with an empty configured list', () => {
+      write('agents/.workspace-agents.json', JSON.stringify({ templates: ['team-templates'] }));
+      writeConfig({ templates: [] });
+      expect(templateLayers.resolveDirs(tempDir)).toEqual([]);
+    });
+
+    it('should reject directories that do not exist', () => {
+      writeConfig({ templates: ['missing'] });
+      expect(() => templateLayers.resolveDirs(tempDir)).toThrow(InvalidConfigError);
+      expect(() => templateLayers.resolveDirs(tempDir, { templates: 'missing' })).toThrow(InvalidOptionError);
+    });
+  });
+
+  describe('layerManifest', () => {
+    const manifest = {
+      directories: ['agents', 'agents/personas'],
+      files: [
+        { template: 'AGENTS.md.template', dest: 'AGENTS.md' },
+        { template: 'personas-README.md.template', dest: 'agents/personas/README.md' }
+      ],
+      symlinks: [{ target: '../../agents/skills/skill-creator', link: '.claude/skills/skill-creator' }],
+      gitignoreAppend: ['agents/plans/local/'],
+      skillsToCopy: ['skill-creator']
+    };
+
+    it('should replace entries with the same dest, add new ones and drop removed paths', () => {
+      const layered = templateLayers.layerManifest(manifest, {
+        files: [
+          { template: 'org-AGENTS.md.template', dest: 'AGENTS.md' },
+          { template: 'security.md.template', dest: 'agents/reference/security.md' }
+        ],
+        directories: ['agents/reference'],
+        gitignoreAppend: ['.env.local'],
+        remove: ['agents/personas', 'agents/skills/skill-creator', '.claude/skills/skill-creator', 'agents/plans/local/']
+      }, 'org/manifest.json');
+
+      expect(layered).toEqual({
+        directories: ['agents', 'agents/reference'],
+        files: [
+          { template: 'org-AGENTS.md.template', dest: 'AGENTS.md' },
+          { template: 'security.md.template', dest: 'agents/reference/security.md' }
+        ],
+        symlinks: [],
+        gitignoreAppend: ['.env.local'],
+        skillsToCopy: []
+      });
+    });
+
+    it.each([
+      [{ file: [] }, 'file', /unknown key "file"/],
+      [{ files: [{ dest: 'A.md' }] }, 'files', /"files" must be an array of \{ template, dest \} objects/],
+      [{ remove: 'GEMINI.md' }, 'remove', /"remove" must be an array of paths/]
+    ])('should reject %j', (override, key, message) => {
+      let error;
+      try {
+        templateLayers.layerManifest(manifest, override, 'org/manifest.json');
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(InvalidConfigError);
+      expect(error).toMatchObject({ file: 'org/manifest.json', key });
+      expect(error.message).toMatch(message);
+    });
+  });
+
+  describe('template lookup', () => {
+    it('should prefer the last override directory that has a template or partial', () => {
+      write('org/AGENTS.md.template', 'org');
+      write('team/AGENTS.md.template', 'team {{> generated-footer}}');
+      write('org/partials/generated-footer.template', 'org footer');
+      const dirs = templateLayers.absolute(tempDir, ['org', 'team']);
+
+      expect(templateEngine.loadTemplate('AGENTS.md.template', dirs)).toBe('team {{> generated-footer}}');
+      expect(templateEngine.loadAndRender('AGENTS.md.template', {}, { dirs })).toBe('team org footer');
+      expect(templateEngine.loadTemplate('CLAUDE.md.template', dirs)).toContain('AGENTS.md');
+      expect(templateEngine.listTemplates(dirs)).toContain('AGENTS.md.template');
+    });
+  });
+
+  describe('scaffold and upgrade', () => {
+    beforeEach(() => {
+      write('org/AGENTS.md.template', '# {{PROJECT_NAME}} (Acme)\n');
+      write('org/security.md.template', '# Security\n');
+      write('org/manifest.json', JSON.stringify({
+        files: [{ template: 'security.md.template', dest: 'agents/reference/security.md' }],
+        remove: ['GEMINI.md']
+      }));
+    });
+
+    it('should scaffold from the layered templates and record the directory', async () => {
+      const changes = await scaffold.plan(tempDir, { templates: 'org' });
+      expect(changes.templates).toEqual(['org']);
+      await scaffold.apply(changes, tempDir);
+
+      expect(read('AGENTS.md')).toMatch(/\(Acme\)/);
+      expect(read('agents/reference/security.md')).toBe('# Security\n');
+      expect(exists('GEMINI.md')).toBe(false);
+      expect(fs.readJsonSync(path.join(tempDir, 'agents/.workspace-agents.json')).templates).toEqual(['org']);
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+
+    it('should update generated files from the recorded directory on later runs', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, { templates: 'org' }), tempDir);
+      write('org/AGENTS.md.template', '# {{PROJECT_NAME}} (Acme, v2)\n');
+
+      const changes = await upgrade.plan(tempDir, {});
+      expect(changes.templateUpdates.map(u => u.path)).toEqual(['AGENTS.md']);
+
+      await upgrade.apply(changes, tempDir);
+      expect(read('AGENTS.md')).toMatch(/\(Acme, v2\)/);
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+
+    it('should update generated files an override manifest maps to another template', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+      write('org/org-AGENTS.md.template', '# {{PROJECT_NAME}} (org)\n');
+      write('org/manifest.json', JSON.stringify({
+        files: [{ template: 'org-AGENTS.md.template', dest: 'AGENTS.md' }]
+      }));
+
+      const changes = await upgrade.plan(tempDir, { templates: 'org' });
+      expect(changes.templateUpdates).toEqual([
+        expect.objectContaining({ path: 'AGENTS.md', template: 'org-AGENTS.md.template', action: 'update' })
+      ]);
+
+      await upgrade.apply(changes, tempDir);
+      expect(read('AGENTS.md')).toMatch(/\(org\)/);
+      expect(fs.readJsonSync(path.join(tempDir, 'agents/.workspace-agents.json')).files['AGENTS.md'].template)
+        .toBe('org-AGENTS.md.template');
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+  });
+});
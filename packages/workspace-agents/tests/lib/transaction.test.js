@@ -0,0 +1,132 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const transaction = require('../../src/lib/transaction');
+const symlinkOps = require('../../src/lib/symlink-ops');
+const upgrade = require('../../src/lib/upgrade');
+
+describe('transaction', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-tx-test-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+
+  const read = (rel) => fs.readFileSync(path.join(tempDir, rel), 'utf-8');
+  const exists = (rel) => fs.existsSync(path.join(tempDir, rel));
+
+  describe('rollback', () => {
+    it('should restore overwritten files and remove created ones', async () => {
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), 'original');
+
+      const tx = transaction.createTransaction(tempDir);
+      tx.writeFile('AGENTS.md', 'replaced');
+      tx.writeFile('agents/new/file.md', 'new');
+      expect(read('AGENTS.md')).toBe('replaced');
+
+      const failures = tx.rollback();
+
+      expect(failures).toEqual([]);
+      expect(read('AGENTS.md')).toBe('original');
+      expect(exists('agents')).toBe(false);
+    });
+
+    it('should recreate removed directories', async () => {
+      await fs.outputFile(path.join(tempDir, 'agents/skills/demo/SKILL.md'), 'custom');
+
+      const tx = transaction.createTransaction(tempDir);
+      tx.remove('agents/skills/demo');
+      expect(exists('agents/skills/demo')).toBe(false);
+
+      tx.rollback();
+
+      expect(read('agents/skills/demo/SKILL.md')).toBe('custom');
+    });
+
+    it('should reverse moves', async () => {
+      await fs.outputFile(path.join(tempDir, 'agents/tools/a.md'), 'a');
+
+      const tx = transaction.createTransaction(tempDir);
+      tx.move('agents/tools', 'agents/skills');
+      expect(exists('agents/tools')).toBe(false);
+
+      tx.rollback();
+
+      expect(read('agents/tools/a.md')).toBe('a');
+      expect(exists('agents/skills')).toBe(false);
+    });
+
+    it('should restore replaced symlinks', async () => {
+      await fs.ensureDir(path.join(tempDir, '.claude/skills'));
+      fs.symlinkSync('../../old', path.join(tempDir, '.claude/skills/demo'));
+
+      const tx = transaction.createTransaction(tempDir);
+      tx.createSymlink('../../agents/skills/demo', '.claude/skills/demo');
+      tx.rollback();
+
+      expect(fs.readlinkSync(path.join(tempDir, '.claude/skills/demo'))).toBe('../../old');
+    });
+
+    it('should restore .gitignore', async () => {
+      await fs.writeFile(path.join(tempDir, '.gitignore'), 'node_modules/\n');
+
+      const tx = transaction.createTransaction(tempDir);
+      tx.appendGitignore(['agents/plans/local/']);
+      tx.rollback();
+
+      expect(read('.gitignore')).toBe('node_modules/\n');
+    });
+  });
+
+  describe('run', () => {
+    it('should roll back and rethrow when a step fails', async () => {
+      await fs.writeFile(path.join(tempDir, 'README.md'), 'original');
+
+      await expect(transaction.run(tempDir, async (tx) => {
+        tx.writeFile('README.md', 'changed');
+        throw new Error('boom');
+      })).rejects.toMatchObject({ message: 'boom', rolledBack: true });
+
+      expect(read('README.md')).toBe('original');
+    });
+
+    it('should return symlinks that could not be created as warnings', async () => {
+      jest.spyOn(symlinkOps, 'createSymlink').mockReturnValue({ created: false, warning: 'Cannot create symlink link' });
+
+      const { warnings } = await transaction.run(tempDir, async (tx) => {
+        tx.createSymlink('target', 'link');
+      }, { backup: false });
+
+      expect(warnings).toEqual(['Cannot create symlink link']);
+    });
+  });
+
+  describe('upgrade.apply', () => {
+    it('should leave the tree unchanged when a step fails midway', async () => {
+      await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'test-project' });
+      await fs.outputFile(path.join(tempDir, 'agents/tools/helper.md'), 'helper');
+      await fs.writeFile(path.join(tempDir, 'AGENTS.md'), 'See agents/tools/ for info');
+
+      const changes = await upgrade.plan(tempDir, {});
+      expect(changes.moves.length).toBeGreaterThan(0);
+      expect(changes.symlinks.length).toBeGreaterThan(0);
+
+      jest.spyOn(symlinkOps, 'createSymlink').mockImplementation(() => {
+        throw new Error('symlink failed');
+      });
+
+      await expect(upgrade.apply(changes, tempDir)).rejects.toThrow('symlink failed');
+
+      expect(read('agents/tools/helper.md')).toBe('helper');
+      expect(read('AGENTS.md')).toBe('See agents/tools/ for info');
+      expect(exists('agents/skills')).toBe(false);
+      expect(exists('.cursor')).toBe(false);
+    });
+  });
+});
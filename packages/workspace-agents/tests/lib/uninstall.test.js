@@ -0,0 +1,148 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const scaffold = require('../../src/lib/scaffold');
+const uninstall = require('../../src/lib/uninstall');
+const fileOps = require('../../src/lib/file-ops');
+const installState = require('../../src/lib/install-state');
+const restore = require('../../src/lib/restore');
+const detector = require('../../src/lib/project-detector');
+
+describe('uninstall', () => {
+  let tempDir;
+
+  const exists = (rel) => fs.existsSync(path.join(tempDir, rel));
+  const removedFiles = (changes) => changes.files.filter(f => f.action === 'remove').map(f => f.path);
+  const keptFiles = (changes) => changes.files.filter(f => f.action === 'keep').map(f => f.path);
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-uninstall-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+    await fs.writeFile(path.join(tempDir, '.gitignore'), 'node_modules/\n');
+    const changes = await scaffold.plan(tempDir, {});
+    await scaffold.apply(changes, tempDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('plan', () => {
+    it('should plan removal of an unmodified install', async () => {
+      const changes = await uninstall.plan(tempDir, {});
+
+      expect(changes.type).toBe('uninstall');
+      expect(removedFiles(changes)).toContain('AGENTS.md');
+      expect(removedFiles(changes)).toContain(installState.STATE_FILE);
+      expect(keptFiles(changes)).toEqual([]);
+      expect(changes.symlinks.length).toBeGreaterThan(0);
+      expect(changes.gitignore.length).toBeGreaterThan(0);
+      expect(changes.directories).toContain('agents/skills');
+      // agents/ holds the backup of the removed files
+      expect(changes.directories).not.toContain('agents');
+    });
+
+    it('should keep edited generated files unless --all is given', async () => {
+      await fs.appendFile(path.join(tempDir, 'AGENTS.md'), '\n## Our notes\n');
+
+      const changes = await uninstall.plan(tempDir, {});
+      expect(changes.files).toContainEqual({
+        path: 'AGENTS.md',
+        action: 'keep',
+        reason: 'modified locally, use --all to remove'
+      });
+
+      const all = await uninstall.plan(tempDir, { all: true });
+      expect(removedFiles(all)).toContain('AGENTS.md');
+    });
+
+    it('should leave user files under agents/ alone unless --all is given', async () => {
+      await fs.outputFile(path.join(tempDir, 'agents/plans/my-plan.md'), '# Plan\n');
+
+      const changes = await uninstall.plan(tempDir, {});
+      expect(removedFiles(changes)).not.toContain('agents/plans/my-plan.md');
+      expect(changes.directories).not.toContain('agents');
+
+      const all = await uninstall.plan(tempDir, { all: true });
+      expect(removedFiles(all)).toContain('agents/plans/my-plan.md');
+      expect(all.directories).toContain('agents/plans');
+    });
+
+    it('should not remove a symlink that now points elsewhere', async () => {
+      const changes = await uninstall.plan(tempDir, {});
+      const { link } = changes.symlinks[0];
+      await fs.remove(path.join(tempDir, link));
+      await fs.symlink('elsewhere.md', path.join(tempDir, link));
+
+      const replanned = await uninstall.plan(tempDir, {});
+      expect(replanned.symlinks.map(s => s.link)).not.toContain(link);
+    });
+  });
+
+  describe('apply', () => {
+    it('should remove everything the tool created and keep user content', async () => {
+      await fs.outputFile(path.join(tempDir, 'agents/plans/my-plan.md'), '# Plan\n');
+
+      const changes = await uninstall.plan(tempDir, {});
+      const backupId = await uninstall.apply(changes, tempDir);
+
+      expect(exists('AGENTS.md')).toBe(false);
+      expect(exists(`agents/.backups/${backupId}/AGENTS.md`)).toBe(true);
+      expect(exists(installState.STATE_FILE)).toBe(false);
+      expect(exists('agents/plans/my-plan.md')).toBe(true);
+      for (const { link } of changes.symlinks) {
+        expect(exists(link)).toBe(false);
+      }
+      expect(await fs.readFile(path.join(tempDir, '.gitignore'), 'utf-8')).toBe('node_modules/\n');
+    });
+
+    it('should remove everything under agents/ but the backups with --all', async () => {
+      await fs.outputFile(path.join(tempDir, 'agents/plans/my-plan.md'), '# Plan\n');
+      await fs.outputFile(path.join(tempDir, 'agents/.backups/2026-01-01T00-00-00-000Z/AGENTS.md'), '# Old\n');
+
+      const changes = await uninstall.plan(tempDir, { all: true });
+      expect(removedFiles(changes).filter(f => f.startsWith('agents/.backups'))).toEqual([]);
+      const backupId = await uninstall.apply(changes, tempDir);
+
+      expect(fs.readdirSync(path.join(tempDir, 'agents'))).toEqual(['.backups']);
+      expect(exists('agents/.backups/2026-01-01T00-00-00-000Z/AGENTS.md')).toBe(true);
+      expect(await fs.readFile(path.join(tempDir, `agents/.backups/${backupId}/agents/plans/my-plan.md`), 'utf-8'))
+        .toBe('# Plan\n');
+      expect(exists('.gitignore')).toBe(true);
+    });
+  });
+
+  describe('restore', () => {
+    it('should undo an uninstall, symlinks and install state included', async () => {
+      const stateBefore = await fs.readFile(path.join(tempDir, installState.STATE_FILE), 'utf-8');
+      const gitignoreBefore = await fs.readFile(path.join(tempDir, '.gitignore'), 'utf-8');
+      const changes = await uninstall.plan(tempDir, {});
+      const backupId = await uninstall.apply(changes, tempDir);
+
+      await restore.apply(restore.plan(tempDir, backupId), tempDir);
+
+      for (const { link, target } of changes.symlinks) {
+        expect(fs.readlinkSync(path.join(tempDir, link))).toBe(target);
+      }
+      expect(await fs.readFile(path.join(tempDir, installState.STATE_FILE), 'utf-8')).toBe(stateBefore);
+      expect(installState.loadBase(tempDir, 'AGENTS.md')).not.toBeNull();
+      expect(await fs.readFile(path.join(tempDir, '.gitignore'), 'utf-8')).toBe(gitignoreBefore);
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+  });
+
+  describe('removeGitignoreBlock', () => {
+    it('should remove the block and its header but keep other lines', () => {
+      const content = 'node_modules/\n# Workspace Agents\nagents/plans/local/\ndist/\n';
+      const result = fileOps.removeGitignoreBlock(content, ['agents/plans/local/']);
+
+      expect(result.removed).toEqual(['agents/plans/local/']);
+      expect(result.content).toBe('node_modules/\ndist/\n');
+    });
+
+    it('should leave content untouched when no lines match', () => {
+      const result = fileOps.removeGitignoreBlock('dist/\n', ['agents/plans/local/']);
+      expect(result).toEqual({ content: 'dist/\n', removed: [] });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const workspaces = require('../../src/lib/workspaces');
+const scaffold = require('../../src/lib/scaffold');
+const upgrade = require('../../src/lib/upgrade');
+const detector = require('../../src/lib/project-detector');
+
+describe('workspaces', () => {
+  let tempDir;
+
+  const addPackage = (dir, manifest = {}, file = 'package.json') =>
+    fs.outputJsonSync(path.join(tempDir, dir, file), { name: path.basename(dir), ...manifest });
+  const read = (rel) => fs.readFileSync(path.join(tempDir, rel), 'utf-8');
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `workspace-agents-workspaces-${Date.now()}`);
+    await fs.ensureDir(tempDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('parsePnpmWorkspace', () => {
+    it('should read quoted and unquoted package patterns', () => {
+      const content = [
+        '# workspace',
+        'packages:',
+        "  - 'packages/*'",
+        '  - "apps/**"  # every app',
+        '  - tools/cli',
+        "  - '!**/test/**'",
+        'catalog:',
+        '  react: ^18'
+      ].join('\n');
+
+      expect(workspaces.parsePnpmWorkspace(content))
+        .toEqual(['packages/*', 'apps/**', 'tools/cli', '!**/test/**']);
+    });
+
+    it('should return an empty list without a packages key', () => {
+      expect(workspaces.parsePnpmWorkspace('catalog:\n  react: ^18\n')).toEqual([]);
+    });
+  });
+
+  describe('expandPattern', () => {
+    beforeEach(() => {
+      ['packages/a', 'packages/b', 'packages/node_modules/x', 'apps/web/nested', 'apps/.cache']
+        .forEach(dir => fs.ensureDirSync(path.join(tempDir, dir)));
+    });
+
+    it('should match one level with *', () => {
+      expect(workspaces.expandPattern(tempDir, 'packages/*').sort()).toEqual(['packages/a', 'packages/b']);
+    });
+
+    it('should match any depth with ** and skip node_modules and dot directories', () => {
+      expect(workspaces.expandPattern(tempDir, 'apps/**').sort()).toEqual(['apps', 'apps/web', 'apps/web/nested']);
+      expect(workspaces.expandPattern(tempDir, 'packages/**')).not.toContain('packages/node_modules/x');
+    });
+
+    it('should match literal paths only when they exist', () => {
+      expect(workspaces.expandPattern(tempDir, './packages/a/')).toEqual(['packages/a']);
+      expect(workspaces.expandPattern(tempDir, 'packages/missing')).toEqual([]);
+    });
+  });
+
+  describe('detectWorkspaces', () => {
+    it('should return null for a single-package project', () => {
+      fs.outputJsonSync(path.join(tempDir, 'package.json'), { name: 'app' });
+      expect(workspaces.detectWorkspaces(tempDir)).toBeNull();
+    });
+
+    it('should detect npm workspaces with package names and descriptions', () => {
+      fs.outputJsonSync(path.join(tempDir, 'package.json'), { name: 'mono', workspaces: ['packages/*'] });
+      addPackage('packages/core', { name: '@mono/core', description: 'Core library' });
+      addPackage('packages/cli');
+      fs.ensureDirSync(path.join(tempDir, 'packages/no-manifest'));
+
+      expect(workspaces.detectWorkspaces(tempDir)).toEqual({
+        tool: 'npm',
+        patterns: ['packages/*'],
+        packages: [
+          { name: 'cli', path: 'packages/cli', description: '' },
+          { name: '@mono/core', path: 'packages/core', description: 'Core library' }
+        ]
+      });
+    });
+
+    it('should report yarn for the object form with a yarn.lock', () => {
+      fs.outputJsonSync(path.join(tempDir, 'package.json'), { workspaces: { packages: ['libs/*'] } });
+      fs.writeFileSync(path.join(tempDir, 'yarn.lock'), '');
+      addPackage('libs/one');
+
+      const detected = workspaces.detectWorkspaces(tempDir);
+      expect(detected.tool).toBe('yarn');
+      expect(detected.packages.map(p => p.path)).toEqual(['libs/one']);
+    });
+
+    it('should apply pnpm exclusions', () => {
+      fs.writeFileSync(path.join(tempDir, 'pnpm-workspace.yaml'), "packages:\n  - 'packages/*'\n  - '!packages/internal'\n");
+      addPackage('packages/public');
+      addPackage('packages/internal');
+
+      const detected = workspaces.detectWorkspaces(tempDir);
+      expect(detected.tool).toBe('pnpm');
+      expect(detected.packages.map(p => p.path)).toEqual(['packages/public']);
+    });
+
+    it('should default lerna to packages/*', () => {
+      fs.outputJsonSync(path.join(tempDir, 'lerna.json'), { version: '1.0.0' });
+      addPackage('packages/one');
+
+      expect(workspaces.detectWorkspaces(tempDir)).toMatchObject({ tool: 'lerna', patterns: ['packages/*'] });
+    });
+
+    it('should find nx projects by project.json in the configured layout', () => {
+      fs.outputJsonSync(path.join(tempDir, 'nx.json'), { workspaceLayout: { appsDir: 'projects' } });
+      addPackage('projects/web', { name: 'web' }, 'project.json');
+      addPackage('libs/ui', { name: 'ui' }, 'project.json');
+
+      const detected = workspaces.detectWorkspaces(tempDir);
+      expect(detected.tool).toBe('nx');
+      expect(detected.packages.map(p => p.path)).toEqual(['libs/ui', 'projects/web']);
+    });
+  });
+
+  describe('getWorkspaceFiles', () => {
+    it('should list the repo map and one AGENTS.md per package with relative links', () => {
+      const files = workspaces.getWorkspaceFiles({
+        tool: 'npm',
+        packages: [{ name: 'core', path: 'packages/core', description: 'Uses a | b' }]
+      });
+
+      expect(files.map(f => f.dest)).toEqual([workspaces.REPO_MAP, 'packages/core/AGENTS.md']);
+      expect(files[0].variables.PACKAGES)
+        .toEqual([{ name: 'core', path: 'packages/core', description: 'Uses a \\| b' }]);
+      expect(files[1].variables).toEqual({
+        PACKAGE_NAME: 'core',
+        PACKAGE_PATH: 'packages/core',
+        ROOT_PATH: '../../'
+      });
+    });
+  });
+
+  describe('scaffold and upgrade', () => {
+    beforeEach(() => {
+      fs.outputJsonSync(path.join(tempDir, 'package.json'), { name: 'mono', workspaces: ['packages/*'] });
+      addPackage('packages/core', { description: 'Core library' });
+    });
+
+    it('should scaffold a repo map and per-package AGENTS.md linking to the root', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+
+      expect(read('packages/core/AGENTS.md')).toContain('[root AGENTS.md](../../AGENTS.md)');
+      expect(read(workspaces.REPO_MAP)).toContain('| core | [packages/core](../../packages/core/AGENTS.md) | Core library |');
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+
+    it('should leave workspace files out with workspaces: false', async () => {
+      const changes = await scaffold.plan(tempDir, { workspaces: false });
+      expect(changes.files.map(f => f.path)).not.toContain('packages/core/AGENTS.md');
+    });
+
+    it('should skip a package that already has an AGENTS.md', async () => {
+      fs.writeFileSync(path.join(tempDir, 'packages/core/AGENTS.md'), '# Core\n');
+
+      const changes = await scaffold.plan(tempDir, {});
+      expect(changes.files).toContainEqual(expect.objectContaining({ path: 'packages/core/AGENTS.md', action: 'skip' }));
+    });
+
+    it('should add files for new packages and update the repo map on upgrade', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+      addPackage('packages/web');
+
+      const { action } = detector.determineAction(tempDir);
+      expect(action).toBe('upgrade');
+
+      const changes = await upgrade.plan(tempDir, {});
+      expect(changes.newFiles.map(f => f.path)).toEqual(['packages/web/AGENTS.md']);
+      expect(changes.templateUpdates.map(u => u.path)).toEqual([workspaces.REPO_MAP]);
+
+      await upgrade.apply(changes, tempDir);
+      expect(read('packages/web/AGENTS.md')).toContain('# web');
+      expect(read(workspaces.REPO_MAP)).toContain('packages/web');
+      expect(detector.determineAction(tempDir).action).toBe('none');
+    });
+
+    it('should merge package changes into a customized repo map', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, {}), tempDir);
+      fs.appendFileSync(path.join(tempDir, workspaces.REPO_MAP), '\n## Dependencies\n\ncore has none.\n');
+      addPackage('packages/web');
+
+      await upgrade.apply(await upgrade.plan(tempDir, {}), tempDir);
+      const repoMap = read(workspaces.REPO_MAP);
+      expect(repoMap).toContain('packages/web');
+      expect(repoMap).toContain('core has none.');
+    });
+
+    it('should only add workspace files to an existing install when asked', async () => {
+      await scaffold.apply(await scaffold.plan(tempDir, { workspaces: false }), tempDir);
+
+      expect(detector.determineAction(tempDir).action).toBe('none');
+      expect(detector.determineAction(tempDir, { workspaces: true }).action).toBe('upgrade');
+
+      const changes = await upgrade.plan(tempDir, { workspaces: true });
+      expect(changes.newFiles.map(f => f.path)).toEqual([workspaces.REPO_MAP, 'packages/core/AGENTS.md']);
+    });
+  });
+});